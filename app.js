@@ -0,0 +1,866 @@
+const express = require('express');
+const cors = require('cors');
+const reportService = require('./services/reportService');
+const reportFormatter = require('./services/reportFormatter');
+const sheetLinter = require('./services/sheetLinter');
+const reportScheduler = require('./services/reportScheduler');
+const reportHistory = require('./services/reportHistory');
+const changeDetector = require('./services/changeDetector');
+const attendanceReport = require('./services/attendanceReport');
+const payrollService = require('./services/payrollService');
+const expenseReport = require('./services/expenseReport');
+const branchReport = require('./services/branchReport');
+const branchRegistry = require('./config/branchRegistry');
+const awbSearch = require('./services/awbSearch');
+const dateUtils = require('./utils/dateUtils');
+
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Reject unknown ?format= values with a 400
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @returns {boolean} True if the response was already sent
+ */
+function rejectInvalidFormat(req, res) {
+  const format = req.query.format || 'json';
+
+  if (!reportFormatter.formats.includes(format)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid format',
+      message: `Please use one of: ${reportFormatter.formats.join(', ')}`
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Reject unknown ?source= values with a 400
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @returns {boolean} True if the response was already sent
+ */
+function rejectInvalidSource(req, res) {
+  const source = req.query.source || 'auto';
+
+  if (!reportHistory.sources.includes(source)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid source',
+      message: `Please use one of: ${reportHistory.sources.join(', ')}`
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Read the report options of a request: reconciliation against the sheet's TOTAL rows (?reconcile=true)
+ * and, for daily reports, the unpriced expenses of this and last month (?unpriced=true)
+ * @param {express.Request} req - Request
+ * @returns {Object} Report options { reconcile, unpriced }
+ */
+function reportOptions(req) {
+  return {
+    reconcile: ['true', '1'].includes(req.query.reconcile),
+    unpriced: ['true', '1'].includes(req.query.unpriced)
+  };
+}
+
+/**
+ * Send a daily report as JSON (default) or rendered text/markdown
+ * Text formats carry where the report came from in X-Report-* headers
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Object} result - From reportHistory.getDailyReport { report, source, stale, snapshotAt, error }
+ */
+function sendDailyReport(req, res, result) {
+  const format = req.query.format || 'json';
+  const { report, source, stale, snapshotAt, error } = result;
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      source,
+      stale,
+      snapshotAt,
+      ...(stale ? { message: `Google Sheets unavailable (${error}), serving the snapshot from ${snapshotAt}` } : {}),
+      data: report
+    });
+  }
+
+  res.set('X-Report-Source', source);
+  res.set('X-Report-Stale', String(stale));
+  if (snapshotAt) {
+    res.set('X-Report-Snapshot-At', snapshotAt);
+  }
+
+  const { contentType, body } = reportFormatter.render(report, format);
+  res.type(contentType).send(body);
+}
+
+/**
+ * Send the 404 for ?source=snapshot when the date has no stored snapshot
+ * @param {express.Response} res - Response
+ * @param {Error} error - SNAPSHOT_NOT_FOUND error
+ */
+function sendSnapshotNotFound(res, error) {
+  res.status(404).json({
+    success: false,
+    error: 'Snapshot not found',
+    message: error.message
+  });
+}
+
+/**
+ * Create the Express application with all routes registered.
+ * The app is not bound to a port, so tests can mount it on an ephemeral one.
+ * @returns {express.Application} Express app
+ */
+function createApp() {
+  const app = express();
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // Routes
+
+  /**
+   * GET /api/report/today
+   * Get today's daily report
+   * @query {string} format - json (default), text or markdown
+   * @query {string} source - auto (default), live or snapshot
+   * @query {string} reconcile - "true" to add discrepancies against the sheet's TOTAL rows
+   * @query {string} unpriced - "true" to add the unpriced expenses of this and last month
+   */
+  app.get('/api/report/today', async (req, res) => {
+    try {
+      if (rejectInvalidFormat(req, res)) return;
+      if (rejectInvalidSource(req, res)) return;
+
+      const today = dateUtils.now();
+      const result = await reportHistory.getDailyReport(today, { source: req.query.source || 'auto', ...reportOptions(req) });
+    
+      sendDailyReport(req, res, result);
+    } catch (error) {
+      if (error.code === 'SNAPSHOT_NOT_FOUND') {
+        return sendSnapshotNotFound(res, error);
+      }
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating today\'s report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate today\'s report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/report/range?from=YYYY-MM-DD&to=YYYY-MM-DD
+   * Get per-day breakdown and totals for a date range, across monthly sheets
+   * @query {string} reconcile - "true" to add discrepancies against the sheet's TOTAL rows
+   */
+  app.get('/api/report/range', async (req, res) => {
+    try {
+      const fromDate = dateUtils.parseISODate(req.query.from);
+      const toDate = dateUtils.parseISODate(req.query.to);
+
+      if (!fromDate || !toDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date range',
+          message: 'Please provide from and to in YYYY-MM-DD format (e.g., ?from=2025-07-29&to=2025-08-04)'
+        });
+      }
+
+      const rangeDays = dateUtils.countDays(fromDate, toDate);
+      if (rangeDays < 1 || rangeDays > MAX_RANGE_DAYS) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date range',
+          message: `from must not be after to, and the range may cover at most ${MAX_RANGE_DAYS} days`
+        });
+      }
+
+      const report = await reportService.generateRangeReport(fromDate, toDate, reportOptions(req));
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error generating range report:', req.query, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate range report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/report/month/:month
+   * Get monthly summary (per-day rows and month totals) from a single MMMYY sheet
+   * @param {string} month - Month in YYYY-MM format
+   * @query {string} reconcile - "true" to add discrepancies against the sheet's TOTAL rows
+   */
+  app.get('/api/report/month/:month', async (req, res) => {
+    try {
+      const monthParam = req.params.month;
+
+      // Validate month format (YYYY-MM)
+      const parsedMonth = dateUtils.parseMonth(monthParam);
+      if (!parsedMonth) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month format',
+          message: 'Please use YYYY-MM format (e.g., 2025-08)'
+        });
+      }
+
+      const report = await reportService.generateMonthlyReport(parsedMonth.year, parsedMonth.month, reportOptions(req));
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating monthly report for:', req.params.month, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate monthly report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/report/:date
+   * Get daily report for specific date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @query {string} format - json (default), text or markdown
+   * @query {string} source - auto (default), live or snapshot
+   * @query {string} reconcile - "true" to add discrepancies against the sheet's TOTAL rows
+   * @query {string} unpriced - "true" to add the unpriced expenses of this and last month
+   * @query {string} consolidated - "true" to add up every branch of the registry and rank them (JSON only, always live)
+   */
+  app.get('/api/report/:date', async (req, res) => {
+    try {
+      if (rejectInvalidFormat(req, res)) return;
+      if (rejectInvalidSource(req, res)) return;
+
+      const dateParam = req.params.date;
+    
+      // Validate date format (YYYY-MM-DD)
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dateRegex.test(dateParam)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format',
+          message: 'Please use YYYY-MM-DD format (e.g., 2025-08-04)'
+        });
+      }
+    
+      // Local midnight, like the CLI and every other date route
+      const targetDate = dateUtils.parseISODate(dateParam);
+    
+      // Check if date is valid
+      if (!targetDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date',
+          message: 'Please provide a valid date'
+        });
+      }
+
+      if (['true', '1'].includes(req.query.consolidated)) {
+        if ((req.query.format || 'json') !== 'json') {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid format',
+            message: 'Consolidated reports are only available as json'
+          });
+        }
+        if (req.query.source) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid source',
+            message: 'Consolidated reports are always read live from every branch, leave out "source"'
+          });
+        }
+
+        const consolidated = await branchReport.generateConsolidatedReport(targetDate);
+        return res.json({
+          success: true,
+          data: consolidated
+        });
+      }
+    
+      const result = await reportHistory.getDailyReport(targetDate, { source: req.query.source || 'auto', ...reportOptions(req) });
+    
+      sendDailyReport(req, res, result);
+    } catch (error) {
+      if (error.code === 'SNAPSHOT_NOT_FOUND') {
+        return sendSnapshotNotFound(res, error);
+      }
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating report for date:', req.params.date, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/report/:date/cargo/items and /api/report/:date/express/items
+   * Every AWB row a day's CARGO or EXPRESS totals were computed from, with its sheet row number
+   * @param {string} date - Date in YYYY-MM-DD format
+   */
+  app.get('/api/report/:date/:section(cargo|express)/items', async (req, res) => {
+    try {
+      const targetDate = dateUtils.parseISODate(req.params.date);
+      if (!targetDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format',
+          message: 'Please use YYYY-MM-DD format (e.g., 2025-08-04)'
+        });
+      }
+
+      const result = await reportService.getDayItems(targetDate, req.params.section);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error listing items for:', req.params.date, req.params.section, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list items',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/branches
+   * Branches of the registry (config/branchRegistry), without their spreadsheet ids
+   */
+  app.get('/api/branches', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        branches: branchRegistry.getBranches().map(branch => branchRegistry.describe(branch))
+      }
+    });
+  });
+
+  /**
+   * GET /api/branches/:branch/report/:date
+   * Daily report of one branch, read live from its own spreadsheet (branch reports are not snapshotted)
+   * @param {string} branch - Branch id
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @query {string} format - json (default), text or markdown
+   * @query {string} reconcile - "true" to add discrepancies against the sheet's TOTAL rows
+   * @query {string} unpriced - "true" to add the unpriced expenses of this and last month
+   */
+  app.get('/api/branches/:branch/report/:date', async (req, res) => {
+    try {
+      if (rejectInvalidFormat(req, res)) return;
+
+      const targetDate = dateUtils.parseISODate(req.params.date);
+      if (!targetDate) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format',
+          message: 'Please use YYYY-MM-DD format (e.g., 2025-08-04)'
+        });
+      }
+
+      const report = await branchReport.generateBranchReport(req.params.branch, targetDate, reportOptions(req));
+
+      sendDailyReport(req, res, { report, source: 'live', stale: false, snapshotAt: null, error: null });
+    } catch (error) {
+      if (error.code === 'BRANCH_NOT_FOUND' || error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: error.code === 'BRANCH_NOT_FOUND' ? 'Branch not found' : 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating branch report for:', req.params.branch, req.params.date, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate branch report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/lint/:month
+   * Check a MMMYY sheet for entries the reports skip or miscount, with cell references
+   * @param {string} month - Month in YYYY-MM format
+   */
+  app.get('/api/lint/:month', async (req, res) => {
+    try {
+      const parsedMonth = dateUtils.parseMonth(req.params.month);
+      if (!parsedMonth) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month format',
+          message: 'Please use YYYY-MM format (e.g., 2025-08)'
+        });
+      }
+
+      const result = await sheetLinter.lintMonth(parsedMonth.year, parsedMonth.month);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error linting sheet for:', req.params.month, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to lint sheet',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/awb/:number
+   * Search the CARGO and EXPRESS rows of every MMMYY sheet for an AWB, newest first
+   * @param {string} number - AWB or part of it (spaces and dashes are ignored)
+   */
+  app.get('/api/awb/:number', async (req, res) => {
+    try {
+      if (!awbSearch.isValidQuery(req.params.number)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid AWB',
+          message: `Please provide at least ${awbSearch.minQueryLength} letters or digits of the AWB (e.g., 2222222222)`
+        });
+      }
+
+      const result = await awbSearch.search(req.params.number);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error searching AWB:', req.params.number, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search AWB',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/attendance/:month
+   * Attendance summary per employee for a MMMYY sheet: present, off, absent, hours, average check-in
+   * @param {string} month - Month in YYYY-MM format
+   */
+  app.get('/api/attendance/:month', async (req, res) => {
+    try {
+      const parsedMonth = dateUtils.parseMonth(req.params.month);
+      if (!parsedMonth) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month format',
+          message: 'Please use YYYY-MM format (e.g., 2025-08)'
+        });
+      }
+
+      const result = await attendanceReport.generateMonthlyAttendance(parsedMonth.year, parsedMonth.month);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating attendance for:', req.params.month, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate attendance',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/attendance/:month/:employee
+   * One employee's month, with every counted day
+   * @param {string} month - Month in YYYY-MM format
+   * @param {string} employee - Name as written in the sheet (case-insensitive)
+   */
+  app.get('/api/attendance/:month/:employee', async (req, res) => {
+    try {
+      const parsedMonth = dateUtils.parseMonth(req.params.month);
+      if (!parsedMonth) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month format',
+          message: 'Please use YYYY-MM format (e.g., 2025-08)'
+        });
+      }
+
+      const result = await attendanceReport.generateEmployeeAttendance(parsedMonth.year, parsedMonth.month, req.params.employee);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND' || error.code === 'EMPLOYEE_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: error.code === 'SHEET_NOT_FOUND' ? 'Sheet not found' : 'Employee not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating attendance for:', req.params.month, req.params.employee, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate attendance',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/payroll/:month
+   * Pay per employee from the month's ABSENSI data and config/payroll.json (503 until it exists)
+   * @param {string} month - Month in YYYY-MM format
+   * @query {string} format - json (default), csv or xlsx (downloaded as payroll-YYYY-MM.csv/.xlsx)
+   */
+  app.get('/api/payroll/:month', async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      if (!reportFormatter.payrollFormats.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid format',
+          message: `Please use one of: ${reportFormatter.payrollFormats.join(', ')}`
+        });
+      }
+
+      const parsedMonth = dateUtils.parseMonth(req.params.month);
+      if (!parsedMonth) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month format',
+          message: 'Please use YYYY-MM format (e.g., 2025-08)'
+        });
+      }
+
+      const payroll = await payrollService.generatePayroll(parsedMonth.year, parsedMonth.month);
+
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          data: payroll
+        });
+      }
+
+      const { contentType, body, filename } = reportFormatter.renderPayroll(payroll, format);
+      res.attachment(filename).type(contentType).send(body);
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+      if (error.code === 'PAYROLL_NOT_CONFIGURED') {
+        return res.status(503).json({
+          success: false,
+          error: 'Payroll not configured',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating payroll for:', req.params.month, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate payroll',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/expenses/unpriced
+   * PENGELUARAN items with a description but no amount yet, in this and last month's sheet, oldest first
+   * @query {string} date - Reference day in YYYY-MM-DD format (default: today)
+   */
+  app.get('/api/expenses/unpriced', async (req, res) => {
+    try {
+      const asOf = req.query.date ? dateUtils.parseISODate(req.query.date) : dateUtils.now();
+      if (!asOf) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date format',
+          message: 'Please use YYYY-MM-DD format (e.g., 2025-08-04)'
+        });
+      }
+
+      const result = await reportService.getUnpricedExpenses(asOf);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error listing unpriced expenses:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list unpriced expenses',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/expenses/:month
+   * PENGELUARAN of a MMMYY sheet sorted into config/expenseCategories.json, per category and per day
+   * @param {string} month - Month in YYYY-MM format
+   */
+  app.get('/api/expenses/:month', async (req, res) => {
+    try {
+      const parsedMonth = dateUtils.parseMonth(req.params.month);
+      if (!parsedMonth) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid month format',
+          message: 'Please use YYYY-MM format (e.g., 2025-08)'
+        });
+      }
+
+      const result = await expenseReport.generateMonthlyExpenses(parsedMonth.year, parsedMonth.month);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.code === 'SHEET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'Sheet not found',
+          message: error.message
+        });
+      }
+
+      console.error('Error generating expenses for:', req.params.month, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate expenses',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/changes?since=
+   * Edits to days whose report was already sent, field by field, newest first
+   * @query {string} since - Only changes detected from this day (YYYY-MM-DD) or moment (ISO 8601)
+   */
+  app.get('/api/changes', async (req, res) => {
+    try {
+      let since = null;
+      if (req.query.since) {
+        since = dateUtils.parseISODate(req.query.since)
+          || (/^\d{4}-\d{2}-\d{2}T/.test(req.query.since) ? new Date(req.query.since) : null);
+
+        if (!since || isNaN(since.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid since',
+            message: 'Please use YYYY-MM-DD or an ISO timestamp (e.g., ?since=2025-08-04 or ?since=2025-08-04T09:00:00Z)'
+          });
+        }
+      }
+
+      const result = await changeDetector.getChanges(since);
+
+      res.json({
+        success: true,
+        data: {
+          since: since ? since.toISOString() : null,
+          lastCheckedAt: result.lastCheckedAt,
+          count: result.changes.length,
+          changes: result.changes
+        }
+      });
+    } catch (error) {
+      console.error('Error reading report changes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read report changes',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/jobs
+   * Scheduled jobs with their schedule, last run, next run and recent failures
+   */
+  app.get('/api/jobs', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        jobs: reportScheduler.getJobs()
+      }
+    });
+  });
+
+  /**
+   * GET /api/health
+   * Health check endpoint
+   */
+  app.get('/api/health', (req, res) => {
+    res.json({
+      success: true,
+      message: 'J&T Daily Report API is running',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /
+   * Root endpoint with API documentation
+   */
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'J&T Daily Report API',
+      version: '1.0.0',
+      endpoints: {
+        'GET /api/health': 'Health check',
+        'GET /api/report/today': 'Get today\'s daily report',
+        'GET /api/report/:date': 'Get daily report for specific date (YYYY-MM-DD format, ?consolidated=true adds up every branch)',
+        'GET /api/report/:date/cargo/items': 'Every CARGO row behind a day\'s totals, with AWB, kg, payments and sheet row',
+        'GET /api/report/:date/express/items': 'Every EXPRESS row behind a day\'s totals, with AWB, payments and sheet row',
+        'GET /api/branches': 'Outlets of the branch registry (BRANCHES_FILE)',
+        'GET /api/branches/:branch/report/:date': 'Daily report of one branch from its own spreadsheet (YYYY-MM-DD format)',
+        'GET /api/report/month/:month': 'Get monthly summary for a MMMYY sheet (YYYY-MM format)',
+        'GET /api/report/range?from=&to=': 'Get report for a date range across monthly sheets (YYYY-MM-DD format)',
+        'GET /api/lint/:month': 'Check a MMMYY sheet for data problems, with cell references (YYYY-MM format)',
+        'GET /api/awb/:number': 'Find an AWB (or part of it) in the CARGO and EXPRESS sections of every monthly sheet',
+        'GET /api/attendance/:month': 'Attendance summary per employee for a MMMYY sheet (YYYY-MM format)',
+        'GET /api/attendance/:month/:employee': 'One employee\'s attendance for the month, day by day',
+        'GET /api/payroll/:month': 'Payroll per employee from attendance (YYYY-MM format, ?format=json|csv|xlsx)',
+        'GET /api/expenses/unpriced': 'PENGELUARAN items still without a price in this and last month, with age and cell',
+        'GET /api/expenses/:month': 'PENGELUARAN per category and per day, with every row (YYYY-MM format)',
+        'GET /api/changes?since=': 'Edits to already-sent days, field by field (YYYY-MM-DD or ISO timestamp)',
+        'GET /api/jobs': 'Scheduled report jobs: last run, next run and failures'
+      },
+      examples: {
+        today: '/api/report/today',
+        specificDate: '/api/report/2025-08-04',
+        whatsappText: '/api/report/2025-08-04?format=text',
+        cargoItems: '/api/report/2025-08-04/cargo/items',
+        month: '/api/report/month/2025-08',
+        range: '/api/report/range?from=2025-07-29&to=2025-08-04',
+        lint: '/api/lint/2025-08',
+        awb: '/api/awb/22222222',
+        reconcile: '/api/report/month/2025-08?reconcile=true',
+        snapshot: '/api/report/2025-08-04?source=snapshot',
+        changes: '/api/changes?since=2025-08-01',
+        attendance: '/api/attendance/2025-08/RAHMAD',
+        payroll: '/api/payroll/2025-08?format=xlsx',
+        expenses: '/api/expenses/2025-08',
+        unpricedExpenses: '/api/expenses/unpriced',
+        dailyWithUnpriced: '/api/report/today?format=text&unpriced=true',
+        branchReport: '/api/branches/medan/report/2025-08-04?format=text',
+        consolidated: '/api/report/2025-08-04?consolidated=true'
+      }
+    });
+  });
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    console.error('Unhandled error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Endpoint not found',
+      message: `The endpoint ${req.method} ${req.path} does not exist`
+    });
+  });
+
+  return app;
+}
+
+module.exports = createApp;
@@ -0,0 +1,154 @@
+const path = require('path');
+const VersionedJsonConfig = require('./versionedConfig');
+const sheetLayout = require('./sheetLayout');
+const branchContext = require('../utils/branchContext');
+
+const DEFAULT_BRANCH = { id: 'main', name: 'Main' };
+
+/**
+ * Branch Registry Configuration
+ * Loads the outlets whose spreadsheets share the MMMYY format: an id, a display name, the
+ * spreadsheet id (or workbookPath for SHEETS_SOURCE=local) and an optional layout override
+ * merged over whichever layout of config/sheetLayouts.json applies.
+ * Without BRANCHES_FILE there is one branch, "main", reading GOOGLE_SHEETS_ID like before.
+ */
+class BranchRegistryConfig extends VersionedJsonConfig {
+  constructor() {
+    super({ name: 'branches', icon: '🏪', envVar: 'BRANCHES_FILE' });
+  }
+
+  /**
+   * Load and validate the branches file
+   * @param {string} filePath - Path to the branches JSON (default: BRANCHES_FILE, none means the single "main" branch)
+   * @returns {Object} Rules { branches }
+   */
+  load(filePath = this.getDefaultPath()) {
+    if (!filePath) {
+      this.rules = { branches: { [DEFAULT_BRANCH.id]: { ...DEFAULT_BRANCH, implicit: true, layout: null } } };
+      this.filePath = null;
+      return this.rules;
+    }
+
+    return super.load(filePath);
+  }
+
+  /**
+   * Check the branches file
+   * Layout overrides are checked against every loaded layout, so a bad column fails at startup;
+   * spreadsheetId is required with SHEETS_SOURCE=google (default), workbookPath with SHEETS_SOURCE=local
+   * @param {Object} raw - Parsed branches file
+   * @param {Array} errors - Problems found
+   * @returns {Object} Rules with each branch's id filled in
+   */
+  parse(raw, errors) {
+    if (!raw.branches || typeof raw.branches !== 'object' || Array.isArray(raw.branches)
+      || Object.keys(raw.branches).length === 0) {
+      throw this.invalid('"branches" must be a non-empty object keyed by id');
+    }
+
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const sourceType = (process.env.SHEETS_SOURCE || 'google').toLowerCase();
+    const branches = {};
+
+    Object.entries(raw.branches).forEach(([id, branch]) => {
+      const label = `branch ${id}`;
+
+      if (!/^[a-z0-9-]+$/.test(id)) {
+        errors.push(`${label}: id must be lowercase letters, digits and dashes`);
+      }
+      if (!branch || !isText(branch.name)) {
+        errors.push(`${label}: "name" is required`);
+        return;
+      }
+      // Only the field the configured source reads is required, the other may be left out
+      const required = sourceType === 'local' ? 'workbookPath' : 'spreadsheetId';
+      Object.entries({ spreadsheetId: 'a spreadsheet id', workbookPath: 'a path' }).forEach(([key, kind]) => {
+        if (key === required && !isText(branch[key])) {
+          errors.push(`${label}: "${key}" is required for SHEETS_SOURCE=${sourceType}`);
+        } else if (branch[key] !== undefined && !isText(branch[key])) {
+          errors.push(`${label}: "${key}" must be ${kind}`);
+        }
+      });
+
+      if (branch.layout !== undefined) {
+        if (!branch.layout || typeof branch.layout !== 'object' || Array.isArray(branch.layout)) {
+          errors.push(`${label}: "layout" must be an object of section overrides`);
+        } else {
+          sheetLayout.ensureLoaded().forEach((layout) => {
+            try {
+              sheetLayout.resolveOverride(branch.layout, layout.name, `${layout.name}+${id}`);
+            } catch (error) {
+              errors.push(`${label}: layout override on "${layout.name}" is invalid (${error.message.replace(/\n- /g, '; ')})`);
+            }
+          });
+        }
+      }
+
+      branches[id] = {
+        id,
+        name: branch.name.trim(),
+        spreadsheetId: isText(branch.spreadsheetId) ? branch.spreadsheetId.trim() : null,
+        workbookPath: isText(branch.workbookPath) ? path.resolve(branch.workbookPath) : null,
+        layout: branch.layout || null
+      };
+    });
+
+    return { branches };
+  }
+
+  /**
+   * Describe the loaded branches for the startup log
+   * @returns {string} Summary
+   */
+  summary() {
+    return `Branches loaded: ${this.getBranches().map(branch => branch.name).join(', ')} (${this.filePath || 'GOOGLE_SHEETS_ID'})`;
+  }
+
+  /**
+   * Get every branch, in file order
+   * @returns {Array} Branches { id, name, spreadsheetId, workbookPath, layout }
+   */
+  getBranches() {
+    return Object.values(this.ensureLoaded().branches);
+  }
+
+  /**
+   * Get one branch
+   * @param {string} id - Branch id (case-insensitive)
+   * @returns {Object} Branch
+   */
+  getBranch(id) {
+    const branch = this.ensureLoaded().branches[(id || '').toString().toLowerCase()];
+
+    if (!branch) {
+      const error = new Error(`Branch "${id}" not found`);
+      error.code = 'BRANCH_NOT_FOUND';
+      throw error;
+    }
+
+    return branch;
+  }
+
+  /**
+   * Run a function against one branch's spreadsheet and layout
+   * The implicit "main" branch reads the default spreadsheet, so it runs without a branch context
+   * @param {string} id - Branch id
+   * @param {Function} fn - Function to run (may be async)
+   * @returns {Promise<*>} Whatever fn returns
+   */
+  async run(id, fn) {
+    const branch = this.getBranch(id);
+    return branch.implicit ? fn() : branchContext.run(branch, fn);
+  }
+
+  /**
+   * Describe a branch for API responses, without its spreadsheet id
+   * @param {Object} branch - Branch
+   * @returns {Object} { id, name, layoutOverride }
+   */
+  describe(branch) {
+    return { id: branch.id, name: branch.name, layoutOverride: !!branch.layout };
+  }
+}
+
+module.exports = new BranchRegistryConfig();
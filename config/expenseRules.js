@@ -0,0 +1,102 @@
+const VersionedJsonConfig = require('./versionedConfig');
+
+const OTHER_CATEGORY = { id: 'other', name: 'Other' };
+
+/**
+ * Expense Rules Configuration
+ * Loads the categories PENGELUARAN rows are sorted into by their keterangan (e.g., "Bensin motor" -> Transport).
+ * Each category has a display name and keywords; a row goes to the first category with a word
+ * in its description starting with one of its keywords ("makan" matches "Makanan" but not "Pemakaman"),
+ * or to "other" when none matches.
+ */
+class ExpenseRulesConfig extends VersionedJsonConfig {
+  constructor() {
+    super({ name: 'expense rules', icon: '🧾', envVar: 'EXPENSE_CATEGORIES_FILE', defaultFile: 'expenseCategories.json' });
+    this.otherCategory = OTHER_CATEGORY;
+  }
+
+  /**
+   * Check the expense rules file
+   * @param {Object} raw - Parsed rules file
+   * @param {Array} errors - Problems found
+   * @returns {Object} Rules { categories } with keywords lowercased
+   */
+  parse(raw, errors) {
+    if (!raw.categories || typeof raw.categories !== 'object' || Array.isArray(raw.categories)) {
+      throw this.invalid('"categories" must be an object keyed by id');
+    }
+
+    const categories = {};
+    Object.entries(raw.categories).forEach(([id, category]) => {
+      const label = `category ${id}`;
+
+      if (!/^[a-z0-9]+$/.test(id)) {
+        errors.push(`${label}: id must be lowercase letters and digits`);
+      }
+      if (id === OTHER_CATEGORY.id) {
+        errors.push(`${label}: "${OTHER_CATEGORY.id}" is reserved for rows no keyword matches`);
+      }
+      if (!category || typeof category.name !== 'string' || category.name.trim() === '') {
+        errors.push(`${label}: "name" is required`);
+        return;
+      }
+      if (!Array.isArray(category.keywords) || category.keywords.length === 0
+        || category.keywords.some(keyword => typeof keyword !== 'string' || keyword.trim() === '')) {
+        errors.push(`${label}: "keywords" must be a non-empty list of words`);
+        return;
+      }
+
+      categories[id] = {
+        name: category.name.trim(),
+        keywords: category.keywords.map(keyword => keyword.trim().toLowerCase())
+      };
+    });
+
+    return { categories };
+  }
+
+  /**
+   * Describe the loaded rules for the startup log
+   * @returns {string} Summary
+   */
+  summary() {
+    return `Expense categories loaded: ${Object.values(this.rules.categories).map(category => category.name).join(', ')} (${this.filePath})`;
+  }
+
+  /**
+   * Get the configured categories followed by "other"
+   * @returns {Object} Map of id -> { name, keywords }
+   */
+  getCategories() {
+    return {
+      ...this.ensureLoaded().categories,
+      [OTHER_CATEGORY.id]: { name: OTHER_CATEGORY.name, keywords: [] }
+    };
+  }
+
+  /**
+   * Find the category of an expense
+   * @param {string} description - Keterangan (e.g., "Bensin motor")
+   * @returns {string} Category id, "other" when no keyword matches
+   */
+  categorize(description) {
+    const lower = (description || '').toString().toLowerCase();
+    const match = Object.entries(this.ensureLoaded().categories)
+      .find(([, category]) => category.keywords.some(keyword => this.startsWord(lower, keyword)));
+
+    return match ? match[0] : OTHER_CATEGORY.id;
+  }
+
+  /**
+   * Check whether a keyword appears at the start of a word
+   * @param {string} text - Lowercased description
+   * @param {string} keyword - Lowercased keyword
+   * @returns {boolean} True if a word of text starts with keyword
+   */
+  startsWord(text, keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}`).test(text);
+  }
+}
+
+module.exports = new ExpenseRulesConfig();
@@ -0,0 +1,81 @@
+const VersionedJsonConfig = require('./versionedConfig');
+
+/**
+ * Marketplace Rules Configuration
+ * Loads the online platforms whose batch labels are typed in the CARGO AWB column (e.g., "3 Shopee").
+ * Each platform has a display name and the keywords that identify it in a label;
+ * a label counts for the first platform with a matching keyword.
+ */
+class MarketplaceRulesConfig extends VersionedJsonConfig {
+  constructor() {
+    super({ name: 'marketplace rules', icon: '🛒', envVar: 'MARKETPLACES_FILE', defaultFile: 'marketplaces.json' });
+  }
+
+  /**
+   * Check the marketplace rules file
+   * @param {Object} raw - Parsed rules file
+   * @param {Array} errors - Problems found
+   * @returns {Object} Rules { platforms } with keywords lowercased
+   */
+  parse(raw, errors) {
+    if (!raw.platforms || typeof raw.platforms !== 'object' || Array.isArray(raw.platforms)) {
+      throw this.invalid('"platforms" must be an object keyed by id');
+    }
+
+    const platforms = {};
+    Object.entries(raw.platforms).forEach(([id, platform]) => {
+      const label = `platform ${id}`;
+
+      if (!/^[a-z0-9]+$/.test(id)) {
+        errors.push(`${label}: id must be lowercase letters and digits`);
+      }
+      if (!platform || typeof platform.name !== 'string' || platform.name.trim() === '') {
+        errors.push(`${label}: "name" is required`);
+        return;
+      }
+      if (!Array.isArray(platform.keywords) || platform.keywords.length === 0
+        || platform.keywords.some(keyword => typeof keyword !== 'string' || !/[a-z]/i.test(keyword))) {
+        errors.push(`${label}: "keywords" must be a non-empty list of words`);
+        return;
+      }
+
+      platforms[id] = {
+        name: platform.name.trim(),
+        keywords: platform.keywords.map(keyword => keyword.trim().toLowerCase())
+      };
+    });
+
+    return { platforms };
+  }
+
+  /**
+   * Describe the loaded rules for the startup log
+   * @returns {string} Summary
+   */
+  summary() {
+    return `Marketplaces loaded: ${Object.values(this.rules.platforms).map(platform => platform.name).join(', ')} (${this.filePath})`;
+  }
+
+  /**
+   * Get the configured platforms
+   * @returns {Object} Map of id -> { name, keywords }
+   */
+  getPlatforms() {
+    return this.ensureLoaded().platforms;
+  }
+
+  /**
+   * Find the platform a label mentions
+   * @param {string} text - Label text (e.g., "3 Shopee")
+   * @returns {string|null} Platform id, or null when no keyword matches
+   */
+  findPlatform(text) {
+    const lower = (text || '').toString().toLowerCase();
+    const match = Object.entries(this.getPlatforms())
+      .find(([, platform]) => platform.keywords.some(keyword => lower.includes(keyword)));
+
+    return match ? match[0] : null;
+  }
+}
+
+module.exports = new MarketplaceRulesConfig();
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const VersionedJsonConfig = require('./versionedConfig');
+
+const BASES = ['daily', 'hourly'];
+const NUMBER_SETTINGS = ['rate', 'hoursPerDay', 'overtimeMultiplier', 'absenceDeduction', 'lateDeductionPerMinute'];
+
+/**
+ * Payroll Rules Configuration
+ * Loads the pay settings used by the payroll export: a daily or hourly rate, the hours a daily rate
+ * covers (for overtime), the overtime multiplier and the deductions per absence and per late minute.
+ * "defaults" apply to everyone; "employees" override them per name.
+ * The repo ships config/payroll.example.json only: until the real file exists the payroll export
+ * fails with PAYROLL_NOT_CONFIGURED instead of paying everyone the sample rates.
+ */
+class PayrollRulesConfig extends VersionedJsonConfig {
+  constructor() {
+    super({ name: 'payroll rules', icon: '💰', envVar: 'PAYROLL_RULES_FILE', defaultFile: 'payroll.json' });
+    this.missingPath = null;
+  }
+
+  /**
+   * Load and validate the payroll rules file, if it has been set up
+   * @param {string} filePath - Path to the rules JSON (default: PAYROLL_RULES_FILE or config/payroll.json)
+   * @returns {Object|null} Rules, or null when the file doesn't exist
+   */
+  load(filePath = this.getDefaultPath()) {
+    if (!fs.existsSync(path.resolve(filePath))) {
+      this.rules = null;
+      this.filePath = null;
+      this.missingPath = path.resolve(filePath);
+      return null;
+    }
+
+    return super.load(filePath);
+  }
+
+  /**
+   * Make sure the payroll rules file has been loaded
+   * Retried on every call, so copying the file in place enables the export without a restart
+   * @returns {Object} Rules
+   */
+  ensureLoaded() {
+    const rules = super.ensureLoaded();
+
+    if (!rules) {
+      const error = new Error(`Payroll rules not configured: copy config/payroll.example.json to ${this.missingPath} and fill in the real rates`);
+      error.code = 'PAYROLL_NOT_CONFIGURED';
+      throw error;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Describe the loaded rules for the startup log
+   * @returns {string} Summary
+   */
+  summary() {
+    return this.rules ? super.summary() : `Payroll rules not configured, /api/payroll is off until ${this.missingPath} exists`;
+  }
+
+  /**
+   * Check the payroll rules file
+   * @param {Object} raw - Parsed rules file
+   * @param {Array} errors - Problems found
+   * @returns {Object} Rules { defaults, employees } with employee names uppercased
+   */
+  parse(raw, errors) {
+    const checkSettings = (settings, label) => {
+      if (!settings || typeof settings !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+      if (settings.basis !== undefined && !BASES.includes(settings.basis)) {
+        errors.push(`${label}: "basis" must be one of ${BASES.join(', ')}`);
+      }
+      NUMBER_SETTINGS.forEach((key) => {
+        if (settings[key] !== undefined && (typeof settings[key] !== 'number' || settings[key] < 0)) {
+          errors.push(`${label}: "${key}" must be a number of at least 0`);
+        }
+      });
+    };
+
+    checkSettings(raw.defaults, 'defaults');
+    if (raw.defaults && (raw.defaults.basis === undefined || raw.defaults.rate === undefined)) {
+      errors.push('defaults: "basis" and "rate" are required');
+    }
+
+    const employees = {};
+    Object.entries(raw.employees || {}).forEach(([name, settings]) => {
+      checkSettings(settings, `employee ${name}`);
+      employees[name.trim().toUpperCase()] = settings;
+    });
+
+    return {
+      defaults: { hoursPerDay: 8, overtimeMultiplier: 1, absenceDeduction: 0, lateDeductionPerMinute: 0, ...raw.defaults },
+      employees
+    };
+  }
+
+  /**
+   * Get the pay settings of an employee
+   * @param {string} name - Employee name as written in the sheet (case-insensitive)
+   * @returns {Object} { basis, rate, hoursPerDay, overtimeMultiplier, absenceDeduction, lateDeductionPerMinute }
+   */
+  getSettings(name) {
+    const rules = this.ensureLoaded();
+    return { ...rules.defaults, ...(rules.employees[name.trim().toUpperCase()] || {}) };
+  }
+}
+
+module.exports = new PayrollRulesConfig();
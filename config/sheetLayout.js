@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const rangeUtils = require('../utils/rangeUtils');
+const sheetDetector = require('../utils/sheetDetector');
+const branchContext = require('../utils/branchContext');
+
+const SUPPORTED_VERSION = 1;
+
+// Named columns every layout must define per section, and the row settings it needs
+const SECTION_RULES = {
+  attendance: { columns: ['name'], rows: ['startRow', 'dateRow', 'firstEmployeeRow'] },
+  cargo: { columns: ['date', 'awb', 'kg', 'tunai', 'tfMandiri', 'tfBca', 'dfod', 'packing'], rows: ['startRow', 'headerRow'] },
+  express: { columns: ['date', 'awb', 'tunai', 'tfMandiri', 'tfBca', 'packing'], rows: ['startRow', 'headerRow'] },
+  pengeluaran: { columns: ['date', 'description', 'amount'], rows: ['startRow', 'headerRow'] }
+};
+
+/**
+ * Sheet Layout Configuration
+ * Loads the versioned layout file that says where each section of a MMMYY tab lives:
+ * its column span, first data row, header row, end anchor text, named columns and the
+ * header labels used to find those columns when the admin moves them.
+ * A layout applies from its effectiveFrom month (YYYY-MM) onwards, or to the exact sheets it lists,
+ * and may extend another layout to override only what changed.
+ * A branch (see config/branchRegistry) may override parts of whichever layout applies to its sheets.
+ */
+class SheetLayoutConfig {
+  constructor() {
+    this.filePath = null;
+    this.version = null;
+    this.layouts = null;
+    this.rawLayouts = null;
+    this.overrideCache = new WeakMap(); // branch override -> Map of layout name -> resolved layout
+  }
+
+  /**
+   * Load and validate the layout file
+   * @param {string} filePath - Path to the layout JSON (default: SHEET_LAYOUT_FILE or config/sheetLayouts.json)
+   * @returns {Array} Resolved layouts
+   */
+  load(filePath = process.env.SHEET_LAYOUT_FILE || path.join(__dirname, 'sheetLayouts.json')) {
+    try {
+      const resolvedPath = path.resolve(filePath);
+      const raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+      this.layouts = this.validate(raw);
+      this.rawLayouts = raw.layouts;
+      this.overrideCache = new WeakMap();
+      this.version = raw.version;
+      this.filePath = resolvedPath;
+
+      return this.layouts;
+    } catch (error) {
+      console.error('❌ Error loading sheet layout:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a raw layout file and resolve every layout
+   * @param {Object} raw - Parsed layout file
+   * @returns {Array} Resolved layouts
+   */
+  validate(raw) {
+    const errors = [];
+
+    if (!raw || raw.version !== SUPPORTED_VERSION) {
+      throw new Error(`Invalid sheet layout: version must be ${SUPPORTED_VERSION}`);
+    }
+
+    if (!Array.isArray(raw.layouts) || raw.layouts.length === 0) {
+      throw new Error('Invalid sheet layout: "layouts" must be a non-empty array');
+    }
+
+    const byName = new Map();
+    raw.layouts.forEach((layout, index) => {
+      const label = layout.name || `#${index}`;
+
+      if (!layout.name || typeof layout.name !== 'string') {
+        errors.push(`layout ${label}: "name" is required`);
+      } else if (byName.has(layout.name)) {
+        errors.push(`layout ${label}: duplicate name`);
+      }
+      byName.set(layout.name, layout);
+
+      if (layout.effectiveFrom !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(layout.effectiveFrom)) {
+        errors.push(`layout ${label}: "effectiveFrom" must be YYYY-MM`);
+      }
+
+      if (layout.sheets !== undefined) {
+        if (!Array.isArray(layout.sheets) || layout.sheets.some(name => !sheetDetector.isValidSheetFormat(name))) {
+          errors.push(`layout ${label}: "sheets" must be a list of MMMYY sheet names`);
+        }
+      }
+
+      if (layout.effectiveFrom === undefined && layout.sheets === undefined) {
+        errors.push(`layout ${label}: needs "effectiveFrom" or "sheets"`);
+      }
+    });
+
+    const resolved = raw.layouts.map((layout) => {
+      const merged = this.mergeExtends(layout, byName, errors);
+      return this.resolveLayout(merged, errors);
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid sheet layout:\n- ${errors.join('\n- ')}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Deep-merge a layout over the layout it extends
+   * @param {Object} layout - Raw layout
+   * @param {Map} byName - Raw layouts by name
+   * @param {Array} errors - Collected validation errors
+   * @returns {Object} Merged raw layout
+   */
+  mergeExtends(layout, byName, errors, seen = []) {
+    if (!layout.extends) {
+      return layout;
+    }
+
+    const parent = byName.get(layout.extends);
+    if (!parent || seen.includes(layout.extends)) {
+      errors.push(`layout ${layout.name}: cannot extend "${layout.extends}"`);
+      return layout;
+    }
+
+    const base = this.mergeExtends(parent, byName, errors, [...seen, layout.name]);
+    const merged = { ...base, ...layout };
+
+    Object.keys(SECTION_RULES).forEach((sectionName) => {
+      const baseSection = base[sectionName] || {};
+      const ownSection = layout[sectionName] || {};
+      merged[sectionName] = {
+        ...baseSection,
+        ...ownSection,
+        columns: { ...(baseSection.columns || {}), ...(ownSection.columns || {}) },
+        headers: { ...(baseSection.headers || {}), ...(ownSection.headers || {}) }
+      };
+    });
+
+    // Selection is never inherited
+    merged.effectiveFrom = layout.effectiveFrom;
+    merged.sheets = layout.sheets;
+
+    return merged;
+  }
+
+  /**
+   * Convert a merged raw layout into column indices and validate its sections
+   * @param {Object} layout - Merged raw layout
+   * @param {Array} errors - Collected validation errors
+   * @returns {Object} Resolved layout
+   */
+  resolveLayout(layout, errors) {
+    const resolved = {
+      name: layout.name,
+      effectiveFrom: layout.effectiveFrom || null,
+      sheets: layout.sheets || []
+    };
+
+    Object.entries(SECTION_RULES).forEach(([sectionName, rules]) => {
+      const label = `layout ${layout.name}: ${sectionName}`;
+      const section = layout[sectionName];
+
+      if (!section) {
+        errors.push(`${label} section is missing`);
+        return;
+      }
+
+      const isColumn = value => typeof value === 'string' && /^[A-Z]{1,3}$/.test(value);
+      const isRow = value => Number.isInteger(value) && value > 0;
+
+      if (!section.span || !isColumn(section.span.from) || !isColumn(section.span.to)) {
+        errors.push(`${label}: "span" needs "from" and "to" column letters`);
+        return;
+      }
+
+      const fromIndex = rangeUtils.columnToIndex(section.span.from);
+      const toIndex = rangeUtils.columnToIndex(section.span.to);
+
+      rules.rows.forEach((key) => {
+        if (!isRow(section[key])) {
+          errors.push(`${label}: "${key}" must be a positive row number`);
+        }
+      });
+
+      const end = section.end || {};
+      if (end.row !== undefined) {
+        if (!isRow(end.row)) errors.push(`${label}: "end.row" must be a positive row number`);
+      } else if (!end.anchor || !isColumn(end.column) || !isRow(end.searchFrom) || !isRow(end.searchTo)) {
+        errors.push(`${label}: "end" needs either "row" or "anchor", "column", "searchFrom" and "searchTo"`);
+      } else if (end.fallbackRow !== undefined && !isRow(end.fallbackRow)) {
+        errors.push(`${label}: "end.fallbackRow" must be a positive row number`);
+      }
+
+      const columns = {};
+      const columnLetters = {};
+      const definedColumns = section.columns || {};
+
+      rules.columns.forEach((field) => {
+        if (definedColumns[field] === undefined) {
+          errors.push(`${label}: column "${field}" is missing`);
+        }
+      });
+
+      Object.entries(definedColumns).forEach(([field, value]) => {
+        const letters = Array.isArray(value) ? value : [value];
+
+        if (letters.length === 0 || !letters.every(isColumn)) {
+          errors.push(`${label}: column "${field}" must be a column letter or a list of them`);
+          return;
+        }
+
+        const indices = letters.map(letter => rangeUtils.columnToIndex(letter));
+        if (indices.some(index => index < fromIndex || index > toIndex)) {
+          errors.push(`${label}: column "${field}" is outside span ${section.span.from}:${section.span.to}`);
+          return;
+        }
+
+        // Indices are relative to the first column of the span, matching the rows read for the section
+        columns[field] = indices.map(index => index - fromIndex);
+        columnLetters[field] = letters;
+      });
+
+      const headers = {};
+      Object.entries(section.headers || {}).forEach(([field, value]) => {
+        const labels = Array.isArray(value) ? value : [value];
+
+        if (labels.length === 0 || !labels.every(label => typeof label === 'string' && label.trim() !== '')) {
+          errors.push(`${label}: headers for "${field}" must be a label or a list of labels`);
+          return;
+        }
+
+        headers[field] = labels;
+      });
+
+      if (Object.keys(headers).length > 0 && !isRow(section.headerRow)) {
+        errors.push(`${label}: "headerRow" is required when "headers" are set`);
+      }
+
+      resolved[sectionName] = {
+        name: sectionName,
+        span: { from: section.span.from, to: section.span.to, fromIndex, toIndex },
+        headerRow: section.headerRow || null,
+        startRow: section.startRow,
+        dateRow: section.dateRow || null,
+        firstEmployeeRow: section.firstEmployeeRow || null,
+        end: { ...end },
+        columns,
+        columnLetters,
+        headers
+      };
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Make sure the layout file has been loaded
+   * @returns {Array} Resolved layouts
+   */
+  ensureLoaded() {
+    if (!this.layouts) {
+      this.load();
+    }
+    return this.layouts;
+  }
+
+  /**
+   * Resolve a branch's layout override on top of one of the loaded layouts
+   * The override is merged the same way as "extends" (e.g., { "cargo": { "columns": { "kg": "G" } } })
+   * @param {Object} override - Sections to override
+   * @param {string} baseName - Name of the loaded layout it applies to
+   * @param {string} name - Name of the resulting layout (e.g., "default+medan")
+   * @returns {Object} Resolved layout
+   */
+  resolveOverride(override, baseName, name) {
+    this.ensureLoaded();
+
+    const errors = [];
+    const byName = new Map(this.rawLayouts.map(layout => [layout.name, layout]));
+    const merged = this.mergeExtends({ ...override, name, extends: baseName }, byName, errors);
+    const resolved = this.resolveLayout(merged, errors);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid sheet layout:\n- ${errors.join('\n- ')}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Get the layout that applies to a sheet, with the current branch's override applied
+   * @param {string} sheetName - Sheet name (e.g., "AUG25")
+   * @returns {Object} Resolved layout
+   */
+  getLayout(sheetName) {
+    const layout = this.findLayout(sheetName);
+    const branch = branchContext.current();
+
+    if (!branch || !branch.layout) {
+      return layout;
+    }
+
+    if (!this.overrideCache.has(branch.layout)) {
+      this.overrideCache.set(branch.layout, new Map());
+    }
+
+    const resolved = this.overrideCache.get(branch.layout);
+    if (!resolved.has(layout.name)) {
+      resolved.set(layout.name, this.resolveOverride(branch.layout, layout.name, `${layout.name}+${branch.id}`));
+    }
+    return resolved.get(layout.name);
+  }
+
+  /**
+   * Find the loaded layout that applies to a sheet
+   * Exact sheet matches win, then the layout with the latest effectiveFrom not after the sheet's month
+   * @param {string} sheetName - Sheet name (e.g., "AUG25")
+   * @returns {Object} Resolved layout
+   */
+  findLayout(sheetName) {
+    const layouts = this.ensureLoaded();
+
+    const exact = layouts.find(layout => layout.sheets.includes(sheetName));
+    if (exact) {
+      return exact;
+    }
+
+    const parsed = sheetDetector.parseSheetName(sheetName);
+    const sheetMonth = parsed
+      ? `${parsed.year}-${(parsed.month + 1).toString().padStart(2, '0')}`
+      : null;
+
+    const candidates = layouts
+      .filter(layout => layout.effectiveFrom && (!sheetMonth || layout.effectiveFrom <= sheetMonth))
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+    if (candidates.length > 0) {
+      return candidates[0];
+    }
+
+    // Sheets older than every layout use the earliest one
+    const earliest = layouts
+      .filter(layout => layout.effectiveFrom)
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))[0];
+
+    if (!earliest) {
+      throw new Error(`No sheet layout applies to "${sheetName}"`);
+    }
+
+    return earliest;
+  }
+
+  /**
+   * Get one section of the layout that applies to a sheet
+   * @param {string} sheetName - Sheet name
+   * @param {string} sectionName - attendance, cargo, express or pengeluaran
+   * @returns {Object} Resolved section
+   */
+  getSection(sheetName, sectionName) {
+    return this.getLayout(sheetName)[sectionName];
+  }
+}
+
+module.exports = new SheetLayoutConfig();
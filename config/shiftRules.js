@@ -0,0 +1,132 @@
+const VersionedJsonConfig = require('./versionedConfig');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_CLOSING_TIME = '22:00';
+
+/**
+ * Shift Rules Configuration
+ * Loads the expected shift of each employee: a default start/end, per-weekday overrides
+ * (null = not scheduled that day) and the minutes of grace before a check-in counts as late,
+ * plus the branch closing time after which a check-in without a check-out is flagged.
+ * Employees missing from the file have no schedule and are never judged.
+ */
+class ShiftRulesConfig extends VersionedJsonConfig {
+  constructor() {
+    super({ name: 'shift rules', icon: '🕘', envVar: 'SHIFT_RULES_FILE', defaultFile: 'shifts.json' });
+  }
+
+  /**
+   * Check the shift rules file
+   * @param {Object} raw - Parsed rules file
+   * @param {Array} errors - Problems found
+   * @returns {Object} Rules { graceMinutes, closingTime, employees } with employee names uppercased
+   */
+  parse(raw, errors) {
+    if (!raw.employees || typeof raw.employees !== 'object' || Array.isArray(raw.employees)) {
+      throw this.invalid('"employees" must be an object keyed by name');
+    }
+
+    const checkGrace = (value, label) => {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        errors.push(`${label}: "graceMinutes" must be a whole number of minutes`);
+      }
+    };
+    const checkTimes = (shift, label) => {
+      ['start', 'end'].forEach((key) => {
+        if (shift[key] !== undefined && this.parseTime(shift[key]) === null) {
+          errors.push(`${label}: "${key}" must be HH:MM`);
+        }
+      });
+    };
+
+    checkGrace(raw.graceMinutes, 'shift rules');
+    if (raw.closingTime !== undefined && this.parseTime(raw.closingTime) === null) {
+      errors.push('shift rules: "closingTime" must be HH:MM');
+    }
+
+    const employees = {};
+    Object.entries(raw.employees).forEach(([name, shift]) => {
+      const label = `employee ${name}`;
+
+      if (!shift || typeof shift !== 'object') {
+        errors.push(`${label}: must be an object with "start" and "end"`);
+        return;
+      }
+
+      if (shift.start === undefined || shift.end === undefined) {
+        errors.push(`${label}: "start" and "end" are required`);
+      }
+      checkTimes(shift, label);
+      checkGrace(shift.graceMinutes, label);
+
+      Object.entries(shift.overrides || {}).forEach(([weekday, override]) => {
+        if (!WEEKDAYS.includes(weekday)) {
+          errors.push(`${label}: override "${weekday}" must be one of ${WEEKDAYS.join(', ')}`);
+        } else if (override !== null) {
+          checkTimes(override, `${label} ${weekday}`);
+        }
+      });
+
+      employees[name.trim().toUpperCase()] = shift;
+    });
+
+    return { graceMinutes: raw.graceMinutes || 0, closingTime: raw.closingTime || DEFAULT_CLOSING_TIME, employees };
+  }
+
+  /**
+   * Parse "HH:MM" into minutes after midnight
+   * @param {string} value - Time
+   * @returns {number|null} Minutes, or null if invalid
+   */
+  parseTime(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(typeof value === 'string' ? value : '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+
+  /**
+   * Describe the loaded rules for the startup log
+   * @returns {string} Summary
+   */
+  summary() {
+    return `Shift rules loaded for ${Object.keys(this.rules.employees).length} employee(s) (${this.filePath})`;
+  }
+
+  /**
+   * Get the branch closing time
+   * @returns {number} Minutes after midnight
+   */
+  getClosingTime() {
+    return this.parseTime(this.ensureLoaded().closingTime);
+  }
+
+  /**
+   * Get the shift an employee is expected to work on a date
+   * @param {string} name - Employee name as written in the sheet (case-insensitive)
+   * @param {Date} date - Day
+   * @returns {Object|null|undefined} { start, end, graceMinutes } in minutes after midnight,
+   *   null when not scheduled that day, undefined when the employee has no rules
+   */
+  getShift(name, date) {
+    const rules = this.ensureLoaded();
+    const shift = rules.employees[name.trim().toUpperCase()];
+
+    if (!shift) {
+      return undefined;
+    }
+
+    const weekday = WEEKDAYS[date.getDay()];
+    const overrides = shift.overrides || {};
+    if (overrides[weekday] === null) {
+      return null;
+    }
+
+    const { start, end } = { ...shift, ...(overrides[weekday] || {}) };
+    return {
+      start: this.parseTime(start),
+      end: this.parseTime(end),
+      graceMinutes: shift.graceMinutes !== undefined ? shift.graceMinutes : rules.graceMinutes
+    };
+  }
+}
+
+module.exports = new ShiftRulesConfig();
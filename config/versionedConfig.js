@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_VERSION = 1;
+
+/**
+ * Versioned JSON Configuration
+ * Base for the rules files under config/: reads the JSON file named by an env var (or the default
+ * next to this module), checks its "version" and hands it to the subclass's parse(raw, errors).
+ * Every problem parse collects is reported at once, so one startup shows everything to fix.
+ */
+class VersionedJsonConfig {
+  /**
+   * @param {Object} options - { name, icon, envVar, defaultFile }
+   *   name: used in messages (e.g., "shift rules"), icon: startup log prefix,
+   *   envVar: variable overriding the path, defaultFile: file in config/ (none = no default)
+   */
+  constructor({ name, icon, envVar, defaultFile = null }) {
+    this.name = name;
+    this.icon = icon;
+    this.envVar = envVar;
+    this.defaultFile = defaultFile;
+    this.filePath = null;
+    this.rules = null;
+  }
+
+  /**
+   * Get the path load() reads without an argument
+   * @returns {string|undefined} Env var value, else the default file
+   */
+  getDefaultPath() {
+    return process.env[this.envVar] || (this.defaultFile ? path.join(__dirname, this.defaultFile) : undefined);
+  }
+
+  /**
+   * Load and validate the rules file
+   * @param {string} filePath - Path to the rules JSON (default: getDefaultPath())
+   * @returns {Object} Rules
+   */
+  load(filePath = this.getDefaultPath()) {
+    try {
+      const resolvedPath = path.resolve(filePath);
+      const raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+      this.rules = this.validate(raw);
+      this.filePath = resolvedPath;
+
+      return this.rules;
+    } catch (error) {
+      console.error(`❌ Error loading ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a raw rules file
+   * @param {Object} raw - Parsed rules file
+   * @returns {Object} Rules as returned by parse
+   */
+  validate(raw) {
+    if (!raw || raw.version !== SUPPORTED_VERSION) {
+      throw this.invalid(`version must be ${SUPPORTED_VERSION}`);
+    }
+
+    const errors = [];
+    const rules = this.parse(raw, errors);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${this.name}:\n- ${errors.join('\n- ')}`);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Check and normalize the content of a rules file (implemented by each config)
+   * @param {Object} raw - Parsed rules file, version already checked
+   * @param {Array} errors - Push one message per problem found
+   * @returns {Object} Rules
+   */
+  parse() {
+    throw new Error(`${this.constructor.name} must implement parse()`);
+  }
+
+  /**
+   * Build the error for a broken rules file
+   * @param {string} message - What is wrong
+   * @returns {Error} Error prefixed with "Invalid <name>:"
+   */
+  invalid(message) {
+    return new Error(`Invalid ${this.name}: ${message}`);
+  }
+
+  /**
+   * Make sure the rules file has been loaded
+   * @returns {Object} Rules
+   */
+  ensureLoaded() {
+    if (!this.rules) {
+      this.load();
+    }
+    return this.rules;
+  }
+
+  /**
+   * Describe the loaded rules for the startup log
+   * @returns {string} e.g., "Payroll rules loaded (/app/config/payroll.json)"
+   */
+  summary() {
+    return `${this.name.charAt(0).toUpperCase()}${this.name.slice(1)} loaded (${this.filePath})`;
+  }
+}
+
+module.exports = VersionedJsonConfig;
@@ -1,302 +1,281 @@
-const sheetManager = require('./services/sheetManager');
-const sheetDetector = require('./utils/sheetDetector');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const reportService = require('./services/reportService');
+const reportFormatter = require('./services/reportFormatter');
+const sheetLinter = require('./services/sheetLinter');
+const awbSearch = require('./services/awbSearch');
+const sheetLayout = require('./config/sheetLayout');
+const shiftRules = require('./config/shiftRules');
+const marketplaceRules = require('./config/marketplaceRules');
+const dateUtils = require('./utils/dateUtils');
 
-async function generateDailyReport() {
-  try {
-    // Get date from command line argument or use today's date
-    const args = process.argv.slice(2);
-    let targetDate;
-    
-    if (args.length > 0) {
-      // Parse date from argument (format: DD/MM/YYYY or DD-MM-YYYY)
-      const dateArg = args[0];
-      const dateMatch = dateArg.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{4})/);
-      
-      if (dateMatch) {
-        const [, day, month, year] = dateMatch;
-        targetDate = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-      } else {
-        console.log('❌ Format tanggal salah! Gunakan format: DD/MM/YYYY atau DD-MM-YYYY');
-        console.log('Contoh: node daily-report.js 03/08/2025');
-        process.exit(1);
-      }
-    } else {
-      targetDate = new Date();
+const CLI_FORMATS = ['json', 'text', 'markdown', 'csv'];
+const LINT_FORMATS = ['text', 'json'];
+
+const USAGE = `Laporan Harian J&T
+
+Usage:
+  node daily-report.js [DD/MM/YYYY] [options]
+  node daily-report.js lint <YYYY-MM> [--format text|json] [--out <file>]
+  node daily-report.js awb <nomor> [--format text|json] [--out <file>]
+
+Options:
+  --date <date>      Daily report (YYYY-MM-DD or DD/MM/YYYY, default: today)
+  --from <date>      Range report start, use with --to
+  --to <date>        Range report end, use with --from
+  --month <YYYY-MM>  Monthly report from one MMMYY sheet
+  --format <format>  ${CLI_FORMATS.join(' | ')} (default: text)
+  --out <file>       Write the report to a file instead of stdout
+  --reconcile        Bandingkan total dengan baris TOTAL di sheet (CARGO & EXPRESS)
+  --unpriced         Tambah daftar pengeluaran yang belum ada harga (bulan ini & bulan lalu, laporan harian)
+  -h, --help         Show this help
+
+Commands:
+  lint <YYYY-MM>     Cek data sheet bulan itu (AWB dobel/salah, bayar tanpa AWB, Kg, pengeluaran, absensi)
+                     Exit code 2 kalau ada masalah
+  awb <nomor>        Cari nomor AWB (boleh sebagian, min. ${awbSearch.minQueryLength} karakter) di CARGO & EXPRESS semua sheet MMMYY
+
+Examples:
+  npm run report
+  npm run report -- --date 2025-08-04
+  npm run report -- --date 2025-08-04 --unpriced
+  npm run report -- --from 2025-07-29 --to 2025-08-04 --format csv --out minggu.csv
+  npm run report -- --month 2025-08 --format json
+  npm run report -- lint 2025-08
+  npm run report -- awb 2222222222`;
+
+/**
+ * Parse the arguments of the lint command
+ * @param {Array<string>} argv - Arguments after "lint"
+ * @returns {Object} { mode: 'lint'|'help', format, out, year, month }
+ */
+function parseLintOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      month: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    return { mode: 'help' };
+  }
+
+  if (!LINT_FORMATS.includes(values.format)) {
+    throw new Error(`Format tidak dikenal: ${values.format}. Gunakan: ${LINT_FORMATS.join(', ')}`);
+  }
+
+  const monthArg = values.month || positionals[0];
+  const parsedMonth = dateUtils.parseMonth(monthArg);
+  if (!parsedMonth) {
+    throw new Error(`Format bulan salah: ${monthArg || '(kosong)'}. Gunakan YYYY-MM (contoh: 2025-08)`);
+  }
+
+  return { mode: 'lint', format: values.format, out: values.out || null, ...parsedMonth };
+}
+
+/**
+ * Parse the arguments of the awb command
+ * @param {Array<string>} argv - Arguments after "awb"
+ * @returns {Object} { mode: 'awb'|'help', format, out, query }
+ */
+function parseAwbOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'text' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    return { mode: 'help' };
+  }
+
+  if (!LINT_FORMATS.includes(values.format)) {
+    throw new Error(`Format tidak dikenal: ${values.format}. Gunakan: ${LINT_FORMATS.join(', ')}`);
+  }
+
+  const query = positionals.join(' ');
+  if (!awbSearch.isValidQuery(query)) {
+    throw new Error(`Nomor AWB terlalu pendek: ${query || '(kosong)'}. Minimal ${awbSearch.minQueryLength} huruf/angka`);
+  }
+
+  return { mode: 'awb', format: values.format, out: values.out || null, query };
+}
+
+/**
+ * Parse and validate command line arguments
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Object} { mode: 'daily'|'range'|'month'|'lint'|'awb'|'help', format, out, reconcile, unpriced, date, from, to, year, month, query }
+ */
+function parseOptions(argv) {
+  if (argv[0] === 'lint') {
+    return parseLintOptions(argv.slice(1));
+  }
+
+  if (argv[0] === 'awb') {
+    return parseAwbOptions(argv.slice(1));
+  }
+
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      date: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      month: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      out: { type: 'string' },
+      reconcile: { type: 'boolean', default: false },
+      unpriced: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    return { mode: 'help' };
+  }
+
+  if (!CLI_FORMATS.includes(values.format)) {
+    throw new Error(`Format tidak dikenal: ${values.format}. Gunakan: ${CLI_FORMATS.join(', ')}`);
+  }
+
+  const options = { format: values.format, out: values.out || null, reconcile: values.reconcile, unpriced: values.unpriced };
+
+  // Positional DD/MM/YYYY is kept for `npm run report 04/08/2025`
+  const dateArg = values.date || positionals[0];
+  const modes = [dateArg, values.from || values.to, values.month].filter(Boolean).length;
+
+  if (modes > 1) {
+    throw new Error('Gunakan salah satu: --date, --from/--to, atau --month');
+  }
+
+  if (values.month) {
+    const parsedMonth = dateUtils.parseMonth(values.month);
+    if (!parsedMonth) {
+      throw new Error(`Format bulan salah: ${values.month}. Gunakan YYYY-MM (contoh: 2025-08)`);
+    }
+    return { ...options, mode: 'month', ...parsedMonth };
+  }
+
+  if (values.from || values.to) {
+    const from = dateUtils.parseDate(values.from);
+    const to = dateUtils.parseDate(values.to);
+
+    if (!from || !to) {
+      throw new Error('--from dan --to harus diisi dengan format YYYY-MM-DD atau DD/MM/YYYY');
     }
-    
-    const today = targetDate;
-    const todayDay = today.getDate().toString().padStart(2, '0');
-    const todayMonth = (today.getMonth() + 1).toString().padStart(2, '0');
-    const todayYear = today.getFullYear();
-    
-    console.log(`Laporan Harian J&T`);
-    console.log(`${today.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`);
-    console.log('');
-
-    // Get target sheet based on input date
-    const targetSheet = sheetDetector.getSheetNameForDate(today);
-    
-    if (!targetSheet) {
-      console.log('❌ No suitable sheet found');
-      return;
+    if (dateUtils.countDays(from, to) < 1) {
+      throw new Error('--from tidak boleh setelah --to');
     }
+    return { ...options, mode: 'range', from, to };
+  }
 
-    // Read attendance data using AttendanceDetector
-    const attendanceDetector = require('./services/attendanceDetector');
-    
-    console.log('Absensi:');
-    
-    try {
-      const attendanceResult = await attendanceDetector.getTodayAttendance(targetSheet, today.getDate());
-      
-      if (attendanceResult.attendance && attendanceResult.attendance.length > 0) {
-        let hasAttendance = false;
-        
-        attendanceResult.attendance.forEach((employee, index) => {
-          if (employee.isPresent) {
-            const inTime = employee.inTime || '-';
-            const outTime = employee.outTime || '-';
-            console.log(`${index + 1}. ${employee.name} (In: ${inTime}, Out: ${outTime})`);
-            hasAttendance = true;
-          }
-        });
-        
-        if (!hasAttendance) {
-          console.log('Tidak ada data absensi untuk tanggal ini');
-        }
-      } else {
-        console.log('Tidak ada data absensi untuk tanggal ini');
-      }
-    } catch (error) {
-      console.log('Tidak ada data absensi untuk tanggal ini');
+  if (dateArg) {
+    const date = dateUtils.parseDate(dateArg);
+    if (!date) {
+      throw new Error(`Format tanggal salah: ${dateArg}. Gunakan YYYY-MM-DD atau DD/MM/YYYY (contoh: 03/08/2025)`);
     }
-    
-    console.log('');
-
-    // First, find where "PENGELUARAN" starts in column B
-    const searchData = await sheetManager.getSheetData(targetSheet, 'B13:B300');
-    let endRow = 200; // Default fallback
-    
-    for (let i = 0; i < searchData.length; i++) {
-      const cellValue = searchData[i][0];
-      if (cellValue && cellValue.toString().toUpperCase().includes('PENGELUARAN')) {
-        endRow = 13 + i - 1; // Stop before the PENGELUARAN row
-        break;
-      }
+    return { ...options, mode: 'daily', date };
+  }
+
+  return { ...options, mode: 'daily', date: dateUtils.now() };
+}
+
+/**
+ * Generate the report selected by the options
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object>} Daily, month or range report, a lint result or an AWB search
+ */
+async function generateReport(options) {
+  if (options.mode === 'lint') {
+    return sheetLinter.lintMonth(options.year, options.month);
+  }
+
+  if (options.mode === 'awb') {
+    return awbSearch.search(options.query);
+  }
+
+  if (options.mode === 'month') {
+    return reportService.generateMonthlyReport(options.year, options.month, options);
+  }
+
+  if (options.mode === 'range') {
+    return reportService.generateRangeReport(options.from, options.to, options);
+  }
+
+  return reportService.generateDailyReport(options.date, options);
+}
+
+/**
+ * Render a report for the CLI
+ * @param {Object} report - Report data
+ * @param {Object} options - Parsed options
+ * @returns {string} Rendered report
+ */
+function renderReport(report, options) {
+  if (options.format === 'json') {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+  if (options.mode === 'lint') {
+    return reportFormatter.lintToText(report);
+  }
+  if (options.mode === 'awb') {
+    return reportFormatter.awbSearchToText(report);
+  }
+  return reportFormatter.render(report, options.format).body;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const options = parseOptions(argv);
+
+    if (options.mode === 'help') {
+      console.log(USAGE);
+      return 0;
     }
-    
-    console.log(`Reading cargo data from row 13 to ${endRow}`);
-    
-    // Read cargo data manually with continuation logic up to PENGELUARAN
-    const cargoData = await sheetManager.getSheetData(targetSheet, `A13:R${endRow}`);
-    
-    let currentDate = null;
-    const todayCargoRows = [];
-    
-    cargoData.forEach((row, index) => {
-      const dateValue = row[1]; // Column B (date)
-      const awb = row[3]; // Column D (AWB)
-      const kg = row[7]; // Column H (Kg)
-      const sistem = row[10]; // Column K (Sistem)
-      const tunai = row[8]; // Column I (Tunai)
-      const tfMandiriK = row[10]; // Column K (TF Mandiri - bagian 1)
-      const tfMandiriL = row[11]; // Column L (TF Mandiri - bagian 2)
-      const tfBca = row[12]; // Column M (TF BCA)
-      const dfod = row[13]; // Column N (DFOD)
-      const packing = row[14]; // Column O (Packing)
-      
-      // Check if this row has a date
-      if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
-        if (dateValue === todayDay) {
-          currentDate = todayDay;
-        } else {
-          currentDate = null;
-        }
-      }
-      
-      // If we're in today's date section, collect the row
-      if (currentDate === todayDay) {
-        todayCargoRows.push({ row, awb, kg, sistem, tunai, tfMandiriK, tfMandiriL, tfBca, dfod, packing });
-      }
-    });
-    
-    // Calculate total AWB
-    let totalAWB = 0;
-    let totalPcs = 0;
-    let totalKg = 0;
-    let totalOnlineKg = 0;
-    let onlineAWBs = [];
-    let totalTunai = 0;
-    let totalTfMandiri = 0;
-    let totalTfBca = 0;
-    let totalDfod = 0;
-    let totalPacking = 0;
-    
-    todayCargoRows.forEach((entry) => {
-      const { awb, kg, sistem, tunai, tfMandiriK, tfMandiriL, tfBca, dfod, packing } = entry;
-      
-              if (awb && awb.toString().trim() !== '' && awb.toString().toLowerCase() !== 'total') {
-        const pcs = sistem ? parseFloat(sistem.toString().replace(/[^\d.-]/g, '')) : 0;
-        const kgValue = kg ? parseFloat(kg.toString().replace(/[^\d.-]/g, '')) : 0;
-        const tunaiValue = tunai ? parseFloat(tunai.toString().replace(/[^\d.-]/g, '')) : 0;
-        const tfMandiriKValue = tfMandiriK ? parseFloat(tfMandiriK.toString().replace(/[^\d.-]/g, '')) : 0;
-        const tfMandiriLValue = tfMandiriL ? parseFloat(tfMandiriL.toString().replace(/[^\d.-]/g, '')) : 0;
-        const tfBcaValue = tfBca ? parseFloat(tfBca.toString().replace(/[^\d.-]/g, '')) : 0;
-        const dfodValue = dfod ? parseFloat(dfod.toString().replace(/[^\d.-]/g, '')) : 0;
-        const packingValue = packing ? parseFloat(packing.toString().replace(/[^\d.-]/g, '')) : 0;
-        
-        totalPcs += pcs;
-        totalTunai += tunaiValue;
-        totalTfMandiri += tfMandiriKValue + tfMandiriLValue;
-        totalTfBca += tfBcaValue;
-        totalDfod += dfodValue;
-        totalPacking += packingValue;
-        
-        // Check if it's online AWB (TikTok/Shopee/Api)
-        const awbString = awb.toString().toLowerCase();
-        if (awbString.includes('tiktok') || awbString.includes('shopee') || awbString.includes('api')) {
-          onlineAWBs.push(awb.toString());
-          totalOnlineKg += kgValue;
-        } else if (awb.toString().match(/^\d{10,}$/)) {
-          // Only count numeric AWB as regular AWB
-          totalAWB++;
-          totalKg += kgValue; // Only add to total kg if it's NOT online
-        }
-      }
-    });
-    
-    console.log('CARGO');
-    console.log(`2.1 Total AWB: ${totalAWB} pcs`);
-    console.log(`2.2 Total AWB Online: ${onlineAWBs.length > 0 ? onlineAWBs.join(' ') : 'TBD'}`);
-    console.log(`2.3 Total Tonase: ${totalKg} kg`);
-    console.log(`2.4 Total Tonase Online: ${totalOnlineKg} kg`);
-    console.log(`2.5 Total Tunai: Rp ${totalTunai.toLocaleString()}`);
-    console.log(`2.6 Total TF Mandiri: Rp ${totalTfMandiri.toLocaleString()}`);
-    console.log(`2.7 Total TF BCA: Rp ${totalTfBca.toLocaleString()}`);
-    console.log(`2.8 Total DFOD: Rp ${totalDfod.toLocaleString()}`);
-        console.log(`2.9 Total Packing: Rp ${totalPacking.toLocaleString()}`);
-
-    console.log('');
-    console.log('EXPRESS');
-
-    // Read EXPRESS data from AD9 to AY up to PENGELUARAN
-    const expressData = await sheetManager.getSheetData(targetSheet, `AD9:AY${endRow}`);
-    
-    let expressCurrentDate = null;
-    const todayExpressRows = [];
-    
-    expressData.forEach((row, index) => {
-      const dateValue = row[0]; // Column AD (date)
-      const awb = row[2]; // Column AF (AWB/Paket)
-      const tunai = row[7]; // Column AK (Tunai)
-      const mandiri = row[9]; // Column AM (Mandiri)
-      const bca = row[11]; // Column AO (BCA)
-      const packing = row[13]; // Column AQ (Packing)
-
-      // Check if this row has a date
-      if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
-        if (dateValue === todayDay) {
-          expressCurrentDate = todayDay;
-        } else {
-          expressCurrentDate = null;
-        }
-      }
-
-      // If we're in today's date section, collect rows with prices
-      if (expressCurrentDate === todayDay) {
-        // Check for "TOTAL" in ANY column of this row
-        let hasTotal = false;
-        for (let i = 0; i < row.length; i++) {
-          const cellValue = row[i];
-          if (cellValue && cellValue.toString().toLowerCase().includes('total')) {
-            hasTotal = true;
-            break;
-          }
-        }
-        
-        // Skip rows with "TOTAL" in any column
-        if (hasTotal) {
-          return;
-        }
-        
-        // Count any row that has at least one payment value
-        if (tunai || mandiri || bca || packing) {
-          todayExpressRows.push({ row, awb, tunai, mandiri, bca, packing });
-        }
-      }
-    });
-
-    // Calculate EXPRESS totals
-    let totalExpressAWB = todayExpressRows.length; // Each row with price = 1 AWB
-    let totalExpressTunai = 0;
-    let totalExpressMandiri = 0;
-    let totalExpressBca = 0;
-    let totalExpressPacking = 0;
-
-    todayExpressRows.forEach((entry) => {
-      const { tunai, mandiri, bca, packing } = entry;
-
-      const tunaiValue = tunai ? parseFloat(tunai.toString().replace(/[^\d.-]/g, '')) : 0;
-      const mandiriValue = mandiri ? parseFloat(mandiri.toString().replace(/[^\d.-]/g, '')) : 0;
-      const bcaValue = bca ? parseFloat(bca.toString().replace(/[^\d.-]/g, '')) : 0;
-      const packingValue = packing ? parseFloat(packing.toString().replace(/[^\d.-]/g, '')) : 0;
-
-      totalExpressTunai += tunaiValue;
-      totalExpressMandiri += mandiriValue;
-      totalExpressBca += bcaValue;
-      totalExpressPacking += packingValue;
-    });
-
-    console.log(`3.1 Total AWB Express: ${totalExpressAWB} pcs`);
-    console.log(`3.2 Total Tunai Express: Rp ${totalExpressTunai.toLocaleString()}`);
-    console.log(`3.3 Total TF Mandiri Express: Rp ${totalExpressMandiri.toLocaleString()}`);
-    console.log(`3.4 Total TF BCA Express: Rp ${totalExpressBca.toLocaleString()}`);
-    console.log(`3.5 Total Packing Express: Rp ${totalExpressPacking.toLocaleString()}`);
-
-    console.log('');
-    console.log('PENGELUARAN / PEMBELIAN');
-
-    // Read PENGELUARAN data - start from B226 and read a large range to catch all data
-    const pengeluaranData = await sheetManager.getSheetData(targetSheet, 'B226:S400');
-    
-    let totalPengeluaran = 0;
-    let pengeluaranWithoutPrice = [];
-    
-    pengeluaranData.forEach((row, index) => {
-      const dateValue = row[0]; // Column B (date) - FIXED!
-      const description = row[2]; // Column D (keterangan)
-      const amount = row[11]; // Column M (jumlah)
-      
-      // Check if this row matches today's date (try both padded and unpadded)
-      const targetDay = today.getDate().toString(); // Without padding (e.g., "4")
-      const targetDayPadded = today.getDate().toString().padStart(2, '0'); // With padding (e.g., "04")
-      if (dateValue && (dateValue.toString() === targetDay || dateValue.toString() === targetDayPadded)) {
-        if (description && description.toString().trim() !== '') {
-          if (amount && amount.toString().trim() !== '') {
-            // Has price
-            const amountValue = parseFloat(amount.toString().replace(/[^\d.-]/g, ''));
-            totalPengeluaran += amountValue;
-          } else {
-            // No price
-            pengeluaranWithoutPrice.push(description.toString().trim());
-          }
-        }
-      }
-    });
-
-    console.log(`4.1 Total: Rp ${totalPengeluaran.toLocaleString()}`);
-    console.log('4.2 Pengeluaran Tanpa Harga:');
-    if (pengeluaranWithoutPrice.length > 0) {
-      pengeluaranWithoutPrice.forEach(item => {
-        console.log(`- ${item}`);
-      });
+
+    sheetLayout.ensureLoaded();
+    shiftRules.ensureLoaded();
+    marketplaceRules.ensureLoaded();
+    const report = await generateReport(options);
+    const output = renderReport(report, options);
+
+    if (options.out) {
+      const outPath = path.resolve(options.out);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, output);
+      console.error(`✅ Report written to ${outPath}`);
     } else {
-      console.log('-');
+      process.stdout.write(output);
     }
 
+    // Let scripts tell a dirty sheet apart from a failed run
+    return options.mode === 'lint' && report.issueCount > 0 ? 2 : 0;
   } catch (error) {
-    console.error('Error generating daily report:', error);
+    console.error(`❌ ${error.message}`);
+    return 1;
   }
 }
 
-generateDailyReport(); 
\ No newline at end of file
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseOptions, main };
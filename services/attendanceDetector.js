@@ -1,33 +1,15 @@
 const sheetManager = require('./sheetManager');
+const sectionReader = require('./sectionReader');
+const shiftRules = require('../config/shiftRules');
+const dateUtils = require('../utils/dateUtils');
 
 class AttendanceDetector {
-  constructor() {
-    this.dateRow = 4; // Row 4 contains the dates
-    this.employeeRows = [6, 7]; // Rows 6 and 7 contain employee data
-    this.employeeNameColumn = 1; // Column B (index 1) contains employee names
-  }
-
   /**
    * Get today's date as a number (1-31)
    * @returns {number} Today's date
    */
   getTodayDate() {
-    return new Date().getDate();
-  }
-
-  /**
-   * Find column index for a specific date
-   * @param {Array} dateRow - Row 4 data containing dates
-   * @param {number} targetDate - Date to find (1-31)
-   * @returns {number|null} Column index for the date, or null if not found
-   */
-  findDateColumn(dateRow, targetDate) {
-    for (let i = 0; i < dateRow.length; i++) {
-      if (dateRow[i] && dateRow[i].toString() === targetDate.toString()) {
-        return i;
-      }
-    }
-    return null;
+    return dateUtils.now().getDate();
   }
 
   /**
@@ -37,20 +19,20 @@ class AttendanceDetector {
    */
   async getEmployeeNames(sheetName) {
     try {
-      // Read from row 6 to row 8 (before "2. CARGO" section)
-      const range = `${this.employeeNameColumn}${this.employeeStartRow}:${this.employeeNameColumn}${this.cargoSectionRow - 1}`;
-      const data = await sheetManager.getSheetData(sheetName, range);
+      // Read the employee rows of the attendance section (before "2. CARGO" section)
+      const { layout, rows, startRow } = await sectionReader.readSection(sheetName, 'attendance');
       
       // Filter out empty cells and extract employee names
       const employees = [];
-      data.forEach((row, index) => {
-        if (row && row[0] && row[0].trim() !== '') {
+      for (let i = layout.firstEmployeeRow - startRow; i < rows.length; i++) {
+        const name = sectionReader.getCell(rows[i] || [], layout, 'name');
+        if (name && name.toString().trim() !== '') {
           employees.push({
-            name: row[0].trim(),
-            row: this.employeeStartRow + index
+            name: name.toString().trim(),
+            row: startRow + i
           });
         }
-      });
+      }
       
       return employees;
     } catch (error) {
@@ -59,6 +41,239 @@ class AttendanceDetector {
     }
   }
 
+  /**
+   * Find the employees listed in the attendance section
+   * @param {Object} section - Section from sectionReader.readSection
+   * @returns {Array} [{ name, row, rowIndex }] with the raw row and its sheet row number
+   */
+  findEmployees({ layout, rows, startRow }) {
+    const employees = [];
+
+    for (let i = layout.firstEmployeeRow - startRow; i < rows.length; i++) {
+      const row = rows[i] || [];
+      const employeeName = sectionReader.getCell(row, layout, 'name');
+
+      if (employeeName && employeeName.toString().trim() !== '') {
+        employees.push({
+          name: employeeName.toString().trim(),
+          row: row,
+          rowIndex: i + startRow // Convert back to sheet row number
+        });
+      }
+    }
+
+    return employees;
+  }
+
+  /**
+   * Read the IN/OUT pair of one date from an employee row
+   * @param {Array} row - Employee row
+   * @param {number} dateColumnIndex - Index of the date's IN column (OUT is the next one)
+   * @returns {Object} { inTime, outTime }, "Off" normalized, null when empty
+   */
+  readEntry(row, dateColumnIndex) {
+    let inTime = row[dateColumnIndex] || null;
+    let outTime = row[dateColumnIndex + 1] || null;
+
+    // Clean up the time values
+    if (inTime && inTime.toString().toLowerCase() === 'off') inTime = 'Off';
+    if (outTime && outTime.toString().toLowerCase() === 'off') outTime = 'Off';
+
+    // Fix: If in is empty but out has time (and it's not "Off"), swap them
+    if (!inTime && outTime && outTime !== 'Off') {
+      inTime = outTime;
+      outTime = null;
+    }
+
+    return { inTime, outTime };
+  }
+
+  /**
+   * Classify an attendance entry
+   * @param {Object} entry - { inTime, outTime } from readEntry
+   * @returns {string} "present", "off" or "absent"
+   */
+  getStatus({ inTime, outTime }) {
+    if (inTime === 'Off' || outTime === 'Off') {
+      return 'off';
+    }
+    return inTime || outTime ? 'present' : 'absent';
+  }
+
+  /**
+   * Parse a time cell into minutes after midnight
+   * @param {*} value - Time cell (e.g., "9:05" or "9.05")
+   * @returns {number|null} Minutes, or null if not a time
+   */
+  parseTime(value) {
+    const match = /^([01]?\d|2[0-3])[:.]([0-5]\d)$/.exec((value || '').toString().trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+  }
+
+  /**
+   * Format minutes after midnight as a time
+   * @param {number} minutes - Minutes
+   * @returns {string} Time (e.g., "9:05")
+   */
+  formatMinutes(minutes) {
+    const rounded = Math.round(minutes);
+    return `${Math.floor(rounded / 60)}:${(rounded % 60).toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Judge an attendance entry against the employee's shift for that day
+   * - lateMinutes: check-in after start + grace, counted from the shift start
+   * - earlyDepartureMinutes / overtimeMinutes: check-out before / after the shift end
+   * - noShow: nothing entered on a scheduled day ("Off" is an approved day off), once the shift has started
+   * Working an unscheduled day counts entirely as overtime
+   * @param {Object} entry - { inTime, outTime } from readEntry
+   * @param {string} name - Employee name
+   * @param {Date} date - Day of the entry
+   * @param {Date} now - Current moment, so a shift that hasn't started yet isn't a no-show (default: now in CRON_TIMEZONE)
+   * @returns {Object|null} { scheduled, start, end, lateMinutes, earlyDepartureMinutes, overtimeMinutes, noShow },
+   *   or null when the employee has no shift rules
+   */
+  evaluateShift(entry, name, date, now = dateUtils.now()) {
+    const shift = shiftRules.getShift(name, date);
+    if (shift === undefined) {
+      return null;
+    }
+
+    const result = {
+      scheduled: !!shift,
+      start: shift ? this.formatMinutes(shift.start) : null,
+      end: shift ? this.formatMinutes(shift.end) : null,
+      lateMinutes: 0,
+      earlyDepartureMinutes: 0,
+      overtimeMinutes: 0,
+      noShow: false
+    };
+
+    const status = this.getStatus(entry);
+    if (status === 'absent') {
+      result.noShow = !!shift && this.hasShiftStarted(date, shift, now);
+      return result;
+    }
+    if (status === 'off') {
+      return result;
+    }
+
+    const inMinutes = this.parseTime(entry.inTime);
+    let outMinutes = this.parseTime(entry.outTime);
+    if (inMinutes !== null && outMinutes !== null && outMinutes < inMinutes) {
+      outMinutes += 24 * 60;
+    }
+
+    if (!shift) {
+      result.overtimeMinutes = inMinutes !== null && outMinutes !== null ? outMinutes - inMinutes : 0;
+      return result;
+    }
+
+    // Shifts ending after midnight end on the next day
+    const end = shift.end < shift.start ? shift.end + 24 * 60 : shift.end;
+
+    if (inMinutes !== null && inMinutes > shift.start + shift.graceMinutes) {
+      result.lateMinutes = inMinutes - shift.start;
+    }
+    if (outMinutes !== null) {
+      result.earlyDepartureMinutes = Math.max(0, end - outMinutes);
+      result.overtimeMinutes = Math.max(0, outMinutes - end);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a shift's check-in window (start + grace) has passed
+   * @param {Date} date - Day of the shift
+   * @param {Object} shift - { start, graceMinutes } from shiftRules.getShift
+   * @param {Date} now - Current moment
+   * @returns {boolean} True for past days, and today once start + grace has passed
+   */
+  hasShiftStarted(date, shift, now) {
+    return this.isPastTime(date, shift.start + shift.graceMinutes, now);
+  }
+
+  /**
+   * Check whether a time of day has passed on a given date
+   * @param {Date} date - Day
+   * @param {number} minutes - Time of day in minutes after midnight
+   * @param {Date} now - Current moment
+   * @returns {boolean} True for past days, and today once the time has passed
+   */
+  isPastTime(date, minutes, now) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (day.getTime() !== today.getTime()) {
+      return day < today;
+    }
+    return now.getHours() * 60 + now.getMinutes() >= minutes;
+  }
+
+  /**
+   * Check for a check-in without a check-out once the branch has closed (closingTime in the shift rules)
+   * @param {Object} entry - { inTime, outTime } from readEntry
+   * @param {Date} date - Day of the entry
+   * @param {Date} now - Current moment (default: now in CRON_TIMEZONE)
+   * @returns {boolean} True if the check-out is missing
+   */
+  isMissingClockOut(entry, date, now = dateUtils.now()) {
+    return this.getStatus(entry) === 'present'
+      && !entry.outTime
+      && this.isPastTime(date, shiftRules.getClosingTime(), now);
+  }
+
+  /**
+   * Find every date column of the ABSENSI block
+   * @param {Array} dateRow - Row holding the day numbers above each IN/OUT pair
+   * @returns {Array} [{ day, index }] in sheet order, first occurrence of each day
+   */
+  findDateColumns(dateRow) {
+    const columns = [];
+    const seen = new Set();
+
+    dateRow.forEach((value, index) => {
+      const text = (value || '').toString().trim();
+      const day = /^\d{1,2}$/.test(text) ? parseInt(text, 10) : null;
+
+      if (day >= 1 && day <= 31 && !seen.has(day)) {
+        seen.add(day);
+        columns.push({ day, index });
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Get every date's attendance for all employees
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Promise<Object>} { days, employees: [{ name, row, entries: [{ day, inTime, outTime, status }] }] }
+   */
+  async getMonthAttendance(sheetName) {
+    try {
+      const section = await sectionReader.readSection(sheetName, 'attendance');
+      const dateRow = section.rows[section.layout.dateRow - section.startRow] || [];
+      const dateColumns = this.findDateColumns(dateRow);
+
+      const employees = this.findEmployees(section).map(employee => ({
+        name: employee.name,
+        row: employee.rowIndex,
+        entries: dateColumns.map(({ day, index }) => {
+          const entry = this.readEntry(employee.row, index);
+          return { day, ...entry, status: this.getStatus(entry) };
+        })
+      }));
+
+      return { days: dateColumns.map(({ day }) => day), employees };
+
+    } catch (error) {
+      console.error('❌ Error getting monthly attendance:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get today's attendance for all employees
    * @param {string} sheetName - Name of the sheet
@@ -69,36 +284,22 @@ class AttendanceDetector {
     try {
       const today = targetDate || this.getTodayDate();
       
-      // First, find where "CARGO" starts in column B to determine employee range
-      const searchData = await sheetManager.getSheetData(sheetName, 'B1:B50');
-      let cargoRowIndex = -1;
+      // Read the attendance block (row 3 up to the row before "CARGO" by default) using the sheet layout
+      const { layout, rows: attendanceData, startRow } = await sectionReader.readSection(sheetName, 'attendance');
+      const dateRowIndex = layout.dateRow - startRow;
+      const firstEmployeeIndex = layout.firstEmployeeRow - startRow;
       
-      for (let i = 0; i < searchData.length; i++) {
-        const cellValue = searchData[i][0];
-        if (cellValue && cellValue.toString().toUpperCase().includes('CARGO')) {
-          cargoRowIndex = i + 1; // Convert to 1-based row number
-          break;
-        }
-      }
-      
-      if (cargoRowIndex === -1) {
-        throw new Error('CARGO section not found');
-      }
-      
-      // Read the attendance data range from A3 to row before CARGO, extending columns to BM
-      const attendanceData = await sheetManager.getSheetData(sheetName, `A3:BM${cargoRowIndex - 1}`);
-      
-      if (!attendanceData || attendanceData.length < 3) {
+      if (!attendanceData || attendanceData.length <= dateRowIndex) {
         throw new Error('Insufficient attendance data');
       }
       
-      // Row 4 contains dates (index 1 in our array)
-      const dateRow = attendanceData[1];
+      // The date row holds the day numbers
+      const dateRow = attendanceData[dateRowIndex];
       
-      // Find column for today's date
-      const dateColumnIndex = this.findDateColumn(dateRow, today);
+      // Find column for today's date, read like the monthly view ("4" or "04")
+      const dateColumn = this.findDateColumns(dateRow).find(({ day }) => day === Number(today));
       
-      if (dateColumnIndex === null) {
+      if (!dateColumn) {
         // Return empty attendance if date not found
         return {
           date: today,
@@ -109,45 +310,20 @@ class AttendanceDetector {
         };
       }
       
-      // Find all employees (starting from row 6, which is index 3 in our array)
-      const employees = [];
-      for (let i = 3; i < attendanceData.length; i++) {
-        const row = attendanceData[i];
-        const employeeName = row[1]; // Column B (index 1)
-        
-        if (employeeName && employeeName.toString().trim() !== '') {
-          employees.push({
-            name: employeeName.toString().trim(),
-            row: row,
-            rowIndex: i + 3 // Convert back to sheet row number
-          });
-        }
-      }
-      
-      const attendanceResults = [];
+      // Find all employees (from the first employee row down to the end of the section)
+      const employees = this.findEmployees({ layout, rows: attendanceData, startRow });
       
-      for (const employee of employees) {
-        let inTime = employee.row[dateColumnIndex] || null;
-        let outTime = employee.row[dateColumnIndex + 1] || null;
-        
-        // Clean up the time values
-        if (inTime && inTime.toString().toLowerCase() === 'off') inTime = 'Off';
-        if (outTime && outTime.toString().toLowerCase() === 'off') outTime = 'Off';
-        
-        // Fix: If in is empty but out has time (and it's not "Off"), swap them
-        if (!inTime && outTime && outTime !== 'Off') {
-          inTime = outTime;
-          outTime = null;
-        }
+      const attendanceResults = employees.map((employee) => {
+        const { inTime, outTime } = this.readEntry(employee.row, dateColumn.index);
         
-        attendanceResults.push({
+        return {
           name: employee.name,
           date: today,
           inTime: inTime,
           outTime: outTime,
           isPresent: !!(inTime || outTime)
-        });
-      }
+        };
+      });
       
       return {
         date: today,
@@ -0,0 +1,179 @@
+const sheetManager = require('./sheetManager');
+const reportService = require('./reportService');
+const attendanceDetector = require('./attendanceDetector');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+
+/**
+ * Attendance Report
+ * Walks every date column of a month's ABSENSI block and sums it up per employee,
+ * for monthly performance reviews
+ */
+class AttendanceReport {
+  /**
+   * Generate the attendance summary of every employee for one month
+   * @param {number} year - Full year (e.g., 2025)
+   * @param {number} month - Month index (0-11)
+   * @param {Object} options - { today: days after it aren't counted yet, and the moment shifts and check-outs are judged at
+   *   (default: now in CRON_TIMEZONE), includeDays: keep each employee's days }
+   * @returns {Promise<Object>} { month, sheet, countedDays, employees }
+   */
+  async generateMonthlyAttendance(year, month, options = {}) {
+    try {
+      const firstDay = new Date(year, month, 1);
+      const targetSheet = sheetDetector.getSheetNameForDate(firstDay);
+
+      await reportService.assertSheetExists(targetSheet);
+      await sheetManager.prefetchSheets([targetSheet]);
+
+      const { days, employees } = await attendanceDetector.getMonthAttendance(targetSheet);
+      const today = options.today || dateUtils.now();
+      const countedDays = this.getCountedDays(year, month, days, today);
+
+      return {
+        month: dateUtils.formatDate(firstDay).slice(0, 7),
+        sheet: targetSheet,
+        countedDays: countedDays.length,
+        employees: employees.map((employee) => {
+          const { days: employeeDays, ...summary } = this.summarizeEmployee(employee, year, month, countedDays, today);
+          return options.includeDays ? { ...summary, days: employeeDays } : summary;
+        })
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating monthly attendance:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate the attendance of one employee for one month, with every counted day
+   * @param {number} year - Full year (e.g., 2025)
+   * @param {number} month - Month index (0-11)
+   * @param {string} employeeName - Name as written in the sheet (case-insensitive)
+   * @param {Object} options - { today }
+   * @returns {Promise<Object>} { month, sheet, countedDays, employee }
+   */
+  async generateEmployeeAttendance(year, month, employeeName, options = {}) {
+    const { employees, ...result } = await this.generateMonthlyAttendance(year, month, { ...options, includeDays: true });
+    const employee = employees.find(item => item.name.toLowerCase() === employeeName.trim().toLowerCase());
+
+    if (!employee) {
+      const error = new Error(`Employee "${employeeName}" not found in ${result.sheet}`);
+      error.code = 'EMPLOYEE_NOT_FOUND';
+      throw error;
+    }
+
+    return { ...result, employee };
+  }
+
+  /**
+   * Days of the ABSENSI block that count: real dates of the month, up to today
+   * @param {number} year - Full year
+   * @param {number} month - Month index (0-11)
+   * @param {Array<number>} days - Day numbers found in the date row
+   * @param {Date} today - Reference day
+   * @returns {Array<number>} Counted day numbers
+   */
+  getCountedDays(year, month, days, today) {
+    const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    return days.filter((day) => {
+      const date = dateUtils.buildDate(year, month + 1, day);
+      return date && date <= end;
+    });
+  }
+
+  /**
+   * Hours worked from an in/out pair, past midnight when out is before in
+   * @param {Object} entry - { inTime, outTime }
+   * @returns {number|null} Minutes worked, or null without two valid times
+   */
+  getWorkedMinutes({ inTime, outTime }) {
+    const inMinutes = attendanceDetector.parseTime(inTime);
+    const outMinutes = attendanceDetector.parseTime(outTime);
+
+    if (inMinutes === null || outMinutes === null) {
+      return null;
+    }
+
+    return outMinutes >= inMinutes ? outMinutes - inMinutes : outMinutes + 24 * 60 - inMinutes;
+  }
+
+  /**
+   * Sum up one employee's month
+   * Days are judged like the daily report: nothing entered on a day the shift rules don't schedule is Off,
+   * and a check-out only counts as missing once closingTime has passed
+   * @param {Object} employee - { name, row, entries } from attendanceDetector.getMonthAttendance
+   * @param {number} year - Full year
+   * @param {number} month - Month index (0-11)
+   * @param {Array<number>} countedDays - Day numbers to include
+   * @param {Date} now - Current moment, for judging today's shift and check-outs (default: now in CRON_TIMEZONE)
+   * @returns {Object} Employee summary with its counted days
+   */
+  summarizeEmployee(employee, year, month, countedDays, now = dateUtils.now()) {
+    const days = employee.entries
+      .filter(entry => countedDays.includes(entry.day))
+      .map((entry) => {
+        const date = dateUtils.buildDate(year, month + 1, entry.day);
+        const minutes = entry.status === 'present' ? this.getWorkedMinutes(entry) : null;
+        const shift = attendanceDetector.evaluateShift(entry, employee.name, date, now);
+
+        return {
+          date: dateUtils.formatDate(date),
+          status: entry.status === 'absent' && shift && !shift.scheduled ? 'off' : entry.status,
+          inTime: entry.inTime,
+          outTime: entry.outTime,
+          hours: minutes === null ? null : Math.round(minutes / 60 * 100) / 100,
+          missingCheckOut: attendanceDetector.isMissingClockOut(entry, date, now),
+          shift
+        };
+      });
+
+    const present = days.filter(day => day.status === 'present');
+    const checkIns = present
+      .map(day => attendanceDetector.parseTime(day.inTime))
+      .filter(minutes => minutes !== null);
+    const totalMinutes = present.reduce((sum, day) => sum + (this.getWorkedMinutes(day) || 0), 0);
+
+    return {
+      name: employee.name,
+      row: employee.row,
+      daysPresent: present.length,
+      daysOff: days.filter(day => day.status === 'off').length,
+      daysAbsent: days.filter(day => day.status === 'absent').length,
+      totalHours: Math.round(totalMinutes / 60 * 100) / 100,
+      averageCheckIn: checkIns.length > 0
+        ? attendanceDetector.formatMinutes(checkIns.reduce((sum, minutes) => sum + minutes, 0) / checkIns.length)
+        : null,
+      daysMissingCheckOut: days.filter(day => day.missingCheckOut).length,
+      shift: this.summarizeShifts(days),
+      days
+    };
+  }
+
+  /**
+   * Sum up the shift judgements of an employee's days
+   * @param {Array} days - Counted days with their shift evaluation
+   * @returns {Object|null} Totals, or null when the employee has no shift rules
+   */
+  summarizeShifts(days) {
+    const shifts = days.map(day => day.shift).filter(Boolean);
+    if (shifts.length === 0) {
+      return null;
+    }
+
+    const sum = key => shifts.reduce((total, shift) => total + shift[key], 0);
+    return {
+      scheduledDays: shifts.filter(shift => shift.scheduled).length,
+      lateDays: shifts.filter(shift => shift.lateMinutes > 0).length,
+      lateMinutes: sum('lateMinutes'),
+      earlyDepartureDays: shifts.filter(shift => shift.earlyDepartureMinutes > 0).length,
+      earlyDepartureMinutes: sum('earlyDepartureMinutes'),
+      overtimeMinutes: sum('overtimeMinutes'),
+      noShows: shifts.filter(shift => shift.noShow).length
+    };
+  }
+}
+
+module.exports = new AttendanceReport();
@@ -0,0 +1,142 @@
+const sheetManager = require('./sheetManager');
+const reportService = require('./reportService');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+
+const MIN_QUERY_LENGTH = 4;
+const PAYMENT_CHANNELS = ['tunai', 'tfMandiri', 'tfBca', 'dfod'];
+
+/**
+ * AWB Search
+ * Finds a receipt number in the CARGO and EXPRESS sections of every MMMYY tab,
+ * so the admin can answer a customer without Ctrl-F through each month
+ */
+class AwbSearch {
+  constructor() {
+    this.minQueryLength = MIN_QUERY_LENGTH;
+  }
+
+  /**
+   * Normalize an AWB or query for matching: uppercase, letters and digits only
+   * @param {*} value - AWB cell or query (e.g., "jx 0000-0001")
+   * @returns {string} Normalized value (e.g., "JX00000001")
+   */
+  normalize(value) {
+    return (value || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Check whether a query is long enough to search with
+   * @param {string} query - AWB or part of it
+   * @returns {boolean} True if it has at least MIN_QUERY_LENGTH letters or digits
+   */
+  isValidQuery(query) {
+    return this.normalize(query).length >= MIN_QUERY_LENGTH;
+  }
+
+  /**
+   * Search every MMMYY sheet for AWBs containing the query, newest first
+   * @param {string} query - AWB or part of it (spaces and dashes are ignored)
+   * @returns {Promise<Object>} { query, sheets, count, matches }
+   */
+  async search(query) {
+    try {
+      const needle = this.normalize(query);
+      if (needle.length < MIN_QUERY_LENGTH) {
+        throw new Error(`AWB query must have at least ${MIN_QUERY_LENGTH} letters or digits`);
+      }
+
+      const sheets = (await sheetManager.getAvailableSheets())
+        .map(sheetName => ({ sheetName, parsed: sheetDetector.parseSheetName(sheetName) }))
+        .filter(({ parsed }) => parsed)
+        .sort((a, b) => (b.parsed.year - a.parsed.year) || (b.parsed.month - a.parsed.month));
+
+      // One batched read for every month tab instead of one per sheet
+      await sheetManager.prefetchSheets(sheets.map(({ sheetName }) => sheetName));
+
+      let matches = [];
+      for (const { sheetName, parsed } of sheets) {
+        matches = matches.concat(await this.searchSheet(sheetName, parsed.year, parsed.month, needle));
+      }
+
+      return {
+        query: needle,
+        sheets: sheets.map(({ sheetName }) => sheetName),
+        count: matches.length,
+        matches
+      };
+
+    } catch (error) {
+      console.error('❌ Error searching AWB:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the CARGO and EXPRESS rows of one sheet, newest day first
+   * Only rows the daily totals count are searched (see reportService.collectCargoItems / collectExpressItems)
+   * @param {string} sheetName - Sheet name
+   * @param {number} year - Full year
+   * @param {number} month - Month index (0-11)
+   * @param {string} needle - Normalized query
+   * @returns {Promise<Array>} Matches
+   */
+  async searchSheet(sheetName, year, month, needle) {
+    const sections = {
+      cargo: await reportService.readCargoSection(sheetName),
+      express: await reportService.readExpressSection(sheetName)
+    };
+    const matches = [];
+
+    for (let day = new Date(year, month + 1, 0).getDate(); day >= 1; day--) {
+      const date = new Date(year, month, day);
+      const items = [
+        ...reportService.collectCargoItems(sections.cargo, date).map(item => ({ section: 'cargo', item })),
+        ...reportService.collectExpressItems(sections.express, date).map(item => ({ section: 'express', item }))
+      ];
+
+      items
+        .filter(({ item }) => this.normalize(item.awb).includes(needle))
+        .forEach(({ section, item }) => {
+          matches.push(this.toMatch(item, section, sheetName, date));
+        });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Describe one matching row
+   * @param {Object} item - Item from reportService.collectCargoItems / collectExpressItems
+   * @param {string} section - cargo or express
+   * @param {string} sheetName - Sheet name
+   * @param {Date} date - Day of the row
+   * @returns {Object} { awb, date, sheet, section, row, rows, kg, paymentMethod, amount, payments, packing }
+   *   where paymentMethod joins every channel with an amount (e.g., "tfMandiri"), null when unpaid
+   */
+  toMatch(item, section, sheetName, date) {
+    const payments = {};
+    PAYMENT_CHANNELS
+      .filter(channel => item[channel])
+      .forEach((channel) => { payments[channel] = item[channel]; });
+
+    const methods = Object.keys(payments);
+
+    return {
+      awb: item.awb,
+      date: dateUtils.formatDate(date),
+      sheet: sheetName,
+      section,
+      row: item.row,
+      rows: item.rows || [item.row],
+      // EXPRESS only has a weight when the sheet has a Kg column there
+      kg: section === 'cargo' || item.kg > 0 ? item.kg : null,
+      paymentMethod: methods.length > 0 ? methods.join('+') : null,
+      amount: methods.reduce((sum, channel) => sum + payments[channel], 0),
+      payments,
+      packing: item.packing
+    };
+  }
+}
+
+module.exports = new AwbSearch();
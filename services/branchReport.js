@@ -0,0 +1,116 @@
+const reportService = require('./reportService');
+const branchRegistry = require('../config/branchRegistry');
+const dateUtils = require('../utils/dateUtils');
+
+const RANKING_METRICS = ['awb', 'tonase', 'revenue'];
+
+/**
+ * Branch Report
+ * Daily reports per outlet from the branch registry, and one consolidated report that adds the
+ * outlets up and ranks them by shipments, weight and money taken in
+ */
+class BranchReport {
+  /**
+   * Generate the daily report of one branch
+   * @param {string} branchId - Branch id from the registry
+   * @param {Date} targetDate - Report date
+   * @param {Object} options - Report options (e.g., { reconcile, unpriced })
+   * @returns {Promise<Object>} Daily report with { branch: { id, name, layoutOverride } }
+   */
+  async generateBranchReport(branchId, targetDate, options = {}) {
+    const branch = branchRegistry.getBranch(branchId);
+
+    return branchRegistry.run(branch.id, async () => {
+      const report = await reportService.generateDailyReport(targetDate, options);
+      return { branch: branchRegistry.describe(branch), ...report };
+    });
+  }
+
+  /**
+   * Add up the daily reports of every branch and rank the branches
+   * A branch that can't be read is listed in failedBranches instead of failing the whole report
+   * @param {Date} targetDate - Report date
+   * @returns {Promise<Object>} { date, dateDisplay, consolidated, branches, failedBranches, totals, rankings }
+   */
+  async generateConsolidatedReport(targetDate) {
+    try {
+      const branches = [];
+      const failedBranches = [];
+
+      for (const branch of branchRegistry.getBranches()) {
+        try {
+          const report = await this.generateBranchReport(branch.id, targetDate);
+          branches.push({
+            ...branchRegistry.describe(branch),
+            sheet: report.sheet,
+            ...this.measure(report),
+            date: report.date,
+            cargo: report.cargo,
+            express: report.express,
+            pengeluaran: report.pengeluaran
+          });
+        } catch (error) {
+          console.error(`❌ Error reading branch ${branch.id}:`, error.message);
+          failedBranches.push({ ...branchRegistry.describe(branch), error: error.message });
+        }
+      }
+
+      // sumDays tags warnings and unpriced items with the row's date, which is the report date for every branch
+      const totals = reportService.sumDays(branches);
+      const rankings = {};
+      RANKING_METRICS.forEach((metric) => {
+        rankings[metric] = this.rank(branches, metric);
+      });
+
+      return {
+        date: dateUtils.formatDate(targetDate),
+        dateDisplay: targetDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+        consolidated: true,
+        branches: branches.map(({ date, ...branch }) => branch),
+        failedBranches,
+        totals: { ...this.measure(totals), ...totals },
+        rankings
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating consolidated report:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reduce a report to the figures branches are ranked by
+   * - awb: CARGO AWBs, online shipments and EXPRESS shipments
+   * - tonase: CARGO, online and EXPRESS kg
+   * - revenue: every payment channel of CARGO and EXPRESS, packing included
+   * @param {Object} report - Object with cargo and express totals
+   * @returns {Object} { awb, tonase, revenue }
+   */
+  measure({ cargo, express }) {
+    return {
+      awb: cargo.totalAWB + (cargo.totalAWBOnlineCount || 0) + express.totalAWBExpress,
+      tonase: Math.round((cargo.totalTonase + cargo.totalTonaseOnline + (express.totalTonaseExpress || 0)) * 100) / 100,
+      revenue: cargo.totalTunai + cargo.totalTfMandiri + cargo.totalTfBca + cargo.totalDfod + cargo.totalPacking
+        + express.totalTunaiExpress + express.totalTfMandiriExpress + express.totalTfBcaExpress + express.totalPackingExpress
+    };
+  }
+
+  /**
+   * Rank branches by one figure, highest first; ties keep the registry order and share a rank
+   * @param {Array} branches - Branch rows with awb, tonase and revenue
+   * @param {string} metric - awb, tonase or revenue
+   * @returns {Array} [{ rank, id, name, value }]
+   */
+  rank(branches, metric) {
+    const sorted = [...branches].sort((a, b) => b[metric] - a[metric]);
+
+    return sorted.map(branch => ({
+      rank: sorted.findIndex(other => other[metric] === branch[metric]) + 1,
+      id: branch.id,
+      name: branch.name,
+      value: branch[metric]
+    }));
+  }
+}
+
+module.exports = new BranchReport();
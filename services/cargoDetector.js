@@ -1,14 +1,6 @@
-const sheetManager = require('./sheetManager');
+const sectionReader = require('./sectionReader');
 
 class CargoDetector {
-  constructor() {
-    this.cargoStartRow = 13; // Row where actual cargo data starts (after headers)
-    this.dateColumn = 'B'; // Column B contains dates
-    this.awbColumn = 'C'; // Column C contains AWB numbers
-    this.sistemColumn = 'K'; // Column K contains "Sistem" values (pcs)
-    this.paymentColumns = ['I', 'J', 'K', 'L', 'M']; // Payment columns
-  }
-
   /**
    * Get today's date in the format used in the sheet (e.g., "Jul 3", "Aug 3")
    * @returns {string} Today's date in sheet format
@@ -62,9 +54,8 @@ class CargoDetector {
       const todayDate = this.getTodayDateString();
       console.log(`📦 Looking for cargo data for: ${todayDate}`);
       
-      // Read cargo section (from row 9 onwards)
-      const cargoRange = `${this.dateColumn}${this.cargoStartRow}:${this.sistemColumn}1000`;
-      const cargoData = await sheetManager.getSheetData(sheetName, cargoRange);
+      // Read cargo section using the sheet layout
+      const { layout, rows: cargoData, startRow } = await sectionReader.readSection(sheetName, 'cargo');
       
       if (!cargoData || cargoData.length === 0) {
         return {
@@ -85,10 +76,10 @@ class CargoDetector {
       let currentDate = null;
       
       cargoData.forEach((row, index) => {
-        const rowNumber = this.cargoStartRow + index;
-        const dateValue = row[1]; // Column B (date)
-        const awbValue = row[3]; // Column D (AWB) - index 3 for column D
-        const sistemValue = row[10]; // Column K (Sistem) - index 10 for column K
+        const rowNumber = startRow + index;
+        const dateValue = sectionReader.getCell(row, layout, 'date');
+        const awbValue = sectionReader.getCell(row, layout, 'awb');
+        const sistemValue = sectionReader.getCell(row, layout, 'sistem');
         
         // Check if this row has a date
         if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
@@ -150,9 +141,8 @@ class CargoDetector {
     try {
       console.log(`📦 Looking for cargo data for: ${dateString}`);
       
-      // Read cargo section (from row 9 onwards)
-      const cargoRange = `${this.dateColumn}${this.cargoStartRow}:${this.sistemColumn}1000`;
-      const cargoData = await sheetManager.getSheetData(sheetName, cargoRange);
+      // Read cargo section using the sheet layout
+      const { layout, rows: cargoData, startRow } = await sectionReader.readSection(sheetName, 'cargo');
       
       if (!cargoData || cargoData.length === 0) {
         return {
@@ -171,15 +161,14 @@ class CargoDetector {
       let totalAWB = 0;
       
       cargoData.forEach((row, index) => {
-        const rowNumber = this.cargoStartRow + index;
-        const dateValue = row[0]; // Column A (date)
-        const awbValue = row[1]; // Column B (AWB)
-        const sistemValue = row[10]; // Column K (Sistem)
+        const rowNumber = startRow + index;
+        const dateValue = sectionReader.getCell(row, layout, 'date');
+        const awbValue = sectionReader.getCell(row, layout, 'awb');
+        const sistemValue = sectionReader.getCell(row, layout, 'sistem');
         
         // Check if this row is for the target date (date format: "01", "02", "03", etc.)
-        const targetDay = dateString.split(' ')[1];
-        const dateDay = dateValue.toString().padStart(2, '0');
-        if (dateValue && dateDay === targetDay) {
+        const targetDay = dateString.split(' ')[1].padStart(2, '0');
+        if (dateValue && dateValue.toString().padStart(2, '0') === targetDay) {
           targetRows.push({
             row: rowNumber,
             date: dateValue,
@@ -225,9 +214,8 @@ class CargoDetector {
     try {
       const todayDate = this.getTodayDateString();
       
-      // Read cargo section with payment columns
-      const paymentRange = `${this.dateColumn}${this.cargoStartRow}:${this.paymentColumns[this.paymentColumns.length - 1]}1000`;
-      const paymentData = await sheetManager.getSheetData(sheetName, paymentRange);
+      // Read cargo section with payment columns using the sheet layout
+      const { layout, rows: paymentData } = await sectionReader.readSection(sheetName, 'cargo');
       
       if (!paymentData || paymentData.length === 0) {
         return {
@@ -245,18 +233,19 @@ class CargoDetector {
       let tunai = 0, mandiri = 0, bca = 0, dfod = 0, packing = 0;
       
       paymentData.forEach((row) => {
-        const dateValue = row[0]; // Column A (date)
+        const dateValue = sectionReader.getCell(row, layout, 'date');
         
         // Check if this row is for today (date format: "01", "02", "03", etc.)
-        const todayDay = todayDate.split(' ')[1];
-        const dateDay = dateValue.toString().padStart(2, '0');
-        if (dateValue && dateDay === todayDay) {
-          // Parse payment values (columns C-G)
-          tunai += this.parseNumericValue(row[2] || 0); // Column C
-          mandiri += this.parseNumericValue(row[3] || 0); // Column D
-          bca += this.parseNumericValue(row[4] || 0); // Column E
-          dfod += this.parseNumericValue(row[5] || 0); // Column F
-          packing += this.parseNumericValue(row[6] || 0); // Column G
+        const todayDay = todayDate.split(' ')[1].padStart(2, '0');
+        if (dateValue && dateValue.toString().padStart(2, '0') === todayDay) {
+          // Parse payment values from the layout's payment columns
+          tunai += this.parseNumericValue(sectionReader.getCell(row, layout, 'tunai'));
+          sectionReader.getCells(row, layout, 'tfMandiri').forEach((value) => {
+            mandiri += this.parseNumericValue(value);
+          });
+          bca += this.parseNumericValue(sectionReader.getCell(row, layout, 'tfBca'));
+          dfod += this.parseNumericValue(sectionReader.getCell(row, layout, 'dfod'));
+          packing += this.parseNumericValue(sectionReader.getCell(row, layout, 'packing'));
         }
       });
       
@@ -0,0 +1,217 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sheetManager = require('./sheetManager');
+const reportService = require('./reportService');
+const reportHistory = require('./reportHistory');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+
+const MAX_CHANGES = 1000;
+const REPORT_SECTIONS = ['cargo', 'express', 'pengeluaran'];
+
+/**
+ * Change Detector
+ * Regenerates already-sent days of the current and previous MMMYY tab and records,
+ * field by field, where the sheet no longer matches the report the owner received
+ * (e.g., "2025-08-04 cargo.totalTunai 2,208,000 → 2,150,000")
+ */
+class ChangeDetector {
+  /**
+   * Get the change log file
+   * @returns {string} Absolute file path (DATA_OUTPUT_DIR/changes.json)
+   */
+  getLogPath() {
+    return path.join(reportHistory.getOutputDir(), 'changes.json');
+  }
+
+  /**
+   * Read the change log
+   * @returns {Promise<Object>} { lastCheckedAt, changes }
+   */
+  async loadLog() {
+    const file = this.getLogPath();
+
+    if (!(await fs.pathExists(file))) {
+      return { lastCheckedAt: null, changes: [] };
+    }
+
+    return fs.readJson(file);
+  }
+
+  /**
+   * Write the change log, keeping the newest MAX_CHANGES entries
+   * @param {Object} log - { lastCheckedAt, changes }
+   * @returns {Promise<void>}
+   */
+  async saveLog(log) {
+    const file = this.getLogPath();
+    const trimmed = { ...log, changes: log.changes.slice(-MAX_CHANGES) };
+
+    await fs.outputJson(`${file}.tmp`, trimmed, { spaces: 2 });
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+  }
+
+  /**
+   * Flatten the totals of a daily report into dotted field names
+   * Attendance is keyed by employee (e.g., "attendance.RAHMAD.outTime"), nested totals are followed
+   * (e.g., "cargo.onlinePlatforms.shopee.awb"), lists of values are joined and lists of objects
+   * (warnings) are left out
+   * @param {Object} report - Daily report
+   * @returns {Object} Map of field -> value
+   */
+  flattenReport(report) {
+    const fields = {};
+
+    (report.attendance || []).forEach(({ name, inTime, outTime }) => {
+      fields[`attendance.${name}.inTime`] = inTime;
+      fields[`attendance.${name}.outTime`] = outTime;
+    });
+
+    const addField = (field, value) => {
+      if (Array.isArray(value)) {
+        if (!value.some(item => item && typeof item === 'object')) {
+          fields[field] = value.join(', ');
+        }
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, nested]) => addField(`${field}.${key}`, nested));
+      } else {
+        fields[field] = value;
+      }
+    };
+
+    REPORT_SECTIONS.forEach((section) => {
+      Object.entries(report[section] || {}).forEach(([key, value]) => addField(`${section}.${key}`, value));
+    });
+
+    return fields;
+  }
+
+  /**
+   * Format a field value for a change message
+   * @param {*} value - Field value
+   * @returns {string} Display value (numbers with thousand separators, "-" when missing)
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return '-';
+    }
+
+    return typeof value === 'number' ? value.toLocaleString('en-US') : value.toString();
+  }
+
+  /**
+   * Compare two flattened reports
+   * @param {Object} before - Map of field -> value
+   * @param {Object} after - Map of field -> value
+   * @returns {Array} [{ field, from, to }] for every field whose value differs
+   */
+  diffFields(before, after) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    const valueOf = (values, field) => (values[field] === undefined ? null : values[field]);
+
+    return fields
+      .map(field => ({ field, from: valueOf(before, field), to: valueOf(after, field) }))
+      .filter(({ from, to }) => from !== to);
+  }
+
+  /**
+   * Days to check: from the first day of the previous month up to yesterday
+   * @param {Date} today - Reference day
+   * @returns {Array<Date>} Dates
+   */
+  getCheckDates(today) {
+    const dates = [];
+    const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    for (let date = new Date(today.getFullYear(), today.getMonth() - 1, 1); date < end; date.setDate(date.getDate() + 1)) {
+      dates.push(new Date(date));
+    }
+
+    return dates;
+  }
+
+  /**
+   * Regenerate every sent day in the current and previous tab and log the fields that changed
+   * since the report was sent, or since the last time the change was seen
+   * @param {Date} today - Reference day (default: today in CRON_TIMEZONE)
+   * @returns {Promise<Object>} { checkedAt, checkedDays, changes } with the newly detected changes
+   */
+  async detectChanges(today = dateUtils.now()) {
+    try {
+      const checkedAt = new Date().toISOString();
+      const dates = this.getCheckDates(today);
+      const availableSheets = await sheetManager.getAvailableSheets();
+      const sheetNames = [...new Set(dates.map(date => sheetDetector.getSheetNameForDate(date)))]
+        .filter(sheetName => availableSheets.includes(sheetName));
+
+      const log = await this.loadLog();
+      const detected = [];
+      let checkedDays = 0;
+
+      for (const date of dates) {
+        const sheetName = sheetDetector.getSheetNameForDate(date);
+        const sent = sheetNames.includes(sheetName) ? await reportHistory.loadSent(date) : null;
+        if (!sent) {
+          continue;
+        }
+
+        const dateText = dateUtils.formatDate(date);
+        const current = this.flattenReport(await reportService.generateDailyReport(date));
+        const reported = this.flattenReport(sent.report);
+
+        // Compare with the latest value already logged, so a change is only recorded once
+        const known = { ...reported };
+        log.changes
+          .filter(change => change.date === dateText)
+          .forEach((change) => { known[change.field] = change.to; });
+
+        // Totals added to the report after the day was sent are new fields, not edits to the sheet
+        const isNewField = field => !field.startsWith('attendance.') && !(field in reported);
+
+        this.diffFields(known, current).filter(({ field }) => !isNewField(field)).forEach(({ field, from, to }) => {
+          detected.push({
+            detectedAt: checkedAt,
+            date: dateText,
+            sheet: sheetName,
+            field,
+            reported: reported[field] === undefined ? null : reported[field],
+            from,
+            to,
+            ...(typeof from === 'number' && typeof to === 'number' ? { difference: to - from } : {}),
+            message: `${dateText} ${field} ${this.formatValue(from)} → ${this.formatValue(to)}`
+          });
+        });
+
+        checkedDays += 1;
+      }
+
+      await this.saveLog({ lastCheckedAt: checkedAt, changes: [...log.changes, ...detected] });
+
+      if (detected.length > 0) {
+        console.log(`✏️  ${detected.length} change(s) to sent reports detected`);
+      }
+
+      return { checkedAt, checkedDays, changes: detected };
+
+    } catch (error) {
+      console.error('❌ Error detecting report changes:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get logged changes, newest first
+   * @param {Date|null} since - Only changes detected at or after this moment
+   * @returns {Promise<Object>} { lastCheckedAt, changes }
+   */
+  async getChanges(since = null) {
+    const log = await this.loadLog();
+    const changes = log.changes
+      .filter(change => !since || new Date(change.detectedAt) >= since)
+      .reverse();
+
+    return { lastCheckedAt: log.lastCheckedAt, changes };
+  }
+}
+
+module.exports = new ChangeDetector();
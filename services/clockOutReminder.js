@@ -0,0 +1,88 @@
+const reportService = require('./reportService');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+
+/**
+ * Clock-Out Reminder
+ * After closing time, posts who checked in but hasn't checked out yet to CLOCKOUT_REMINDER_URL,
+ * so the sheet is fixed the same day
+ */
+class ClockOutReminder {
+  /**
+   * Check whether a reminder webhook is configured
+   * @returns {boolean} True if CLOCKOUT_REMINDER_URL is set
+   */
+  isEnabled() {
+    return !!process.env.CLOCKOUT_REMINDER_URL;
+  }
+
+  /**
+   * Find the employees of a day with a check-in but no check-out
+   * @param {Date} date - Day to check
+   * @param {Date} now - Current moment, checked against closingTime (default: now in CRON_TIMEZONE)
+   * @returns {Promise<Array>} [{ name, inTime }]
+   */
+  async getMissingClockOuts(date, now = dateUtils.now()) {
+    const report = await reportService.generateDailyReport(date, { now });
+    return report.attendance
+      .filter(employee => employee.missingClockOut)
+      .map(({ name, inTime }) => ({ name, inTime }));
+  }
+
+  /**
+   * Build the reminder text posted with the webhook
+   * @param {string} dateText - Day (YYYY-MM-DD)
+   * @param {Array} employees - [{ name, inTime }]
+   * @returns {string} Message (e.g., "Belum absen pulang (2025-08-04): DETA (In: 13:10)")
+   */
+  buildMessage(dateText, employees) {
+    return `Belum absen pulang (${dateText}): ${employees.map(({ name, inTime }) => `${name} (In: ${inTime})`).join(', ')}`;
+  }
+
+  /**
+   * Post the missing clock-outs of a day to CLOCKOUT_REMINDER_URL
+   * Nothing is posted when everyone has checked out
+   * @param {Date} date - Day to check (default: today in CRON_TIMEZONE)
+   * @param {Date} now - Current moment, checked against closingTime (default: now in CRON_TIMEZONE)
+   * @returns {Promise<Object>} { sent, employees }
+   */
+  async send(date = dateUtils.now(), now = dateUtils.now()) {
+    try {
+      const url = process.env.CLOCKOUT_REMINDER_URL;
+      if (!url) {
+        return { sent: false, employees: [] };
+      }
+
+      const employees = await this.getMissingClockOuts(date, now);
+      if (employees.length === 0) {
+        return { sent: false, employees };
+      }
+
+      const dateText = dateUtils.formatDate(date);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          type: 'missing-clock-out',
+          date: dateText,
+          sheet: sheetDetector.getSheetNameForDate(date),
+          employees,
+          message: this.buildMessage(dateText, employees)
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Reminder webhook responded ${response.status}`);
+      }
+
+      console.log(`🔔 Clock-out reminder sent for ${employees.map(employee => employee.name).join(', ')}`);
+      return { sent: true, employees };
+
+    } catch (error) {
+      console.error('❌ Error sending clock-out reminder:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ClockOutReminder();
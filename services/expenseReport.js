@@ -0,0 +1,84 @@
+const sheetManager = require('./sheetManager');
+const reportService = require('./reportService');
+const expenseRules = require('../config/expenseRules');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+
+/**
+ * Expense Report
+ * Sorts a month of PENGELUARAN rows into the categories of config/expenseCategories.json
+ * and totals them per category and per day, to show where the petty cash goes
+ */
+class ExpenseReport {
+  /**
+   * Generate the categorised expenses of one month
+   * @param {number} year - Full year (e.g., 2025)
+   * @param {number} month - Month index (0-11)
+   * @returns {Promise<Object>} { month, sheet, total, itemCount, unpricedCount, categories, days, items }
+   */
+  async generateMonthlyExpenses(year, month) {
+    try {
+      const firstDay = new Date(year, month, 1);
+      const targetSheet = sheetDetector.getSheetNameForDate(firstDay);
+
+      await reportService.assertSheetExists(targetSheet);
+      await sheetManager.prefetchSheets([targetSheet]);
+
+      const section = await reportService.readPengeluaranSection(targetSheet);
+      const categories = expenseRules.getCategories();
+      const totals = this.emptyCategoryTotals(categories);
+      const days = [];
+      const items = [];
+
+      for (let day = 1; day <= new Date(year, month + 1, 0).getDate(); day++) {
+        const date = new Date(year, month, day);
+        const dayItems = reportService.collectPengeluaranItems(section, date).map(item => ({
+          date: dateUtils.formatDate(date),
+          ...item,
+          category: expenseRules.categorize(item.description)
+        }));
+        const dayTotals = this.emptyCategoryTotals(categories);
+
+        dayItems.forEach((item) => {
+          [totals, dayTotals].forEach((target) => {
+            target[item.category].count++;
+            target[item.category].total += item.amount || 0;
+          });
+        });
+
+        days.push({
+          date: dateUtils.formatDate(date),
+          total: dayItems.reduce((sum, item) => sum + (item.amount || 0), 0),
+          categories: Object.fromEntries(Object.entries(dayTotals).map(([id, { total }]) => [id, total]))
+        });
+        items.push(...dayItems);
+      }
+
+      return {
+        month: dateUtils.formatDate(firstDay).slice(0, 7),
+        sheet: targetSheet,
+        total: items.reduce((sum, item) => sum + (item.amount || 0), 0),
+        itemCount: items.length,
+        unpricedCount: items.filter(item => item.amount === null).length,
+        categories: totals,
+        days,
+        items
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating monthly expenses:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Zeroed totals for every category
+   * @param {Object} categories - Map of id -> { name } from expenseRules.getCategories
+   * @returns {Object} Map of id -> { name, total, count }
+   */
+  emptyCategoryTotals(categories) {
+    return Object.fromEntries(Object.entries(categories).map(([id, { name }]) => [id, { name, total: 0, count: 0 }]));
+  }
+}
+
+module.exports = new ExpenseReport();
@@ -0,0 +1,105 @@
+const attendanceReport = require('./attendanceReport');
+const payrollRules = require('../config/payrollRules');
+
+/**
+ * Payroll Service
+ * Turns a month of ABSENSI data into pay per employee using config/payroll.json (see payroll.example.json):
+ * daily or hourly base pay, overtime at a multiplier and deductions for absences and late minutes
+ */
+class PayrollService {
+  /**
+   * Calculate the payroll of every employee for one month
+   * @param {number} year - Full year (e.g., 2025)
+   * @param {number} month - Month index (0-11)
+   * @param {Object} options - { today: days after it aren't counted yet (default: now) }
+   * @returns {Promise<Object>} { month, sheet, countedDays, employees, totals }
+   */
+  async generatePayroll(year, month, options = {}) {
+    try {
+      // Fails fast with PAYROLL_NOT_CONFIGURED before the sheet is read
+      payrollRules.ensureLoaded();
+
+      const attendance = await attendanceReport.generateMonthlyAttendance(year, month, { ...options, includeDays: true });
+      const employees = attendance.employees.map(employee => this.calculateEmployee(employee, payrollRules.getSettings(employee.name)));
+
+      const sum = key => employees.reduce((total, employee) => total + employee[key], 0);
+      return {
+        month: attendance.month,
+        sheet: attendance.sheet,
+        countedDays: attendance.countedDays,
+        employees,
+        totals: {
+          basePay: sum('basePay'),
+          overtimePay: sum('overtimePay'),
+          absenceDeduction: sum('absenceDeduction'),
+          lateDeduction: sum('lateDeduction'),
+          totalPay: sum('totalPay')
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error generating payroll:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate one employee's pay
+   * - daily: the rate per day present; overtime is paid per hour at rate / hoursPerDay
+   * - hourly: the rate per hour worked; days without a check-out have no hours
+   * A day worked without a schedule is all overtime (a daily rate is paid once, times the multiplier).
+   * Absences are no-shows when the employee has shift rules, otherwise every empty day
+   * @param {Object} employee - Employee from attendanceReport, with days
+   * @param {Object} settings - Pay settings from payrollRules.getSettings
+   * @returns {Object} Payroll row
+   */
+  calculateEmployee(employee, settings) {
+    const { basis, rate, hoursPerDay, overtimeMultiplier } = settings;
+    const hourlyRate = basis === 'hourly' ? rate : rate / hoursPerDay;
+    let basePay = 0;
+    let overtimePay = 0;
+    let overtimeMinutes = 0;
+
+    employee.days.filter(day => day.status === 'present').forEach((day) => {
+      const worked = attendanceReport.getWorkedMinutes(day) || 0;
+
+      if (day.shift && !day.shift.scheduled) {
+        overtimeMinutes += worked;
+        overtimePay += basis === 'hourly' ? worked / 60 * rate * overtimeMultiplier : rate * overtimeMultiplier;
+        return;
+      }
+
+      const overtime = day.shift ? day.shift.overtimeMinutes : 0;
+      overtimeMinutes += overtime;
+      overtimePay += overtime / 60 * hourlyRate * overtimeMultiplier;
+      basePay += basis === 'hourly' ? Math.max(0, worked - overtime) / 60 * rate : rate;
+    });
+
+    const absences = employee.shift ? employee.shift.noShows : employee.daysAbsent;
+    const lateMinutes = employee.shift ? employee.shift.lateMinutes : 0;
+    const absenceDeduction = Math.round(absences * settings.absenceDeduction);
+    const lateDeduction = Math.round(lateMinutes * settings.lateDeductionPerMinute);
+
+    basePay = Math.round(basePay);
+    overtimePay = Math.round(overtimePay);
+
+    return {
+      name: employee.name,
+      basis,
+      rate,
+      daysPresent: employee.daysPresent,
+      hoursWorked: employee.totalHours,
+      daysMissingCheckOut: employee.daysMissingCheckOut,
+      overtimeHours: Math.round(overtimeMinutes / 60 * 100) / 100,
+      basePay,
+      overtimePay,
+      absences,
+      absenceDeduction,
+      lateMinutes,
+      lateDeduction,
+      totalPay: basePay + overtimePay - absenceDeduction - lateDeduction
+    };
+  }
+}
+
+module.exports = new PayrollService();
@@ -0,0 +1,431 @@
+const XLSX = require('xlsx');
+
+/**
+ * Report Formatter
+ * Renders reports from reportService as the numbered layout the branch
+ * posts to WhatsApp (Absensi / CARGO 2.x / EXPRESS 3.x / PENGELUARAN 4.x), Markdown or CSV
+ */
+
+class ReportFormatter {
+  constructor() {
+    this.formats = ['json', 'text', 'markdown'];
+    this.payrollFormats = ['json', 'csv', 'xlsx'];
+    this.payrollColumns = [
+      'name', 'basis', 'rate', 'daysPresent', 'hoursWorked', 'daysMissingCheckOut', 'overtimeHours',
+      'basePay', 'overtimePay', 'absences', 'absenceDeduction', 'lateMinutes', 'lateDeduction', 'totalPay'
+    ];
+    this.csvFields = {
+      cargo: ['totalAWB', 'totalAWBOnline', 'totalAWBOnlineCount', 'totalTonase', 'totalTonaseOnline', 'totalTunai', 'totalTfMandiri', 'totalTfBca', 'totalDfod', 'totalPacking'],
+      express: ['totalAWBExpress', 'totalTonaseExpress', 'totalTunaiExpress', 'totalTfMandiriExpress', 'totalTfBcaExpress', 'totalPackingExpress', 'unrecognizedRowsExpress']
+    };
+  }
+
+  /**
+   * Format a number as Rupiah (e.g., "Rp 2,208,000")
+   * @param {number} value - Amount
+   * @returns {string} Formatted amount
+   */
+  formatRupiah(value) {
+    return `Rp ${(value || 0).toLocaleString('en-US')}`;
+  }
+
+  /**
+   * Format one attendance line with the shift judgement and a missing check-out
+   * e.g. "RAHMAD (In: 9:20, Out: 17:00) - telat 20 menit" or "DETA (In: 13:10, Out: -) - belum absen pulang"
+   * @param {Object} employee - Present employee of the daily report
+   * @returns {string} Line without its number
+   */
+  formatAttendance(employee) {
+    const { shift } = employee;
+    const notes = [];
+
+    if (shift && shift.lateMinutes > 0) notes.push(`telat ${shift.lateMinutes} menit`);
+    if (shift && shift.earlyDepartureMinutes > 0) notes.push(`pulang cepat ${shift.earlyDepartureMinutes} menit`);
+    if (shift && shift.overtimeMinutes > 0) notes.push(`lembur ${shift.overtimeMinutes} menit`);
+    if (employee.missingClockOut) notes.push('belum absen pulang');
+
+    const line = `${employee.name} (In: ${employee.inTime}, Out: ${employee.outTime})`;
+    return notes.length > 0 ? `${line} - ${notes.join(', ')}` : line;
+  }
+
+  /**
+   * Build the attendance lines: numbered present employees, then who was off and who didn't come in
+   * @param {Object} report - Daily report
+   * @returns {Array<string>} Lines
+   */
+  buildAttendanceLines(report) {
+    const lines = report.attendance.length > 0
+      ? report.attendance.map((employee, index) => `${index + 1}. ${this.formatAttendance(employee)}`)
+      : ['Tidak ada data absensi untuk tanggal ini'];
+
+    const off = report.attendanceOff || [];
+    const absent = (report.attendanceAbsent || []).map(({ name, shift }) => (
+      shift && shift.noShow ? `${name} (jadwal ${shift.start}-${shift.end})` : name
+    ));
+
+    if (off.length > 0) lines.push(`Off: ${off.join(', ')}`);
+    if (absent.length > 0) lines.push(`Tidak masuk: ${absent.join(', ')}`);
+
+    return lines;
+  }
+
+  /**
+   * Build the report as an array of sections, each with a title and lines
+   * @param {Object} report - Daily report from reportService.generateDailyReport
+   * @returns {Object} { title, subtitle, sections: [{ title, lines }] }
+   */
+  buildSections(report) {
+    const attendanceLines = this.buildAttendanceLines(report);
+
+    return {
+      title: 'Laporan Harian J&T',
+      subtitle: report.dateDisplay,
+      sections: [
+        {
+          title: 'Absensi:',
+          lines: attendanceLines
+        },
+        ...this.buildTotalSections(report),
+        ...this.buildUnpricedSections(report),
+        ...this.buildDiscrepancySections(report)
+      ]
+    };
+  }
+
+  /**
+   * Build the section listing PENGELUARAN items still waiting for a price, oldest first
+   * @param {Object} report - Daily report generated with { unpriced: true }
+   * @returns {Array} Zero or one section [{ title, lines }]
+   */
+  buildUnpricedSections(report) {
+    if (!report.unpricedExpenses) {
+      return [];
+    }
+
+    const { items } = report.unpricedExpenses;
+    return [{
+      title: 'PENGELUARAN BELUM ADA HARGA',
+      lines: items.length > 0
+        ? items.map(item => `- ${item.date} ${item.description} (${item.sheet}!${item.cell}, ${item.ageDays} hari)`)
+        : ['-']
+    }];
+  }
+
+  /**
+   * Build the warning section listing TOTAL rows that don't match the computed totals
+   * @param {Object} report - Report generated with { reconcile: true }
+   * @returns {Array} Zero or one section [{ title, lines }]
+   */
+  buildDiscrepancySections(report) {
+    if (!report.discrepancies || report.discrepancies.length === 0) {
+      return [];
+    }
+
+    return [{
+      title: 'PERHATIAN: TOTAL di sheet tidak cocok',
+      lines: report.discrepancies.map(item => `- ${item.date} ${item.section.toUpperCase()} ${item.channel} (${item.cell}): sheet ${this.formatRupiah(item.sheetTotal)}, hitung ${this.formatRupiah(item.computed)}, selisih ${this.formatRupiah(item.difference)}`)
+    }];
+  }
+
+  /**
+   * Format the online shipments as a count per platform, e.g. "5 (Shopee 3, TikTok 2)"
+   * Labels that couldn't be read are appended as typed; snapshots from before the per-platform
+   * counts only have the joined labels
+   * @param {Object} cargo - Cargo totals
+   * @returns {string} Online shipments, "TBD" when there are none
+   */
+  formatOnline(cargo) {
+    if (!cargo.onlinePlatforms) {
+      return cargo.totalAWBOnline;
+    }
+
+    const platforms = Object.values(cargo.onlinePlatforms)
+      .filter(platform => platform.awb > 0)
+      .map(platform => `${platform.name} ${platform.awb}`);
+    const unread = cargo.onlineWarnings.map(warning => `"${warning.label}"`);
+
+    if (platforms.length === 0 && unread.length === 0) {
+      return 'TBD';
+    }
+
+    const counted = platforms.length > 0 ? `${cargo.totalAWBOnlineCount} (${platforms.join(', ')})` : `${cargo.totalAWBOnlineCount}`;
+    return unread.length > 0 ? `${counted}, belum terbaca: ${unread.join(', ')}` : counted;
+  }
+
+  /**
+   * Build the numbered CARGO / EXPRESS / PENGELUARAN sections
+   * @param {Object} totals - Object with cargo, express and pengeluaran totals (daily report or month/range totals)
+   * @returns {Array} Sections [{ title, lines }]
+   */
+  buildTotalSections({ cargo, express, pengeluaran }) {
+    // Month/range totals list unpriced items as { date, description }
+    const pengeluaranItems = pengeluaran.itemsWithoutPrice.length > 0
+      ? pengeluaran.itemsWithoutPrice.map(item => (typeof item === 'string' ? `- ${item}` : `- ${item.date}: ${item.description}`))
+      : ['-'];
+
+    return [
+      {
+        title: 'CARGO',
+        lines: [
+          `2.1 Total AWB: ${cargo.totalAWB} pcs`,
+          `2.2 Total AWB Online: ${this.formatOnline(cargo)}`,
+          `2.3 Total Tonase: ${cargo.totalTonase} kg`,
+          `2.4 Total Tonase Online: ${cargo.totalTonaseOnline} kg`,
+          `2.5 Total Tunai: ${this.formatRupiah(cargo.totalTunai)}`,
+          `2.6 Total TF Mandiri: ${this.formatRupiah(cargo.totalTfMandiri)}`,
+          `2.7 Total TF BCA: ${this.formatRupiah(cargo.totalTfBca)}`,
+          `2.8 Total DFOD: ${this.formatRupiah(cargo.totalDfod)}`,
+          `2.9 Total Packing: ${this.formatRupiah(cargo.totalPacking)}`
+        ]
+      },
+      {
+        title: 'EXPRESS',
+        lines: [
+          `3.1 Total AWB Express: ${express.totalAWBExpress} pcs${express.unrecognizedRowsExpress > 0 ? ` (${express.unrecognizedRowsExpress} baris tanpa AWB valid)` : ''}`,
+          `3.2 Total Tunai Express: ${this.formatRupiah(express.totalTunaiExpress)}`,
+          `3.3 Total TF Mandiri Express: ${this.formatRupiah(express.totalTfMandiriExpress)}`,
+          `3.4 Total TF BCA Express: ${this.formatRupiah(express.totalTfBcaExpress)}`,
+          `3.5 Total Packing Express: ${this.formatRupiah(express.totalPackingExpress)}`
+        ]
+      },
+      {
+        title: 'PENGELUARAN / PEMBELIAN',
+        lines: [
+          `4.1 Total: ${this.formatRupiah(pengeluaran.totalPengeluaran)}`,
+          '4.2 Pengeluaran Tanpa Harga:',
+          ...pengeluaranItems
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Build a month or range report as sections with its totals
+   * @param {Object} report - Report from generateMonthlyReport or generateRangeReport
+   * @returns {Object} { title, subtitle, sections: [{ title, lines }] }
+   */
+  buildPeriodSections(report) {
+    const isMonth = !!report.month;
+    const sections = [...this.buildTotalSections(report.totals), ...this.buildDiscrepancySections(report)];
+
+    if (report.missingSheets && report.missingSheets.length > 0) {
+      sections.unshift({
+        title: 'PERHATIAN: sheet tidak ditemukan',
+        lines: report.missingSheets.map(missing => `- ${missing.sheet} (${missing.from} s/d ${missing.to})`)
+      });
+    }
+
+    return {
+      title: isMonth ? 'Laporan Bulanan J&T' : 'Laporan J&T',
+      subtitle: isMonth ? report.monthDisplay : `${report.from} s/d ${report.to}`,
+      sections
+    };
+  }
+
+  /**
+   * Render the report as plain text, ready to paste into WhatsApp
+   * Month and range reports (with days) render their totals
+   * @param {Object} report - Daily, month or range report
+   * @returns {string} Plain-text report
+   */
+  toText(report) {
+    const { title, subtitle, sections } = report.days ? this.buildPeriodSections(report) : this.buildSections(report);
+    const blocks = [`${title}\n${subtitle}`];
+
+    sections.forEach((section) => {
+      blocks.push([section.title, ...section.lines].join('\n'));
+    });
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Render the report as Markdown
+   * @param {Object} report - Daily, month or range report
+   * @returns {string} Markdown report
+   */
+  toMarkdown(report) {
+    const { title, subtitle, sections } = report.days ? this.buildPeriodSections(report) : this.buildSections(report);
+    const blocks = [`## ${title}\n${subtitle}`];
+
+    sections.forEach((section) => {
+      // Nest "- item" lines under the previous line, list everything else so each line renders on its own
+      const lines = section.lines.map((line) => {
+        if (line === '-') return '  - (tidak ada)';
+        return line.startsWith('- ') ? `  ${line}` : `- ${line}`;
+      });
+      blocks.push([`**${section.title}**`, ...lines].join('\n'));
+    });
+
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Render the report as CSV, one row per day (plus a TOTAL row for month/range reports)
+   * @param {Object} report - Daily, month or range report
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const rows = report.days
+      ? [...report.days, { date: 'TOTAL', sheet: report.sheet || report.sheets.join(' '), ...report.totals }]
+      : [report];
+
+    const columns = [
+      ['date', row => row.date],
+      ['sheet', row => row.sheet],
+      ...this.csvFields.cargo.map(field => [field, row => row.cargo[field]]),
+      // One count and tonase column per configured marketplace (e.g., shopeeAWB, shopeeTonase)
+      ...Object.keys(rows[0].cargo.onlinePlatforms || {}).flatMap(id => [
+        [`${id}AWB`, row => row.cargo.onlinePlatforms[id].awb],
+        [`${id}Tonase`, row => row.cargo.onlinePlatforms[id].tonase]
+      ]),
+      ...this.csvFields.express.map(field => [field, row => row.express[field]]),
+      ['totalPengeluaran', row => row.pengeluaran.totalPengeluaran],
+      ['itemsWithoutPrice', row => row.pengeluaran.itemsWithoutPrice
+        .map(item => (typeof item === 'string' ? item : `${item.date}: ${item.description}`))
+        .join('; ')]
+    ];
+
+    const lines = [columns.map(([name]) => name).join(',')];
+    rows.forEach((row) => {
+      lines.push(columns.map(([, read]) => this.escapeCsv(read(row))).join(','));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a sheet lint result as plain text, one line per issue with its cell reference
+   * @param {Object} result - Result from sheetLinter.lintMonth
+   * @returns {string} Plain-text lint report
+   */
+  lintToText(result) {
+    const header = `Cek Data Sheet ${result.sheet} (${result.month})`;
+
+    if (result.issueCount === 0) {
+      return `${header}\n\n✅ Tidak ada masalah\n`;
+    }
+
+    const counts = Object.entries(result.summary)
+      .filter(([, count]) => count > 0)
+      .map(([rule, count]) => `- ${rule}: ${count}`);
+
+    const lines = result.issues.map((issue) => {
+      const value = issue.value === null || issue.value === undefined ? '' : ` "${issue.value}"`;
+      const date = issue.date ? ` [${issue.date}]` : '';
+      return `${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.cell}${date} ${issue.rule}${value}: ${issue.message}`;
+    });
+
+    return `${header}\n\n${result.issueCount} masalah\n${counts.join('\n')}\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render an AWB search as plain text, one line per matching row
+   * @param {Object} result - Result from awbSearch.search
+   * @returns {string} Plain-text search result
+   */
+  awbSearchToText(result) {
+    const header = `Cari AWB "${result.query}" (${result.sheets.join(', ') || 'tidak ada sheet'})`;
+
+    if (result.count === 0) {
+      return `${header}\n\nTidak ditemukan\n`;
+    }
+
+    const lines = result.matches.map((match) => {
+      const kg = match.kg === null ? '' : `, ${match.kg} kg`;
+      const payment = match.paymentMethod ? `${match.paymentMethod} ${this.formatRupiah(match.amount)}` : 'belum bayar';
+      return `- ${match.date} ${match.section.toUpperCase()} ${match.awb} (${match.sheet} baris ${match.row})${kg}, ${payment}`;
+    });
+
+    return `${header}\n\n${result.count} ditemukan\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Lay out a payroll as rows: a header, one row per employee and a TOTAL row
+   * @param {Object} payroll - Result from payrollService.generatePayroll
+   * @returns {Array<Array>} Rows of cell values (numbers stay numbers)
+   */
+  payrollToRows(payroll) {
+    const totalRow = this.payrollColumns.map((column) => {
+      if (column === 'name') return 'TOTAL';
+      return payroll.totals[column] !== undefined ? payroll.totals[column] : '';
+    });
+
+    return [
+      this.payrollColumns,
+      ...payroll.employees.map(employee => this.payrollColumns.map(column => employee[column])),
+      totalRow
+    ];
+  }
+
+  /**
+   * Render a payroll as CSV
+   * @param {Object} payroll - Result from payrollService.generatePayroll
+   * @returns {string} CSV text
+   */
+  payrollToCsv(payroll) {
+    const lines = this.payrollToRows(payroll).map(row => row.map(value => this.escapeCsv(value)).join(','));
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a payroll as an .xlsx workbook with one "Payroll MMMYY" sheet
+   * @param {Object} payroll - Result from payrollService.generatePayroll
+   * @returns {Buffer} Workbook file
+   */
+  payrollToXlsx(payroll) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(this.payrollToRows(payroll)), `Payroll ${payroll.sheet}`);
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * Render a payroll as a downloadable file
+   * @param {Object} payroll - Result from payrollService.generatePayroll
+   * @param {string} format - "csv" or "xlsx"
+   * @returns {Object} { contentType, body, filename }
+   */
+  renderPayroll(payroll, format) {
+    const filename = `payroll-${payroll.month}.${format}`;
+
+    if (format === 'xlsx') {
+      return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        body: this.payrollToXlsx(payroll),
+        filename
+      };
+    }
+
+    return { contentType: 'text/csv; charset=utf-8', body: this.payrollToCsv(payroll), filename };
+  }
+
+  /**
+   * Quote a CSV value when it contains a comma, quote or newline
+   * @param {*} value - Cell value
+   * @returns {string} Escaped value
+   */
+  escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : value.toString();
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Render a report in the requested format
+   * @param {Object} report - Daily, month or range report
+   * @param {string} format - "text", "markdown" or "csv"
+   * @returns {Object} { contentType, body }
+   */
+  render(report, format) {
+    if (format === 'csv') {
+      return { contentType: 'text/csv; charset=utf-8', body: this.toCsv(report) };
+    }
+
+    if (format === 'markdown') {
+      return { contentType: 'text/markdown; charset=utf-8', body: this.toMarkdown(report) };
+    }
+
+    return { contentType: 'text/plain; charset=utf-8', body: this.toText(report) };
+  }
+}
+
+module.exports = new ReportFormatter();
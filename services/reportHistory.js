@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs-extra');
+const reportService = require('./reportService');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+
+const DEFAULT_FILENAME_FORMAT = 'sheets-data-{date}.json';
+
+/**
+ * Report History
+ * Keeps the last generated daily report of every date as a JSON snapshot in DATA_OUTPUT_DIR,
+ * and serves it when Google Sheets can't be reached.
+ * The report as it was sent to the owner is kept apart in DATA_OUTPUT_DIR/sent, for change detection
+ *
+ * Sources:
+ * - live: always read Google Sheets (and refresh the snapshot)
+ * - snapshot: only read the stored snapshot
+ * - auto: live, falling back to the snapshot with stale: true when the read fails
+ */
+class ReportHistory {
+  constructor() {
+    this.sources = ['auto', 'live', 'snapshot'];
+  }
+
+  /**
+   * Get the directory snapshots are stored in
+   * @returns {string} Absolute directory
+   */
+  getOutputDir() {
+    return path.resolve(process.env.DATA_OUTPUT_DIR || './data');
+  }
+
+  /**
+   * Get the snapshot file path for a report date
+   * DATA_FILENAME_FORMAT may use {date} (YYYY-MM-DD) and {sheet} (MMMYY)
+   * @param {Date} date - Report date
+   * @param {string} kind - "latest" (default) or "sent"
+   * @returns {string} Absolute file path
+   */
+  getSnapshotPath(date, kind = 'latest') {
+    const format = process.env.DATA_FILENAME_FORMAT || DEFAULT_FILENAME_FORMAT;
+    const filename = format
+      .replace(/\{date\}/g, dateUtils.formatDate(date))
+      .replace(/\{sheet\}/g, sheetDetector.getSheetNameForDate(date));
+
+    return kind === 'sent'
+      ? path.join(this.getOutputDir(), 'sent', filename)
+      : path.join(this.getOutputDir(), filename);
+  }
+
+  /**
+   * Write a snapshot file
+   * @param {string} file - Snapshot file path
+   * @param {Date} date - Report date
+   * @param {Object} report - Daily report
+   * @param {string} origin - What generated it ("api", "scheduler")
+   * @returns {Promise<string>} Snapshot file path
+   */
+  async writeSnapshot(file, date, report, origin) {
+    const snapshot = {
+      generatedAt: new Date().toISOString(),
+      date: dateUtils.formatDate(date),
+      sheet: sheetDetector.getSheetNameForDate(date),
+      origin,
+      report
+    };
+
+    // Write next to the target and rename, so readers never see a half-written snapshot
+    await fs.outputJson(`${file}.tmp`, snapshot, { spaces: 2 });
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+
+    return file;
+  }
+
+  /**
+   * Read a snapshot file
+   * @param {string} file - Snapshot file path
+   * @returns {Promise<Object|null>} Snapshot { generatedAt, date, sheet, origin, report } or null
+   */
+  async readSnapshot(file) {
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+
+    return fs.readJson(file);
+  }
+
+  /**
+   * Store a daily report as the snapshot of its date, replacing the previous one
+   * @param {Date} date - Report date
+   * @param {Object} report - Daily report
+   * @param {string} origin - What generated it ("api", "scheduler")
+   * @returns {Promise<string>} Snapshot file path
+   */
+  async save(date, report, origin) {
+    return this.writeSnapshot(this.getSnapshotPath(date), date, report, origin);
+  }
+
+  /**
+   * Read the snapshot of a date
+   * @param {Date} date - Report date
+   * @returns {Promise<Object|null>} Snapshot { generatedAt, date, sheet, origin, report } or null
+   */
+  async load(date) {
+    return this.readSnapshot(this.getSnapshotPath(date));
+  }
+
+  /**
+   * Record a daily report as sent to the owner; later edits to that day are diffed against it
+   * @param {Date} date - Report date
+   * @param {Object} report - Daily report
+   * @param {string} origin - What sent it ("scheduler")
+   * @returns {Promise<string>} Snapshot file path
+   */
+  async recordSent(date, report, origin) {
+    return this.writeSnapshot(this.getSnapshotPath(date, 'sent'), date, report, origin);
+  }
+
+  /**
+   * Read the report of a date as it was sent
+   * @param {Date} date - Report date
+   * @returns {Promise<Object|null>} Snapshot or null if nothing was sent for that date
+   */
+  async loadSent(date) {
+    return this.readSnapshot(this.getSnapshotPath(date, 'sent'));
+  }
+
+  /**
+   * Generate a daily report from Google Sheets and store it
+   * Only the base report is stored: the extras one caller asked for (reconcile, unpriced)
+   * would otherwise show up in every later snapshot read
+   * @param {Date} date - Report date
+   * @param {Object} options - Report options (e.g., { reconcile })
+   * @returns {Promise<Object>} Daily report
+   */
+  async generateLive(date, options = {}) {
+    const report = await reportService.generateDailyReport(date, options);
+    const baseReport = { ...report };
+    delete baseReport.discrepancies;
+    delete baseReport.unpricedExpenses;
+
+    try {
+      await this.save(date, baseReport, 'api');
+    } catch (error) {
+      console.error('❌ Error saving report snapshot:', error.message);
+    }
+
+    return report;
+  }
+
+  /**
+   * Get the daily report of a date from the requested source
+   * @param {Date} date - Report date
+   * @param {Object} options - { source: 'auto'|'live'|'snapshot', ...report options }
+   * @returns {Promise<Object>} { report, source, stale, snapshotAt, error }
+   */
+  async getDailyReport(date, options = {}) {
+    const { source = 'auto', ...reportOptions } = options;
+
+    if (source === 'snapshot') {
+      return this.fromSnapshot(date, null);
+    }
+
+    try {
+      const report = await this.generateLive(date, reportOptions);
+      return { report, source: 'live', stale: false, snapshotAt: null, error: null };
+    } catch (error) {
+      if (source !== 'auto') {
+        throw error;
+      }
+
+      console.error('⚠️  Live report failed, serving the last snapshot:', error.message);
+      try {
+        return await this.fromSnapshot(date, error);
+      } catch (snapshotError) {
+        // No snapshot to fall back to, report the original failure
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Build a result from the stored snapshot
+   * @param {Date} date - Report date
+   * @param {Error|null} liveError - Why the live read failed (auto mode)
+   * @returns {Promise<Object>} { report, source, stale, snapshotAt, error }
+   */
+  async fromSnapshot(date, liveError) {
+    const snapshot = await this.load(date);
+
+    if (!snapshot) {
+      const error = new Error(`No snapshot stored for ${dateUtils.formatDate(date)}`);
+      error.code = 'SNAPSHOT_NOT_FOUND';
+      throw error;
+    }
+
+    return {
+      report: snapshot.report,
+      source: 'snapshot',
+      stale: !!liveError,
+      snapshotAt: snapshot.generatedAt,
+      error: liveError ? liveError.message : null
+    };
+  }
+}
+
+module.exports = new ReportHistory();
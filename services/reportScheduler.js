@@ -0,0 +1,240 @@
+const cron = require('node-cron');
+const reportService = require('./reportService');
+const reportHistory = require('./reportHistory');
+const changeDetector = require('./changeDetector');
+const clockOutReminder = require('./clockOutReminder');
+const shiftRules = require('../config/shiftRules');
+const dateUtils = require('../utils/dateUtils');
+const cronUtils = require('../utils/cronUtils');
+
+const DEFAULT_SCHEDULE = '0 9 * * *';
+const DEFAULT_CHANGES_SCHEDULE = '15 * * * *';
+const MAX_FAILURES = 20;
+
+/**
+ * Report Scheduler
+ * Runs the scheduled jobs and keeps the run history shown by GET /api/jobs:
+ * - daily-report (CRON_SCHEDULE, in the morning): generates the report of the day before, once that
+ *   day is closed, stores it as the date's snapshot in reportHistory (DATA_OUTPUT_DIR) and records it as sent
+ * - change-detection (CHANGES_CRON_SCHEDULE): diffs already-sent days against the sheet
+ * - clock-out-reminder (closingTime in the shift rules): posts missing check-outs to CLOCKOUT_REMINDER_URL, if set
+ */
+class ReportScheduler {
+  constructor() {
+    this.tasks = [];
+    this.timezone = undefined;
+    this.jobs = {
+      dailyReport: this.createJobState('daily-report', null),
+      changeDetection: this.createJobState('change-detection', null),
+      clockOutReminder: this.createJobState('clock-out-reminder', null)
+    };
+  }
+
+  /**
+   * Initial state of a job
+   * @param {string} name - Job name shown by GET /api/jobs
+   * @param {string|null} schedule - Cron expression
+   * @param {string} timezone - IANA timezone, or undefined for server time
+   * @returns {Object} Job state
+   */
+  createJobState(name, schedule, timezone = undefined) {
+    return {
+      name,
+      schedule,
+      timezone: timezone || null,
+      enabled: false,
+      running: false,
+      runs: 0,
+      failureCount: 0,
+      lastRun: null,
+      lastSuccess: null,
+      nextRun: null,
+      failures: []
+    };
+  }
+
+  /**
+   * Start the cron tasks
+   * @param {Object} options - { schedule, changesSchedule, timezone }
+   *   (default: CRON_SCHEDULE, CHANGES_CRON_SCHEDULE, CRON_TIMEZONE)
+   * @returns {Array} Job states
+   */
+  start(options = {}) {
+    const schedule = options.schedule || process.env.CRON_SCHEDULE || DEFAULT_SCHEDULE;
+    const changesSchedule = options.changesSchedule || process.env.CHANGES_CRON_SCHEDULE || DEFAULT_CHANGES_SCHEDULE;
+    const timezone = options.timezone || process.env.CRON_TIMEZONE || undefined;
+
+    if (!cronUtils.isValid(schedule)) {
+      throw new Error(`Invalid CRON_SCHEDULE: "${schedule}"`);
+    }
+    if (!cronUtils.isValid(changesSchedule)) {
+      throw new Error(`Invalid CHANGES_CRON_SCHEDULE: "${changesSchedule}"`);
+    }
+
+    this.stop();
+    this.timezone = timezone;
+    this.jobs.dailyReport = { ...this.createJobState('daily-report', schedule, timezone), enabled: true };
+    this.jobs.changeDetection = { ...this.createJobState('change-detection', changesSchedule, timezone), enabled: true };
+    this.tasks = [
+      cron.schedule(schedule, () => this.runDailyReport(), { timezone }),
+      cron.schedule(changesSchedule, () => this.runChangeDetection(), { timezone })
+    ];
+
+    if (clockOutReminder.isEnabled()) {
+      const closingTime = shiftRules.getClosingTime();
+      const reminderSchedule = `${closingTime % 60} ${Math.floor(closingTime / 60)} * * *`;
+
+      this.jobs.clockOutReminder = { ...this.createJobState('clock-out-reminder', reminderSchedule, timezone), enabled: true };
+      this.tasks.push(cron.schedule(reminderSchedule, () => this.runClockOutReminder(), { timezone }));
+    } else {
+      this.jobs.clockOutReminder = this.createJobState('clock-out-reminder', null, timezone);
+    }
+
+    Object.values(this.jobs).forEach(job => this.updateNextRun(job));
+
+    Object.values(this.jobs).filter(job => job.enabled).forEach((job) => {
+      console.log(`⏰ ${job.name} scheduled: "${job.schedule}"${timezone ? ` (${timezone})` : ''}, next run ${job.nextRun}`);
+    });
+    return this.getJobs();
+  }
+
+  /**
+   * Stop the cron tasks
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+
+    Object.values(this.jobs).forEach((job) => {
+      job.enabled = false;
+      job.nextRun = null;
+    });
+  }
+
+  /**
+   * Refresh the next run time shown by GET /api/jobs
+   * @param {Object} job - Job state
+   */
+  updateNextRun(job) {
+    if (!job.enabled) {
+      return;
+    }
+
+    const nextRun = cronUtils.getNextRun(job.schedule, new Date(), job.timezone || undefined);
+    job.nextRun = nextRun ? nextRun.toISOString() : null;
+  }
+
+  /**
+   * Run a job once, recording the run in its state
+   * A tick that fires while the previous run is still going is skipped
+   * @param {Object} job - Job state
+   * @param {Object} details - What the run is about (e.g., { reportDate }), kept in failures too
+   * @param {Function} work - Async function returning more run fields on success
+   * @returns {Promise<Object|null>} Run record, or null if skipped
+   */
+  async runJob(job, details, work) {
+    if (job.running) {
+      console.log(`⏭️  ${job.name} still running, skipping this tick`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    const run = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      status: 'running',
+      ...details,
+      error: null
+    };
+
+    job.running = true;
+    job.runs += 1;
+
+    try {
+      Object.assign(run, await work());
+      run.status = 'success';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      job.failureCount += 1;
+      job.failures = [{ at: run.startedAt, ...details, error: error.message }, ...job.failures].slice(0, MAX_FAILURES);
+      console.error(`❌ ${job.name} job failed:`, error.message);
+    } finally {
+      const finishedAt = new Date();
+      run.finishedAt = finishedAt.toISOString();
+      run.durationMs = finishedAt - startedAt;
+
+      job.running = false;
+      job.lastRun = run;
+      if (run.status === 'success') {
+        job.lastSuccess = run;
+      }
+      this.updateNextRun(job);
+    }
+
+    return run;
+  }
+
+  /**
+   * The day a scheduled run reports on: the day before, since today's rows are still being filled in
+   * and the sent report is what later edits are compared against
+   * @param {Date} now - When the job runs (default: now in the schedule's timezone)
+   * @returns {Date} Local midnight of the previous day
+   */
+  getClosedDay(now = dateUtils.now(this.timezone)) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  }
+
+  /**
+   * Generate the daily report, write its snapshot and record it as sent
+   * @param {Date} date - Report date (default: the closed day, see getClosedDay)
+   * @returns {Promise<Object|null>} Run record, or null if skipped
+   */
+  async runDailyReport(date = this.getClosedDay()) {
+    return this.runJob(this.jobs.dailyReport, { reportDate: dateUtils.formatDate(date) }, async () => {
+      const report = await reportService.generateDailyReport(date);
+      const file = await reportHistory.save(date, report, 'scheduler');
+      await reportHistory.recordSent(date, report, 'scheduler');
+
+      console.log(`✅ Daily report snapshot written to ${file}`);
+      return { file };
+    });
+  }
+
+  /**
+   * Diff already-sent days against the sheet and log what changed
+   * @param {Date} today - Reference day (default: today in the schedule's timezone)
+   * @returns {Promise<Object|null>} Run record, or null if skipped
+   */
+  async runChangeDetection(today = dateUtils.now(this.timezone)) {
+    return this.runJob(this.jobs.changeDetection, {}, async () => {
+      const result = await changeDetector.detectChanges(today);
+      return { checkedDays: result.checkedDays, changes: result.changes.length };
+    });
+  }
+
+  /**
+   * Post today's missing check-outs to the reminder webhook
+   * The job fires at closingTime in the schedule's timezone, so the check-outs are judged on that clock too
+   * @param {Date} date - Day to check (default: today in the schedule's timezone)
+   * @param {Date} now - Current moment (default: now in the schedule's timezone)
+   * @returns {Promise<Object|null>} Run record, or null if skipped
+   */
+  async runClockOutReminder(date = dateUtils.now(this.timezone), now = dateUtils.now(this.timezone)) {
+    return this.runJob(this.jobs.clockOutReminder, { reportDate: dateUtils.formatDate(date) }, async () => {
+      const result = await clockOutReminder.send(date, now);
+      return { sent: result.sent, employees: result.employees.map(employee => employee.name) };
+    });
+  }
+
+  /**
+   * Get the state of every scheduled job
+   * @returns {Array} Job states
+   */
+  getJobs() {
+    return Object.values(this.jobs).map(job => ({ ...job, failures: [...job.failures] }));
+  }
+}
+
+module.exports = new ReportScheduler();
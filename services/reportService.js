@@ -1,41 +1,80 @@
 const sheetManager = require('./sheetManager');
 const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+const awbUtils = require('../utils/awbUtils');
+const rangeUtils = require('../utils/rangeUtils');
+const sectionReader = require('./sectionReader');
+const marketplaceRules = require('../config/marketplaceRules');
 
 class ReportService {
   constructor() {
     this.attendanceDetector = require('./attendanceDetector');
+
+    // Payment columns compared against the sheet's TOTAL rows, and the computed total they match
+    this.reconcileChannels = {
+      cargo: {
+        tunai: 'totalTunai',
+        tfMandiri: 'totalTfMandiri',
+        tfBca: 'totalTfBca',
+        dfod: 'totalDfod',
+        packing: 'totalPacking'
+      },
+      express: {
+        tunai: 'totalTunaiExpress',
+        tfMandiri: 'totalTfMandiriExpress',
+        tfBca: 'totalTfBcaExpress',
+        packing: 'totalPackingExpress'
+      }
+    };
   }
 
   /**
    * Generate daily report for a specific date
    * @param {Date} targetDate - Date to generate report for
+   * @param {Object} options - { reconcile: compare totals with the sheet's TOTAL rows,
+   *   unpriced: add the unpriced PENGELUARAN items of this and last month,
+   *   now: current moment for no-shows and missing check-outs (default: now in CRON_TIMEZONE) }
    * @returns {Promise<Object>} Report data
+   * @throws SHEET_NOT_FOUND without the month tab, or the read error when a section can't be read,
+   *   so a report that is stored, sent or acted upon is never filled with zeros
    */
-  async generateDailyReport(targetDate = new Date()) {
+  async generateDailyReport(targetDate = dateUtils.now(), options = {}) {
     try {
       // Get target sheet based on input date
       const targetSheet = sheetDetector.getSheetNameForDate(targetDate);
+      const { now = dateUtils.now() } = options;
+
+      await this.assertSheetExists(targetSheet);
+      await sheetManager.prefetchSheets([targetSheet]);
       
       const todayDay = targetDate.getDate().toString().padStart(2, '0');
       
-      // Get attendance data
+      // Get attendance data: present employees in order, then who was off and who didn't come in
       let attendanceData = [];
-      try {
-        const attendanceResult = await this.attendanceDetector.getTodayAttendance(targetSheet, targetDate.getDate());
-        
-        if (attendanceResult.attendance && attendanceResult.attendance.length > 0) {
-          attendanceResult.attendance.forEach((employee) => {
-            if (employee.isPresent) {
-              attendanceData.push({
-                name: employee.name,
-                inTime: employee.inTime || '-',
-                outTime: employee.outTime || '-'
-              });
-            }
-          });
-        }
-      } catch (error) {
-        console.log('No attendance data available for this date');
+      const attendanceOff = [];
+      const attendanceAbsent = [];
+      const attendanceResult = await this.attendanceDetector.getTodayAttendance(targetSheet, targetDate.getDate());
+      
+      if (attendanceResult.attendance && attendanceResult.attendance.length > 0) {
+        attendanceResult.attendance.forEach((employee) => {
+          const status = this.attendanceDetector.getStatus(employee);
+          const shift = this.attendanceDetector.evaluateShift(employee, employee.name, targetDate, now);
+
+          // "Off" in the sheet, or nothing entered on a day the shift rules don't schedule
+          if (status === 'off' || (status === 'absent' && shift && !shift.scheduled)) {
+            attendanceOff.push(employee.name);
+          } else if (status === 'absent') {
+            attendanceAbsent.push({ name: employee.name, shift });
+          } else {
+            attendanceData.push({
+              name: employee.name,
+              inTime: employee.inTime || '-',
+              outTime: employee.outTime || '-',
+              missingClockOut: this.attendanceDetector.isMissingClockOut(employee, targetDate, now),
+              shift
+            });
+          }
+        });
       }
 
       // Get CARGO data
@@ -47,8 +86,8 @@ class ReportService {
       // Get PENGELUARAN data
       const pengeluaranData = await this.getPengeluaranData(targetSheet, targetDate);
 
-      return {
-        date: targetDate.toISOString().split('T')[0],
+      const report = {
+        date: dateUtils.formatDate(targetDate),
         dateDisplay: targetDate.toLocaleDateString('en-US', { 
           month: 'long', 
           day: 'numeric', 
@@ -56,10 +95,23 @@ class ReportService {
         }),
         sheet: targetSheet,
         attendance: attendanceData,
+        attendanceOff,
+        attendanceAbsent,
         cargo: cargoData,
         express: expressData,
-        pengeluaran: pengeluaranData
+        pengeluaran: pengeluaranData,
+        layout: await this.describeLayout(targetSheet)
       };
+
+      if (options.reconcile) {
+        report.discrepancies = await this.reconcile(targetSheet, [targetDate]);
+      }
+
+      if (options.unpriced) {
+        report.unpricedExpenses = await this.getUnpricedExpenses(targetDate);
+      }
+
+      return report;
       
     } catch (error) {
       console.error('Error generating daily report:', error);
@@ -68,273 +120,825 @@ class ReportService {
   }
 
   /**
-   * Get CARGO data for a specific date
+   * Generate monthly report from a single MMMYY sheet
+   * Every day is summarized with the same functions as the daily report, so the numbers always agree
+   * @param {number} year - Full year (e.g., 2025)
+   * @param {number} month - Month index (0-11)
+   * @param {Object} options - { reconcile: compare totals with the sheet's TOTAL rows }
+   * @returns {Promise<Object>} Per-day rows plus month totals
    */
-  async getCargoData(targetSheet, targetDate) {
+  async generateMonthlyReport(year, month, options = {}) {
     try {
-      // Find where "PENGELUARAN" starts to determine range
-      const searchData = await sheetManager.getSheetData(targetSheet, 'B13:B300');
-      let endRow = 300;
-      
-      for (let i = 0; i < searchData.length; i++) {
-        const cellValue = searchData[i][0];
-        if (cellValue && cellValue.toString().toUpperCase().includes('PENGELUARAN')) {
-          endRow = 13 + i - 1;
-          break;
+      const firstDay = new Date(year, month, 1);
+      const targetSheet = sheetDetector.getSheetNameForDate(firstDay);
+
+      await this.assertSheetExists(targetSheet);
+
+      const daysInMonth = new Date(year, month + 1, 0).getDate();
+      const dates = [];
+
+      for (let day = 1; day <= daysInMonth; day++) {
+        dates.push(new Date(year, month, day));
+      }
+
+      const days = await this.buildDayRows(targetSheet, dates);
+
+      const report = {
+        month: dateUtils.formatDate(firstDay).slice(0, 7),
+        monthDisplay: firstDay.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+        sheet: targetSheet,
+        days,
+        totals: this.sumDays(days),
+        layout: await this.describeLayout(targetSheet)
+      };
+
+      if (options.reconcile) {
+        report.discrepancies = await this.reconcile(targetSheet, dates);
+      }
+
+      return report;
+
+    } catch (error) {
+      console.error('Error generating monthly report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate report for an arbitrary date range, stitching data across MMMYY sheets
+   * Days whose sheet doesn't exist are left out and listed in missingSheets
+   * @param {Date} fromDate - First day (inclusive)
+   * @param {Date} toDate - Last day (inclusive)
+   * @param {Object} options - { reconcile: compare totals with the sheet's TOTAL rows }
+   * @returns {Promise<Object>} Per-day rows, range totals and missing sheets
+   */
+  async generateRangeReport(fromDate, toDate, options = {}) {
+    try {
+      // Group the dates by the sheet that holds them
+      const datesBySheet = new Map();
+      const cursor = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+      const lastDate = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate());
+
+      while (cursor <= lastDate) {
+        const sheetName = sheetDetector.getSheetNameForDate(cursor);
+        if (!datesBySheet.has(sheetName)) {
+          datesBySheet.set(sheetName, []);
         }
+        datesBySheet.get(sheetName).push(new Date(cursor));
+        cursor.setDate(cursor.getDate() + 1);
       }
-      
-      const cargoData = await sheetManager.getSheetData(targetSheet, `A13:R${endRow}`);
-      const todayDay = targetDate.getDate().toString().padStart(2, '0');
-      
-      let currentDate = null;
-      const todayCargoRows = [];
-      
-      cargoData.forEach((row, index) => {
-        const dateValue = row[1]; // Column B (date)
-        const awb = row[3]; // Column D (AWB)
-        const kg = row[7]; // Column H (Kg)
-        const sistem = row[10]; // Column K (Sistem)
-        const tunai = row[8]; // Column I (Tunai)
-        const tfMandiriK = row[10]; // Column K (TF Mandiri - bagian 1)
-        const tfMandiriL = row[11]; // Column L (TF Mandiri - bagian 2)
-        const tfBca = row[12]; // Column M (TF BCA)
-        const dfod = row[13]; // Column N (DFOD)
-        const packing = row[14]; // Column O (Packing)
-
-        // Check if this row has a date
-        if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
-          if (dateValue === todayDay) {
-            currentDate = todayDay;
-          } else {
-            currentDate = null;
-          }
+
+      const availableSheets = await sheetManager.getAvailableSheets();
+      const sheets = [...datesBySheet.keys()].filter(sheetName => availableSheets.includes(sheetName));
+      const missingSheets = [];
+      const layouts = {};
+      let discrepancies = [];
+      let days = [];
+
+      // Fetch every month tab in the range with a single batched read
+      await sheetManager.prefetchSheets(sheets);
+
+      for (const [sheetName, dates] of datesBySheet) {
+        if (!sheets.includes(sheetName)) {
+          missingSheets.push({
+            sheet: sheetName,
+            from: dateUtils.formatDate(dates[0]),
+            to: dateUtils.formatDate(dates[dates.length - 1])
+          });
+          continue;
         }
 
-        // If we're in today's date section, collect the row
-        if (currentDate === todayDay) {
-          todayCargoRows.push({ row, awb, kg, sistem, tunai, tfMandiriK, tfMandiriL, tfBca, dfod, packing });
+        days = days.concat(await this.buildDayRows(sheetName, dates));
+        layouts[sheetName] = await this.describeLayout(sheetName);
+
+        if (options.reconcile) {
+          discrepancies = discrepancies.concat(await this.reconcile(sheetName, dates));
         }
-      });
+      }
 
-      // Calculate totals
-      let totalAWB = 0;
-      let totalKg = 0;
-      let totalOnlineKg = 0;
-      let onlineAWBs = [];
-      let totalTunai = 0;
-      let totalTfMandiri = 0;
-      let totalTfBca = 0;
-      let totalDfod = 0;
-      let totalPacking = 0;
-
-      todayCargoRows.forEach((entry) => {
-        const { awb, kg, sistem, tunai, tfMandiriK, tfMandiriL, tfBca, dfod, packing } = entry;
-        
-        if (awb && awb.toString().trim() !== '' && awb.toString().toLowerCase() !== 'total') {
-          const kgValue = kg ? parseFloat(kg.toString().replace(/[^\d.-]/g, '')) : 0;
-          const tunaiValue = tunai ? parseFloat(tunai.toString().replace(/[^\d.-]/g, '')) : 0;
-          const tfMandiriKValue = tfMandiriK ? parseFloat(tfMandiriK.toString().replace(/[^\d.-]/g, '')) : 0;
-          const tfMandiriLValue = tfMandiriL ? parseFloat(tfMandiriL.toString().replace(/[^\d.-]/g, '')) : 0;
-          const tfBcaValue = tfBca ? parseFloat(tfBca.toString().replace(/[^\d.-]/g, '')) : 0;
-          const dfodValue = dfod ? parseFloat(dfod.toString().replace(/[^\d.-]/g, '')) : 0;
-          const packingValue = packing ? parseFloat(packing.toString().replace(/[^\d.-]/g, '')) : 0;
-          
-          totalTunai += tunaiValue;
-          totalTfMandiri += tfMandiriKValue + tfMandiriLValue;
-          totalTfBca += tfBcaValue;
-          totalDfod += dfodValue;
-          totalPacking += packingValue;
-          
-          // Check if it's online AWB (TikTok/Shopee/Api)
-          const awbString = awb.toString().toLowerCase();
-          if (awbString.includes('tiktok') || awbString.includes('shopee') || awbString.includes('api')) {
-            onlineAWBs.push(awb.toString());
-            totalOnlineKg += kgValue;
-          } else if (awb.toString().match(/^\d{10,}$/)) {
-            // Only count numeric AWB as regular AWB
-            totalAWB++;
-            totalKg += kgValue;
-          }
+      const report = {
+        from: dateUtils.formatDate(fromDate),
+        to: dateUtils.formatDate(toDate),
+        sheets,
+        missingSheets,
+        complete: missingSheets.length === 0,
+        days,
+        totals: this.sumDays(days),
+        layouts
+      };
+
+      if (options.reconcile) {
+        report.discrepancies = discrepancies;
+      }
+
+      return report;
+
+    } catch (error) {
+      console.error('Error generating range report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize several dates of one sheet, reading each section only once
+   * @param {string} targetSheet - Sheet name
+   * @param {Array<Date>} dates - Dates within that sheet's month
+   * @returns {Promise<Array>} Rows with { date, sheet, cargo, express, pengeluaran }
+   */
+  async buildDayRows(targetSheet, dates) {
+    const cargoData = await this.readCargoSection(targetSheet);
+    const expressData = await this.readExpressSection(targetSheet);
+    const pengeluaranData = await this.readPengeluaranSection(targetSheet);
+
+    return dates.map(date => ({
+      date: dateUtils.formatDate(date),
+      sheet: targetSheet,
+      cargo: this.summarizeCargo(cargoData, date),
+      express: this.summarizeExpress(expressData, date),
+      pengeluaran: this.summarizePengeluaran(pengeluaranData, date)
+    }));
+  }
+
+  /**
+   * Add up per-day cargo, express and pengeluaran rows
+   * @param {Array} days - Rows with { date, cargo, express, pengeluaran }
+   * @returns {Object} Totals in the same shape as a daily report
+   */
+  sumDays(days) {
+    const cargo = this.emptyCargoData();
+    const express = this.emptyExpressData();
+    const pengeluaran = this.emptyPengeluaranData();
+    const onlineAWBs = [];
+
+    const addNumbers = (target, source) => {
+      Object.keys(target).forEach((key) => {
+        if (typeof target[key] === 'number') {
+          target[key] += source[key] || 0;
         }
       });
+    };
 
-      return {
-        totalAWB,
-        totalAWBOnline: onlineAWBs.length > 0 ? onlineAWBs.join(' ') : 'TBD',
-        totalTonase: totalKg,
-        totalTonaseOnline: totalOnlineKg,
-        totalTunai,
-        totalTfMandiri,
-        totalTfBca,
-        totalDfod,
-        totalPacking
+    days.forEach((day) => {
+      addNumbers(cargo, day.cargo);
+      addNumbers(express, day.express);
+      addNumbers(pengeluaran, day.pengeluaran);
+
+      if (day.cargo.totalAWBOnline !== 'TBD') {
+        onlineAWBs.push(day.cargo.totalAWBOnline);
+      }
+
+      Object.entries(day.cargo.onlinePlatforms).forEach(([id, platform]) => {
+        cargo.onlinePlatforms[id].awb += platform.awb;
+        cargo.onlinePlatforms[id].tonase += platform.tonase;
+      });
+
+      day.cargo.onlineWarnings.forEach((warning) => {
+        cargo.onlineWarnings.push({ date: day.date, ...warning });
+      });
+
+      day.pengeluaran.itemsWithoutPrice.forEach((description) => {
+        pengeluaran.itemsWithoutPrice.push({ date: day.date, description });
+      });
+    });
+
+    cargo.totalAWBOnline = onlineAWBs.length > 0 ? onlineAWBs.join(' ') : 'TBD';
+
+    return { cargo, express, pengeluaran };
+  }
+
+  /**
+   * Compare the computed CARGO and EXPRESS payment totals with the sheet's own TOTAL rows
+   * Days without a TOTAL row are not checked; blank cells in a TOTAL row count as 0
+   * @param {string} targetSheet - Sheet name
+   * @param {Array<Date>} dates - Dates within that sheet's month
+   * @returns {Promise<Array>} Discrepancies { date, section, channel, cell, sheetTotal, computed, difference }
+   */
+  async reconcile(targetSheet, dates) {
+    const sections = {
+      cargo: await this.readCargoSection(targetSheet),
+      express: await this.readExpressSection(targetSheet)
+    };
+    const discrepancies = [];
+
+    dates.forEach((date) => {
+      const computed = {
+        cargo: this.summarizeCargo(sections.cargo, date),
+        express: this.summarizeExpress(sections.express, date)
       };
-      
+
+      Object.entries(this.reconcileChannels).forEach(([sectionName, channels]) => {
+        const section = sections[sectionName];
+
+        this.findTotalRows(section, date).forEach((rowIndex) => {
+          const row = section.rows[rowIndex];
+
+          Object.entries(channels).forEach(([channel, totalField]) => {
+            const values = sectionReader.getCells(row, section.layout, channel);
+            const sheetTotal = values.reduce((sum, value) => sum + this.parseAmount(value), 0);
+            const difference = sheetTotal - computed[sectionName][totalField];
+
+            if (Math.abs(difference) > 0.005) {
+              discrepancies.push({
+                date: dateUtils.formatDate(date),
+                section: sectionName,
+                channel,
+                cell: this.totalCellRef(section, rowIndex, channel),
+                sheetTotal,
+                computed: computed[sectionName][totalField],
+                difference
+              });
+            }
+          });
+        });
+      });
+    });
+
+    return discrepancies;
+  }
+
+  /**
+   * Find the TOTAL rows of one date's block in a CARGO or EXPRESS section
+   * @param {Object} section - Section from readCargoSection / readExpressSection
+   * @param {Date} targetDate - Date to look for
+   * @returns {Array<number>} Indices in section.rows
+   */
+  findTotalRows(section, targetDate) {
+    const todayDay = targetDate.getDate().toString().padStart(2, '0');
+    const totalRows = [];
+    let currentDate = null;
+
+    section.rows.forEach((row = [], index) => {
+      const dateValue = sectionReader.getCell(row, section.layout, 'date');
+      if (dateValue && dateValue.toString().trim() !== '') {
+        currentDate = dateValue;
+      }
+
+      if (currentDate === todayDay && row.some(cell => cell && cell.toString().toLowerCase().includes('total'))) {
+        totalRows.push(index);
+      }
+    });
+
+    return totalRows;
+  }
+
+  /**
+   * Get the cell reference of a payment column in a section row ("I20", or "K20:L20" for split columns)
+   * @param {Object} section - Section from readCargoSection / readExpressSection
+   * @param {number} rowIndex - Index in section.rows
+   * @param {string} channel - Payment column name
+   * @returns {string} Cell reference
+   */
+  totalCellRef(section, rowIndex, channel) {
+    const { span, columns } = section.layout;
+    const refs = columns[channel].map(index => rangeUtils.toCellRef(section.startRow + rowIndex - 1, span.fromIndex + index));
+    return refs.length > 1 ? `${refs[0]}:${refs[refs.length - 1]}` : refs[0];
+  }
+
+  /**
+   * Parse an amount cell ("100,000") the same way the section totals do
+   * @param {*} value - Cell value
+   * @returns {number} Amount, 0 when blank or not a number
+   */
+  parseAmount(value) {
+    if (!value) return 0;
+
+    const amount = parseFloat(value.toString().replace(/[^\d.-]/g, ''));
+    return isNaN(amount) ? 0 : amount;
+  }
+
+  /**
+   * Describe which column every field of a sheet was read from
+   * @param {string} targetSheet - Sheet name
+   * @returns {Promise<Object|null>} Layout block, or null when the sheet can't be read
+   */
+  async describeLayout(targetSheet) {
+    try {
+      return await sectionReader.describeLayout(targetSheet);
     } catch (error) {
-      console.error('Error getting cargo data:', error);
+      console.error('Error describing sheet layout:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Throw a SHEET_NOT_FOUND error when the sheet is not in the spreadsheet
+   * @param {string} sheetName - Sheet name to check
+   * @returns {Promise<void>}
+   */
+  async assertSheetExists(sheetName) {
+    const availableSheets = await sheetManager.getAvailableSheets();
+
+    if (!availableSheets.includes(sheetName)) {
+      const error = new Error(`Sheet "${sheetName}" not found in the spreadsheet`);
+      error.code = 'SHEET_NOT_FOUND';
+      throw error;
+    }
+  }
+
+  /**
+   * Get the individual CARGO or EXPRESS rows behind one day's totals
+   * @param {Date} targetDate - Date to list
+   * @param {string} sectionName - cargo or express
+   * @returns {Promise<Object>} { date, sheet, section, count, items, totals }
+   */
+  async getDayItems(targetDate, sectionName) {
+    try {
+      const targetSheet = sheetDetector.getSheetNameForDate(targetDate);
+
+      await this.assertSheetExists(targetSheet);
+
+      const section = sectionName === 'express'
+        ? await this.readExpressSection(targetSheet)
+        : await this.readCargoSection(targetSheet);
+      const items = sectionName === 'express'
+        ? this.collectExpressItems(section, targetDate)
+        : this.collectCargoItems(section, targetDate);
+
       return {
-        totalAWB: 0,
-        totalAWBOnline: 'TBD',
-        totalTonase: 0,
-        totalTonaseOnline: 0,
-        totalTunai: 0,
-        totalTfMandiri: 0,
-        totalTfBca: 0,
-        totalDfod: 0,
-        totalPacking: 0
+        date: dateUtils.formatDate(targetDate),
+        sheet: targetSheet,
+        section: sectionName,
+        count: items.length,
+        items,
+        totals: sectionName === 'express'
+          ? this.summarizeExpress(section, targetDate)
+          : this.summarizeCargo(section, targetDate)
       };
+
+    } catch (error) {
+      console.error(`Error listing ${sectionName} items:`, error);
+      throw error;
     }
   }
 
   /**
-   * Get EXPRESS data for a specific date
+   * Read the raw CARGO section rows
+   * @param {string} targetSheet - Sheet name
+   * @returns {Promise<Object>} Section { layout, rows, startRow, endRow }
    */
-  async getExpressData(targetSheet, targetDate) {
+  async readCargoSection(targetSheet) {
+    return sectionReader.readSection(targetSheet, 'cargo');
+  }
+
+  /**
+   * Read the raw EXPRESS section rows
+   * @param {string} targetSheet - Sheet name
+   * @returns {Promise<Object>} Section { layout, rows, startRow, endRow }
+   */
+  async readExpressSection(targetSheet) {
+    return sectionReader.readSection(targetSheet, 'express');
+  }
+
+  /**
+   * Read the raw PENGELUARAN section rows
+   * @param {string} targetSheet - Sheet name
+   * @returns {Promise<Object>} Section { layout, rows, startRow, endRow }
+   */
+  async readPengeluaranSection(targetSheet) {
+    return sectionReader.readSection(targetSheet, 'pengeluaran');
+  }
+
+  /**
+   * Get CARGO data for a specific date
+   */
+  async getCargoData(targetSheet, targetDate) {
     try {
-      // Find where "PENGELUARAN" starts to determine range
-      const searchData = await sheetManager.getSheetData(targetSheet, 'B13:B300');
-      let endRow = 300;
+      const cargoData = await this.readCargoSection(targetSheet);
+      return this.summarizeCargo(cargoData, targetDate);
       
-      for (let i = 0; i < searchData.length; i++) {
-        const cellValue = searchData[i][0];
-        if (cellValue && cellValue.toString().toUpperCase().includes('PENGELUARAN')) {
-          endRow = 13 + i - 1;
-          break;
+    } catch (error) {
+      console.error('Error getting cargo data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the CARGO rows of one date that carry an AWB, with their parsed amounts
+   * Blank AWB cells and the day's TOTAL row are left out
+   * @param {Object} cargoSection - Section from readCargoSection
+   * @param {Date} targetDate - Date to list
+   * @returns {Array} Items { row, awb, type, kg, tunai, tfMandiri, tfBca, dfod, packing }
+   *   where row is the sheet row number and type is regular, marketplace or unrecognized
+   */
+  collectCargoItems(cargoSection, targetDate) {
+    const { layout, rows, startRow } = cargoSection;
+    const todayDay = targetDate.getDate().toString().padStart(2, '0');
+    
+    let currentDate = null;
+    const items = [];
+    
+    rows.forEach((row, index) => {
+      const dateValue = sectionReader.getCell(row, layout, 'date');
+      const awb = sectionReader.getCell(row, layout, 'awb');
+
+      // Check if this row has a date
+      if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
+        if (dateValue === todayDay) {
+          currentDate = todayDay;
+        } else {
+          currentDate = null;
         }
       }
+
+      // If we're in today's date section, collect the AWB rows
+      if (currentDate !== todayDay || awbUtils.isBlank(awb) || awbUtils.isTotalLabel(awb)) {
+        return;
+      }
+
+      let type = 'unrecognized';
+      if (awbUtils.isMarketplaceLabel(awb)) {
+        type = 'marketplace';
+      } else if (awbUtils.isRegularAWB(awb)) {
+        type = 'regular';
+      }
+
+      items.push({
+        row: startRow + index,
+        awb: awb.toString(),
+        type,
+        kg: this.parseAmount(sectionReader.getCell(row, layout, 'kg')),
+        tunai: this.parseAmount(sectionReader.getCell(row, layout, 'tunai')),
+        // TF Mandiri may span several columns
+        tfMandiri: sectionReader.getCells(row, layout, 'tfMandiri').reduce((sum, value) => sum + this.parseAmount(value), 0),
+        tfBca: this.parseAmount(sectionReader.getCell(row, layout, 'tfBca')),
+        dfod: this.parseAmount(sectionReader.getCell(row, layout, 'dfod')),
+        packing: this.parseAmount(sectionReader.getCell(row, layout, 'packing'))
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Calculate CARGO totals for one date from the raw section rows
+   * @param {Object} cargoSection - Section from readCargoSection
+   * @param {Date} targetDate - Date to summarize
+   * @returns {Object} Cargo totals
+   */
+  summarizeCargo(cargoSection, targetDate) {
+    // Calculate totals
+    let totalAWB = 0;
+    let totalKg = 0;
+    let totalOnlineKg = 0;
+    let onlineAWBs = [];
+    let totalTunai = 0;
+    let totalTfMandiri = 0;
+    let totalTfBca = 0;
+    let totalDfod = 0;
+    let totalPacking = 0;
+
+    const onlinePlatforms = this.emptyOnlinePlatforms();
+    const onlineWarnings = [];
+
+    this.collectCargoItems(cargoSection, targetDate).forEach((item) => {
+      totalTunai += item.tunai;
+      totalTfMandiri += item.tfMandiri;
+      totalTfBca += item.tfBca;
+      totalDfod += item.dfod;
+      totalPacking += item.packing;
       
-      const expressData = await sheetManager.getSheetData(targetSheet, `AD9:AY${endRow}`);
-      const todayDay = targetDate.getDate().toString().padStart(2, '0');
-      
-      let expressCurrentDate = null;
-      const todayExpressRows = [];
-      
-      expressData.forEach((row, index) => {
-        const dateValue = row[0]; // Column AD (date)
-        const tunai = row[7]; // Column AK (Tunai)
-        const mandiri = row[9]; // Column AM (Mandiri)
-        const bca = row[11]; // Column AO (BCA)
-        const packing = row[13]; // Column AQ (Packing)
-
-        // Check if this row has a date
-        if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
-          if (dateValue === todayDay) {
-            expressCurrentDate = todayDay;
-          } else {
-            expressCurrentDate = null;
-          }
-        }
+      // Check if it's online AWB (TikTok/Shopee/Api)
+      if (item.type === 'marketplace') {
+        onlineAWBs.push(item.awb);
+        totalOnlineKg += item.kg;
 
-        // If we're in today's date section, collect rows with prices
-        if (expressCurrentDate === todayDay) {
-          // Check for "TOTAL" in ANY column of this row
-          let hasTotal = false;
-          for (let i = 0; i < row.length; i++) {
-            const cellValue = row[i];
-            if (cellValue && cellValue.toString().toLowerCase().includes('total')) {
-              hasTotal = true;
-              break;
-            }
-          }
-          
-          // Skip rows with "TOTAL" in any column
-          if (hasTotal) {
-            return;
-          }
-          
-          if (tunai || mandiri || bca || packing) {
-            todayExpressRows.push({ tunai, mandiri, bca, packing });
-          }
+        const label = awbUtils.parseMarketplaceLabel(item.awb);
+        if (label) {
+          onlinePlatforms[label.platform].awb += label.count;
+          onlinePlatforms[label.platform].tonase += item.kg;
+        } else {
+          onlineWarnings.push({
+            row: item.row,
+            label: item.awb,
+            message: 'Marketplace label needs one count and one platform (e.g., "3 Shopee"), left out of the per-platform counts'
+          });
         }
-      });
+      } else if (item.type === 'regular') {
+        // Only count numeric AWB as regular AWB, anything else is reported by the sheet lint
+        totalAWB++;
+        totalKg += item.kg;
+      }
+    });
 
-      // Calculate EXPRESS totals
-      let totalExpressAWB = todayExpressRows.length;
-      let totalExpressTunai = 0;
-      let totalExpressMandiri = 0;
-      let totalExpressBca = 0;
-      let totalExpressPacking = 0;
-
-      todayExpressRows.forEach((entry) => {
-        const { tunai, mandiri, bca, packing } = entry;
-
-        const tunaiValue = tunai ? parseFloat(tunai.toString().replace(/[^\d.-]/g, '')) : 0;
-        const mandiriValue = mandiri ? parseFloat(mandiri.toString().replace(/[^\d.-]/g, '')) : 0;
-        const bcaValue = bca ? parseFloat(bca.toString().replace(/[^\d.-]/g, '')) : 0;
-        const packingValue = packing ? parseFloat(packing.toString().replace(/[^\d.-]/g, '')) : 0;
-
-        totalExpressTunai += tunaiValue;
-        totalExpressMandiri += mandiriValue;
-        totalExpressBca += bcaValue;
-        totalExpressPacking += packingValue;
-      });
+    return {
+      totalAWB,
+      totalAWBOnline: onlineAWBs.length > 0 ? onlineAWBs.join(' ') : 'TBD',
+      totalAWBOnlineCount: Object.values(onlinePlatforms).reduce((sum, platform) => sum + platform.awb, 0),
+      totalTonase: totalKg,
+      totalTonaseOnline: totalOnlineKg,
+      totalTunai,
+      totalTfMandiri,
+      totalTfBca,
+      totalDfod,
+      totalPacking,
+      onlinePlatforms,
+      onlineWarnings
+    };
+  }
 
-      return {
-        totalAWBExpress: totalExpressAWB,
-        totalTunaiExpress: totalExpressTunai,
-        totalTfMandiriExpress: totalExpressMandiri,
-        totalTfBcaExpress: totalExpressBca,
-        totalPackingExpress: totalExpressPacking
-      };
+  /**
+   * Zeroed per-platform online counts, one entry per configured marketplace
+   * @returns {Object} Map of platform id -> { name, awb, tonase }
+   */
+  emptyOnlinePlatforms() {
+    const platforms = {};
+
+    Object.entries(marketplaceRules.getPlatforms()).forEach(([id, platform]) => {
+      platforms[id] = { name: platform.name, awb: 0, tonase: 0 };
+    });
+
+    return platforms;
+  }
+
+  /**
+   * Zeroed CARGO totals, used when the section can't be read
+   * @returns {Object} Empty cargo totals
+   */
+  emptyCargoData() {
+    return {
+      totalAWB: 0,
+      totalAWBOnline: 'TBD',
+      totalAWBOnlineCount: 0,
+      totalTonase: 0,
+      totalTonaseOnline: 0,
+      totalTunai: 0,
+      totalTfMandiri: 0,
+      totalTfBca: 0,
+      totalDfod: 0,
+      totalPacking: 0,
+      onlinePlatforms: this.emptyOnlinePlatforms(),
+      onlineWarnings: []
+    };
+  }
+
+  /**
+   * Get EXPRESS data for a specific date
+   */
+  async getExpressData(targetSheet, targetDate) {
+    try {
+      const expressData = await this.readExpressSection(targetSheet);
+      return this.summarizeExpress(expressData, targetDate);
       
     } catch (error) {
       console.error('Error getting express data:', error);
-      return {
-        totalAWBExpress: 0,
-        totalTunaiExpress: 0,
-        totalTfMandiriExpress: 0,
-        totalTfBcaExpress: 0,
-        totalPackingExpress: 0
-      };
+      throw error;
     }
   }
 
+  /**
+   * List the EXPRESS shipments of one date, parsed like CARGO
+   * - a row with an AWB starts a shipment; the same AWB on the next row(s), or a payment with a blank
+   *   AWB/Paket cell right under it, is the same shipment with its payment split over several rows
+   * - rows whose AWB/Paket cell isn't an AWB number, or that have a payment but no AWB and no shipment
+   *   above them in the day block, are unrecognized
+   * - rows with "TOTAL" in any column are left out
+   * Kg is read when the sheet has a "Kg" / "Berat" header in the EXPRESS section
+   * @param {Object} expressSection - Section from readExpressSection
+   * @param {Date} targetDate - Date to list
+   * @returns {Array} Items { row, rows, awb, type, kg, tunai, tfMandiri, tfBca, packing }
+   *   where row is the first sheet row, rows every sheet row of the shipment and type is regular or unrecognized
+   */
+  collectExpressItems(expressSection, targetDate) {
+    const { layout, rows, startRow } = expressSection;
+    const todayDay = targetDate.getDate().toString().padStart(2, '0');
+    
+    let expressCurrentDate = null;
+    let previous = null;
+    const items = [];
+    
+    rows.forEach((row, index) => {
+      const dateValue = sectionReader.getCell(row, layout, 'date');
+      const awb = sectionReader.getCell(row, layout, 'awb');
+      const kg = sectionReader.getCell(row, layout, 'kg');
+      const tunai = sectionReader.getCell(row, layout, 'tunai');
+      const mandiri = sectionReader.getCell(row, layout, 'tfMandiri');
+      const bca = sectionReader.getCell(row, layout, 'tfBca');
+      const packing = sectionReader.getCell(row, layout, 'packing');
+
+      // Check if this row has a date
+      if (dateValue && dateValue.toString && dateValue.toString().trim() !== '') {
+        if (dateValue === todayDay) {
+          expressCurrentDate = todayDay;
+        } else {
+          expressCurrentDate = null;
+        }
+      }
+
+      // Only today's date section, without the TOTAL rows
+      if (expressCurrentDate !== todayDay || row.some(cell => cell && cell.toString().toLowerCase().includes('total'))) {
+        previous = null;
+        return;
+      }
+
+      const awbText = awbUtils.isBlank(awb) ? null : awb.toString().trim();
+      if (!awbText && !(tunai || mandiri || bca || packing)) {
+        previous = null;
+        return;
+      }
+
+      const amounts = {
+        kg: this.parseAmount(kg),
+        tunai: this.parseAmount(tunai),
+        tfMandiri: this.parseAmount(mandiri),
+        tfBca: this.parseAmount(bca),
+        packing: this.parseAmount(packing)
+      };
+
+      // The same AWB, or no AWB, on the next row is a payment split over two rows
+      if (previous && (!awbText || previous.awb === awbText)) {
+        previous.rows.push(startRow + index);
+        Object.keys(amounts).forEach((key) => { previous[key] += amounts[key]; });
+        return;
+      }
+
+      const item = {
+        row: startRow + index,
+        rows: [startRow + index],
+        awb: awbText,
+        type: awbUtils.isExpressAWB(awbText) ? 'regular' : 'unrecognized',
+        ...amounts
+      };
+
+      items.push(item);
+      previous = item;
+    });
+
+    return items;
+  }
+
+  /**
+   * Calculate EXPRESS totals for one date from the raw section rows
+   * @param {Object} expressSection - Section from readExpressSection
+   * @param {Date} targetDate - Date to summarize
+   * @returns {Object} Express totals
+   */
+  summarizeExpress(expressSection, targetDate) {
+    const items = this.collectExpressItems(expressSection, targetDate);
+    const shipments = items.filter(item => item.type === 'regular');
+    const sum = key => items.reduce((total, item) => total + item[key], 0);
+
+    return {
+      totalAWBExpress: shipments.length,
+      totalTonaseExpress: shipments.reduce((total, item) => total + item.kg, 0),
+      totalTunaiExpress: sum('tunai'),
+      totalTfMandiriExpress: sum('tfMandiri'),
+      totalTfBcaExpress: sum('tfBca'),
+      totalPackingExpress: sum('packing'),
+      unrecognizedRowsExpress: items
+        .filter(item => item.type === 'unrecognized')
+        .reduce((total, item) => total + item.rows.length, 0)
+    };
+  }
+
+  /**
+   * Zeroed EXPRESS totals, used when the section can't be read
+   * @returns {Object} Empty express totals
+   */
+  emptyExpressData() {
+    return {
+      totalAWBExpress: 0,
+      totalTonaseExpress: 0,
+      totalTunaiExpress: 0,
+      totalTfMandiriExpress: 0,
+      totalTfBcaExpress: 0,
+      totalPackingExpress: 0,
+      unrecognizedRowsExpress: 0
+    };
+  }
+
   /**
    * Get PENGELUARAN data for a specific date
    */
   async getPengeluaranData(targetSheet, targetDate) {
     try {
-      const pengeluaranData = await sheetManager.getSheetData(targetSheet, 'B226:S248');
-      const targetDay = targetDate.getDate().toString(); // Without padding (e.g., "4")
-      const targetDayPadded = targetDate.getDate().toString().padStart(2, '0'); // With padding (e.g., "04")
+      const pengeluaranData = await this.readPengeluaranSection(targetSheet);
+      return this.summarizePengeluaran(pengeluaranData, targetDate);
       
-      let totalPengeluaran = 0;
-      let pengeluaranWithoutPrice = [];
+    } catch (error) {
+      console.error('Error getting pengeluaran data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the PENGELUARAN rows of one date that have a description
+   * @param {Object} pengeluaranSection - Section from readPengeluaranSection
+   * @param {Date} targetDate - Date to list
+   * @returns {Array} Items { row, description, amount } where row is the sheet row number
+   *   and amount is null when the price hasn't been filled in yet
+   */
+  collectPengeluaranItems(pengeluaranSection, targetDate) {
+    const { layout, rows, startRow } = pengeluaranSection;
+    const targetDay = targetDate.getDate().toString(); // Without padding (e.g., "4")
+    const targetDayPadded = targetDate.getDate().toString().padStart(2, '0'); // With padding (e.g., "04")
+    const items = [];
+    
+    rows.forEach((row, index) => {
+      const dateValue = sectionReader.getCell(row, layout, 'date');
+      const description = sectionReader.getCell(row, layout, 'description'); // keterangan
+      const amount = sectionReader.getCell(row, layout, 'amount'); // jumlah
       
-      pengeluaranData.forEach((row, index) => {
-        const dateValue = row[0]; // Column B (date) - FIXED!
-        const description = row[2]; // Column D (keterangan)
-        const amount = row[11]; // Column M (jumlah)
-        
-        // Check if this row matches today's date (try both padded and unpadded)
-        if (dateValue && (dateValue.toString() === targetDay || dateValue.toString() === targetDayPadded)) {
-          if (description && description.toString().trim() !== '') {
-            if (amount && amount.toString().trim() !== '') {
-              // Has price
-              const amountValue = parseFloat(amount.toString().replace(/[^\d.-]/g, ''));
-              totalPengeluaran += amountValue;
-            } else {
-              // No price
-              pengeluaranWithoutPrice.push(description.toString().trim());
-            }
-          }
+      // Check if this row matches today's date (try both padded and unpadded)
+      if (dateValue && (dateValue.toString() === targetDay || dateValue.toString() === targetDayPadded)) {
+        if (description && description.toString().trim() !== '') {
+          items.push({
+            row: startRow + index,
+            description: description.toString().trim(),
+            amount: amount && amount.toString().trim() !== '' ? this.parseAmount(amount) : null
+          });
         }
-      });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Calculate PENGELUARAN totals for one date from the raw section rows
+   * @param {Object} pengeluaranSection - Section from readPengeluaranSection
+   * @param {Date} targetDate - Date to summarize
+   * @returns {Object} Pengeluaran totals
+   */
+  summarizePengeluaran(pengeluaranSection, targetDate) {
+    const items = this.collectPengeluaranItems(pengeluaranSection, targetDate);
+
+    return {
+      totalPengeluaran: items.reduce((total, item) => total + (item.amount || 0), 0),
+      itemsWithoutPrice: items.filter(item => item.amount === null).map(item => item.description)
+    };
+  }
+
+  /**
+   * List the PENGELUARAN items still waiting for a price, in the month of asOf and the month before
+   * The sheet is read every time, so an item drops off once its amount is filled in; days after asOf are left out
+   * @param {Date} asOf - Reference day (default: today in CRON_TIMEZONE)
+   * @returns {Promise<Object>} { asOf, sheets, missingSheets, count, items } with items
+   *   { date, ageDays, sheet, cell, description } oldest first, where cell is the empty amount cell
+   */
+  async getUnpricedExpenses(asOf = dateUtils.now()) {
+    try {
+      const today = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+      const months = [
+        new Date(today.getFullYear(), today.getMonth() - 1, 1),
+        new Date(today.getFullYear(), today.getMonth(), 1)
+      ].map(firstDay => ({ firstDay, sheetName: sheetDetector.getSheetNameForDate(firstDay) }));
+
+      const availableSheets = await sheetManager.getAvailableSheets();
+      const sheets = months.map(({ sheetName }) => sheetName).filter(sheetName => availableSheets.includes(sheetName));
+      await sheetManager.prefetchSheets(sheets);
+
+      const items = [];
+      for (const { firstDay, sheetName } of months) {
+        if (!sheets.includes(sheetName)) {
+          continue;
+        }
+
+        const section = await this.readPengeluaranSection(sheetName);
+        const year = firstDay.getFullYear();
+        const month = firstDay.getMonth();
+        const lastDay = month === today.getMonth() ? today.getDate() : new Date(year, month + 1, 0).getDate();
+
+        for (let day = 1; day <= lastDay; day++) {
+          const date = new Date(year, month, day);
+
+          this.collectPengeluaranItems(section, date)
+            .filter(item => item.amount === null)
+            .forEach((item) => {
+              items.push({
+                date: dateUtils.formatDate(date),
+                ageDays: dateUtils.countDays(date, today) - 1,
+                sheet: sheetName,
+                cell: this.totalCellRef(section, item.row - section.startRow, 'amount'),
+                description: item.description
+              });
+            });
+        }
+      }
 
       return {
-        totalPengeluaran,
-        itemsWithoutPrice: pengeluaranWithoutPrice
+        asOf: dateUtils.formatDate(today),
+        sheets,
+        missingSheets: months.map(({ sheetName }) => sheetName).filter(sheetName => !sheets.includes(sheetName)),
+        count: items.length,
+        items
       };
-      
+
     } catch (error) {
-      console.error('Error getting pengeluaran data:', error);
-      return {
-        totalPengeluaran: 0,
-        itemsWithoutPrice: []
-      };
+      console.error('Error listing unpriced expenses:', error);
+      throw error;
     }
   }
+
+  /**
+   * Zeroed PENGELUARAN totals, used when the section can't be read
+   * @returns {Object} Empty pengeluaran totals
+   */
+  emptyPengeluaranData() {
+    return {
+      totalPengeluaran: 0,
+      itemsWithoutPrice: []
+    };
+  }
 }
 
 module.exports = new ReportService();
\ No newline at end of file
@@ -0,0 +1,192 @@
+const sheetManager = require('./sheetManager');
+const sheetLayout = require('../config/sheetLayout');
+const rangeUtils = require('../utils/rangeUtils');
+
+/**
+ * Section Reader
+ * Reads a section (attendance, cargo, express, pengeluaran) of a MMMYY tab
+ * using the layout configured for that sheet. Named columns are looked up by their header
+ * label first (e.g., "Tunai", "TF Mandiri") so a moved or inserted column is still read correctly;
+ * the configured column letter is only a fallback.
+ */
+class SectionReader {
+  /**
+   * Find the last data row of a section
+   * Uses the fixed end row, or the row before the end anchor text (e.g., "PENGELUARAN")
+   * @param {string} sheetName - Sheet name
+   * @param {Object} section - Resolved layout section
+   * @returns {Promise<number>} Last data row number
+   */
+  async findEndRow(sheetName, section) {
+    const { end } = section;
+
+    if (end.row) {
+      return end.row;
+    }
+
+    const searchData = await sheetManager.getSheetData(sheetName, `${end.column}${end.searchFrom}:${end.column}${end.searchTo}`);
+
+    for (let i = 0; i < searchData.length; i++) {
+      const cellValue = searchData[i][0];
+      if (cellValue && cellValue.toString().toUpperCase().includes(end.anchor.toUpperCase())) {
+        return end.searchFrom + i - 1;
+      }
+    }
+
+    if (end.fallbackRow) {
+      return end.fallbackRow;
+    }
+
+    throw new Error(`${end.anchor} section not found`);
+  }
+
+  /**
+   * Normalize a header label for comparison ("TF  Mandiri" -> "TF MANDIRI", "AWB/Paket" -> "AWB PAKET")
+   * @param {*} label - Header cell or configured label
+   * @returns {string} Normalized label
+   */
+  normalizeLabel(label) {
+    return (label || '').toString().toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * Find the header cell of each field that has labels configured
+   * When a label appears more than once, the cell nearest the configured column wins
+   * @param {Array} headerRow - Header row cells, relative to the section span
+   * @param {Object} section - Resolved layout section
+   * @returns {Object} Map of field -> { index, header }
+   */
+  discoverColumns(headerRow, section) {
+    const found = {};
+
+    Object.entries(section.headers).forEach(([field, labels]) => {
+      const wanted = labels.map(label => this.normalizeLabel(label));
+      const configured = section.columns[field] ? section.columns[field][0] : null;
+
+      // Earlier labels in the list are preferred over later, looser aliases
+      for (const label of wanted) {
+        const matches = [];
+        headerRow.forEach((cell, index) => {
+          if (this.normalizeLabel(cell) === label) {
+            matches.push(index);
+          }
+        });
+
+        if (matches.length > 0) {
+          const distance = index => (configured === null ? index : Math.abs(index - configured));
+          const index = matches.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+          found[field] = { index, header: headerRow[index].toString().trim() };
+          break;
+        }
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Resolve the columns of a section for one sheet
+   * Columns whose header label is found are "certain"; the rest keep the configured letter and are "guessed"
+   * @param {string} sheetName - Sheet name
+   * @param {string} sectionName - attendance, cargo, express or pengeluaran
+   * @returns {Promise<Object>} Layout section with discovered columns and a per-field `mapping`
+   */
+  async resolveSection(sheetName, sectionName) {
+    const configured = sheetLayout.getSection(sheetName, sectionName);
+    const { span, headerRow } = configured;
+    let discovered = {};
+
+    if (headerRow && Object.keys(configured.headers).length > 0) {
+      const headerData = await sheetManager.getSheetData(sheetName, `${span.from}${headerRow}:${span.to}${headerRow}`);
+      discovered = this.discoverColumns(headerData[0] || [], configured);
+    }
+
+    const toLetter = index => rangeUtils.indexToColumn(span.fromIndex + index);
+    const fields = new Set([...Object.keys(configured.columns), ...Object.keys(discovered)]);
+    const columns = {};
+    const columnLetters = {};
+    const mapping = {};
+
+    fields.forEach((field) => {
+      const configuredIndices = configured.columns[field] || [];
+      const match = discovered[field];
+      let indices = configuredIndices;
+
+      if (match) {
+        // Fields spanning several columns (TF Mandiri K+L) only label the first one, shift them together
+        const offset = configuredIndices.length > 0 ? match.index - configuredIndices[0] : 0;
+        indices = configuredIndices.length > 0 ? configuredIndices.map(index => index + offset) : [match.index];
+      }
+
+      columns[field] = indices;
+      columnLetters[field] = indices.map(toLetter);
+      mapping[field] = {
+        columns: columnLetters[field],
+        configured: configuredIndices.map(toLetter),
+        source: match ? 'header' : 'layout',
+        header: match ? match.header : null,
+        confidence: match ? 'certain' : 'guessed'
+      };
+    });
+
+    return { ...configured, columns, columnLetters, mapping };
+  }
+
+  /**
+   * Describe where every section of a sheet is read from, for the report's `layout` block
+   * @param {string} sheetName - Sheet name
+   * @returns {Promise<Object>} { name, sections: { cargo: { headerRow, fields }, ... } }
+   */
+  async describeLayout(sheetName) {
+    const layout = sheetLayout.getLayout(sheetName);
+    const sections = {};
+
+    for (const sectionName of ['attendance', 'cargo', 'express', 'pengeluaran']) {
+      const section = await this.resolveSection(sheetName, sectionName);
+      sections[sectionName] = { headerRow: section.headerRow, fields: section.mapping };
+    }
+
+    return { name: layout.name, sections };
+  }
+
+  /**
+   * Read the rows of a section
+   * @param {string} sheetName - Sheet name
+   * @param {string} sectionName - attendance, cargo, express or pengeluaran
+   * @returns {Promise<Object>} { layout, rows, startRow, endRow } where rows[0] is sheet row startRow
+   */
+  async readSection(sheetName, sectionName) {
+    const layout = await this.resolveSection(sheetName, sectionName);
+    const endRow = await this.findEndRow(sheetName, layout);
+    const rows = await sheetManager.getSheetData(sheetName, `${layout.span.from}${layout.startRow}:${layout.span.to}${endRow}`);
+
+    return { layout, rows, startRow: layout.startRow, endRow };
+  }
+
+  /**
+   * Get the value of a named column in a section row
+   * For fields spanning several columns (e.g., TF Mandiri K+L) this is the first one
+   * @param {Array} row - Section row
+   * @param {Object} layout - Resolved layout section
+   * @param {string} field - Column name
+   * @returns {*} Cell value or undefined
+   */
+  getCell(row, layout, field) {
+    const indices = layout.columns[field];
+    return indices ? row[indices[0]] : undefined;
+  }
+
+  /**
+   * Get every value of a named column in a section row
+   * @param {Array} row - Section row
+   * @param {Object} layout - Resolved layout section
+   * @param {string} field - Column name
+   * @returns {Array} Cell values
+   */
+  getCells(row, layout, field) {
+    const indices = layout.columns[field] || [];
+    return indices.map(index => row[index]);
+  }
+}
+
+module.exports = new SectionReader();
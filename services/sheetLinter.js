@@ -0,0 +1,411 @@
+const sheetManager = require('./sheetManager');
+const sectionReader = require('./sectionReader');
+const reportService = require('./reportService');
+const sheetDetector = require('../utils/sheetDetector');
+const dateUtils = require('../utils/dateUtils');
+const rangeUtils = require('../utils/rangeUtils');
+const awbUtils = require('../utils/awbUtils');
+
+// Rules and how serious they are; errors change report totals, warnings don't
+const RULES = {
+  'duplicate-awb': 'error',
+  'invalid-awb': 'error',
+  'payment-without-awb': 'error',
+  'unparseable-kg': 'error',
+  'unreadable-marketplace-label': 'warning',
+  'expense-without-description': 'warning',
+  'invalid-attendance': 'warning'
+};
+
+/**
+ * Sheet Linter
+ * Scans a MMMYY tab for entries the reports would silently skip or miscount,
+ * and points at each one with its cell reference (e.g., "D15")
+ */
+class SheetLinter {
+  constructor() {
+    this.rules = RULES;
+  }
+
+  /**
+   * Lint the sheet of one month
+   * @param {number} year - Full year (e.g., 2025)
+   * @param {number} month - Month index (0-11)
+   * @returns {Promise<Object>} { month, sheet, issueCount, summary, issues }
+   */
+  async lintMonth(year, month) {
+    try {
+      const firstDay = new Date(year, month, 1);
+      const targetSheet = sheetDetector.getSheetNameForDate(firstDay);
+
+      await reportService.assertSheetExists(targetSheet);
+      await sheetManager.prefetchSheets([targetSheet]);
+
+      const context = { year, month, sheet: targetSheet };
+      const issues = [
+        ...this.lintAttendance(await sectionReader.readSection(targetSheet, 'attendance'), context),
+        ...this.lintCargo(await sectionReader.readSection(targetSheet, 'cargo'), context),
+        ...this.lintExpress(await sectionReader.readSection(targetSheet, 'express'), context),
+        ...this.lintPengeluaran(await sectionReader.readSection(targetSheet, 'pengeluaran'), context)
+      ];
+
+      const summary = {};
+      Object.keys(RULES).forEach((rule) => {
+        summary[rule] = issues.filter(issue => issue.rule === rule).length;
+      });
+
+      return {
+        month: dateUtils.formatDate(firstDay).slice(0, 7),
+        sheet: targetSheet,
+        issueCount: issues.length,
+        summary,
+        issues
+      };
+
+    } catch (error) {
+      console.error('❌ Error linting sheet:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build one issue
+   * @param {string} rule - Rule name from RULES
+   * @param {Object} details - { section, cell, date, value, message, ... }
+   * @returns {Object} Issue
+   */
+  issue(rule, details) {
+    return { rule, severity: RULES[rule], ...details };
+  }
+
+  /**
+   * Get the A1 reference of a cell in a section
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {number} rowIndex - Index in section.rows
+   * @param {number} columnIndex - Column index relative to the section span
+   * @returns {string} Cell reference (e.g., "D15")
+   */
+  cellRef(section, rowIndex, columnIndex) {
+    return rangeUtils.toCellRef(section.startRow + rowIndex - 1, section.layout.span.fromIndex + columnIndex);
+  }
+
+  /**
+   * Get the reference of a named column cell in a section row
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {number} rowIndex - Index in section.rows
+   * @param {string} field - Column name
+   * @returns {string} Cell reference
+   */
+  fieldRef(section, rowIndex, field) {
+    return this.cellRef(section, rowIndex, section.layout.columns[field][0]);
+  }
+
+  /**
+   * Turn a day cell ("4" or "04") into YYYY-MM-DD for the linted month
+   * @param {*} value - Day cell
+   * @param {Object} context - { year, month }
+   * @returns {string|null} Date or null if not a day of that month
+   */
+  toDate(value, context) {
+    if (awbUtils.isBlank(value) || !/^\d{1,2}$/.test(value.toString().trim())) {
+      return null;
+    }
+
+    const date = dateUtils.buildDate(context.year, context.month + 1, parseInt(value, 10));
+    return date ? dateUtils.formatDate(date) : null;
+  }
+
+  /**
+   * Check a Kg cell parses as a plain number (optionally followed by "kg")
+   * "2,5" is rejected because the report would read it as 25
+   * @param {*} value - Kg cell
+   * @returns {boolean} True if parseable
+   */
+  isParseableKg(value) {
+    return /^\d+(\.\d+)?$/.test(value.toString().trim().replace(/\s*kg$/i, ''));
+  }
+
+  /**
+   * Walk the rows of a dated section (cargo or express), tracking the day block each row belongs to
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {Object} context - { year, month }
+   * @param {Function} visit - Called with (row, rowIndex, date)
+   */
+  forEachDatedRow(section, context, visit) {
+    let currentDate = null;
+
+    section.rows.forEach((row = [], rowIndex) => {
+      const dateValue = sectionReader.getCell(row, section.layout, 'date');
+      if (!awbUtils.isBlank(dateValue)) {
+        currentDate = this.toDate(dateValue, context);
+      }
+
+      visit(row, rowIndex, currentDate);
+    });
+  }
+
+  /**
+   * Check a row for a "TOTAL" label in any column
+   * @param {Array} row - Section row
+   * @returns {boolean} True if the row is a TOTAL row
+   */
+  isTotalRow(row) {
+    return row.some(cell => cell && cell.toString().toLowerCase().includes('total'));
+  }
+
+  /**
+   * Find payment columns with a value
+   * @param {Array} row - Section row
+   * @param {Object} layout - Resolved layout section
+   * @param {Array<string>} fields - Payment column names
+   * @returns {Array<string>} Fields that have a value
+   */
+  filledPayments(row, layout, fields) {
+    return fields.filter(field => sectionReader.getCells(row, layout, field).some(value => !awbUtils.isBlank(value)));
+  }
+
+  /**
+   * Lint the CARGO section: duplicate/invalid AWBs, payments without AWB, unparseable Kg
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {Object} context - { year, month }
+   * @returns {Array} Issues
+   */
+  lintCargo(section, context) {
+    const { layout } = section;
+    const issues = [];
+    const seen = new Map();
+    const paymentFields = ['tunai', 'tfMandiri', 'tfBca', 'dfod', 'packing'];
+
+    this.forEachDatedRow(section, context, (row, rowIndex, date) => {
+      const awb = sectionReader.getCell(row, layout, 'awb');
+      const kg = sectionReader.getCell(row, layout, 'kg');
+
+      if (awbUtils.isTotalLabel(awb)) {
+        return;
+      }
+
+      if (awbUtils.isBlank(awb)) {
+        const payments = this.filledPayments(row, layout, paymentFields);
+        if (payments.length > 0) {
+          issues.push(this.issue('payment-without-awb', {
+            section: 'cargo',
+            cell: this.fieldRef(section, rowIndex, 'awb'),
+            date,
+            value: null,
+            message: `Payment in ${payments.join(', ')} has no AWB, it is left out of the totals`
+          }));
+        }
+      } else if (awbUtils.isRegularAWB(awb)) {
+        const awbText = awb.toString();
+        const cell = this.fieldRef(section, rowIndex, 'awb');
+
+        if (seen.has(awbText)) {
+          issues.push(this.issue('duplicate-awb', {
+            section: 'cargo',
+            cell,
+            date,
+            value: awbText,
+            firstCell: seen.get(awbText),
+            message: `AWB ${awbText} was already entered in ${seen.get(awbText)}`
+          }));
+        } else {
+          seen.set(awbText, cell);
+        }
+      } else if (!awbUtils.isMarketplaceLabel(awb)) {
+        issues.push(this.issue('invalid-awb', {
+          section: 'cargo',
+          cell: this.fieldRef(section, rowIndex, 'awb'),
+          date,
+          value: awb.toString(),
+          message: 'AWB is neither 10+ digits nor a marketplace label, the row is left out of the totals'
+        }));
+      } else if (!awbUtils.parseMarketplaceLabel(awb)) {
+        issues.push(this.issue('unreadable-marketplace-label', {
+          section: 'cargo',
+          cell: this.fieldRef(section, rowIndex, 'awb'),
+          date,
+          value: awb.toString(),
+          message: 'Marketplace label needs one count and one platform (e.g., "3 Shopee"), left out of the per-platform counts'
+        }));
+      }
+
+      if (!awbUtils.isBlank(kg) && !this.isParseableKg(kg)) {
+        issues.push(this.issue('unparseable-kg', {
+          section: 'cargo',
+          cell: this.fieldRef(section, rowIndex, 'kg'),
+          date,
+          value: kg.toString(),
+          message: 'Kg is not a plain number (use a dot for decimals)'
+        }));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Lint the EXPRESS section: payments without AWB, values that aren't AWB numbers, duplicate AWBs
+   * The same AWB on consecutive rows, or a payment with a blank AWB under a shipment, is one shipment
+   * with a split payment, not a duplicate or a payment without AWB
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {Object} context - { year, month }
+   * @returns {Array} Issues
+   */
+  lintExpress(section, context) {
+    const { layout } = section;
+    const issues = [];
+    const seen = new Map();
+    let previousAwb = null;
+    let previousDate = null;
+
+    this.forEachDatedRow(section, context, (row, rowIndex, date) => {
+      // Rows above the first day block are the section title and header
+      if (!date || this.isTotalRow(row)) {
+        previousAwb = null;
+        return;
+      }
+
+      const awb = sectionReader.getCell(row, layout, 'awb');
+      const payments = this.filledPayments(row, layout, ['tunai', 'tfMandiri', 'tfBca', 'packing']);
+
+      if (awbUtils.isBlank(awb)) {
+        if (payments.length === 0) {
+          previousAwb = null;
+        } else if (!previousAwb || date !== previousDate) {
+          issues.push(this.issue('payment-without-awb', {
+            section: 'express',
+            cell: this.fieldRef(section, rowIndex, 'awb'),
+            date,
+            value: null,
+            message: `Payment in ${payments.join(', ')} has no AWB and no shipment above it`
+          }));
+        }
+        return;
+      }
+
+      const awbText = awb.toString().trim();
+      const cell = this.fieldRef(section, rowIndex, 'awb');
+      const continued = awbText === previousAwb && date === previousDate;
+      previousAwb = awbText;
+      previousDate = date;
+
+      if (!awbUtils.isExpressAWB(awbText)) {
+        issues.push(this.issue('invalid-awb', {
+          section: 'express',
+          cell,
+          date,
+          value: awbText,
+          message: 'AWB/Paket is not an AWB number, the row is not counted as a shipment'
+        }));
+      } else if (continued) {
+        return;
+      } else if (seen.has(awbText)) {
+        issues.push(this.issue('duplicate-awb', {
+          section: 'express',
+          cell,
+          date,
+          value: awbText,
+          firstCell: seen.get(awbText),
+          message: `AWB ${awbText} was already entered in ${seen.get(awbText)}`
+        }));
+      } else {
+        seen.set(awbText, cell);
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Lint the PENGELUARAN section: rows with a date but no description
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {Object} context - { year, month }
+   * @returns {Array} Issues
+   */
+  lintPengeluaran(section, context) {
+    const { layout } = section;
+    const issues = [];
+
+    section.rows.forEach((row, rowIndex) => {
+      const dateValue = sectionReader.getCell(row || [], layout, 'date');
+      const description = sectionReader.getCell(row || [], layout, 'description');
+      const amount = sectionReader.getCell(row || [], layout, 'amount');
+      const date = this.toDate(dateValue, context);
+
+      if (date && awbUtils.isBlank(description)) {
+        issues.push(this.issue('expense-without-description', {
+          section: 'pengeluaran',
+          cell: this.fieldRef(section, rowIndex, 'description'),
+          date,
+          value: awbUtils.isBlank(amount) ? null : amount.toString(),
+          message: 'Expense has a date but no description, it is left out of the totals'
+        }));
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Lint the ABSENSI section: in/out cells that are neither a time (e.g., "9:05") nor "Off"
+   * @param {Object} section - Section from sectionReader.readSection
+   * @param {Object} context - { year, month }
+   * @returns {Array} Issues
+   */
+  lintAttendance(section, context) {
+    const { layout, rows, startRow } = section;
+    const issues = [];
+    const dateRow = rows[layout.dateRow - startRow] || [];
+
+    // Each date heads an IN column followed by an OUT column
+    const dateColumns = [];
+    dateRow.forEach((value, index) => {
+      const date = this.toDate(value, context);
+      if (date) {
+        dateColumns.push({ date, index });
+      }
+    });
+
+    for (let rowIndex = layout.firstEmployeeRow - startRow; rowIndex < rows.length; rowIndex++) {
+      const row = rows[rowIndex] || [];
+      const name = sectionReader.getCell(row, layout, 'name');
+
+      if (awbUtils.isBlank(name)) {
+        continue;
+      }
+
+      dateColumns.forEach(({ date, index }) => {
+        [index, index + 1].forEach((columnIndex) => {
+          const value = row[columnIndex];
+
+          if (awbUtils.isBlank(value) || this.isAttendanceValue(value)) {
+            return;
+          }
+
+          issues.push(this.issue('invalid-attendance', {
+            section: 'attendance',
+            cell: this.cellRef(section, rowIndex, columnIndex),
+            date,
+            value: value.toString(),
+            employee: name.toString().trim(),
+            message: 'Attendance must be a time (e.g., 9:05) or "Off"'
+          }));
+        });
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check an attendance cell is a time or "Off"
+   * @param {*} value - Attendance cell
+   * @returns {boolean} True if valid
+   */
+  isAttendanceValue(value) {
+    const text = value.toString().trim();
+    return text.toLowerCase() === 'off' || /^([01]?\d|2[0-3])[:.][0-5]\d$/.test(text);
+  }
+}
+
+module.exports = new SheetLinter();
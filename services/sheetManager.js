@@ -1,57 +1,222 @@
-const { google } = require('googleapis');
-const fs = require('fs');
-const path = require('path');
 const sheetDetector = require('../utils/sheetDetector');
+const rangeUtils = require('../utils/rangeUtils');
+const branchContext = require('../utils/branchContext');
+const GoogleSheetsSource = require('./sources/googleSheetsSource');
+const LocalWorkbookSource = require('./sources/localWorkbookSource');
 require('dotenv').config({ path: './config.env' });
 
+/**
+ * Sheet Manager
+ * Reads whole MMMYY tabs from the configured source and caches them.
+ * Every branch (see config/branchRegistry) has its own source and cache; reads made inside
+ * branchContext.run() use that branch's spreadsheet, everything else uses GOOGLE_SHEETS_ID
+ */
 class SheetManager {
   constructor() {
-    this.auth = null;
-    this.sheets = null;
-    this.sheetId = null;
-    this.initialize();
+    // Whole tabs are fetched once and shared by every reader until the TTL expires
+    this.cacheTtlMs = parseInt(process.env.SHEET_CACHE_TTL_SECONDS || '60', 10) * 1000;
+    this.defaultState = this.createState();
+    this.branchStates = new Map(); // branch id -> state
+  }
+
+  /**
+   * Empty source and cache state for one spreadsheet
+   * The source is initialized lazily on first read, so requiring this module never touches credentials
+   * @returns {Object} { source, ready, gridCache: sheet name -> { promise, expiresAt }, sheetListCache: { promise, expiresAt } }
+   */
+  createState() {
+    return { source: null, ready: null, gridCache: new Map(), sheetListCache: null };
+  }
+
+  /**
+   * State of the branch being read (branchContext), or of GOOGLE_SHEETS_ID outside a branch
+   * @returns {Object} State from createState
+   */
+  get state() {
+    const branch = branchContext.current();
+    if (!branch) {
+      return this.defaultState;
+    }
+
+    if (!this.branchStates.has(branch.id)) {
+      this.branchStates.set(branch.id, this.createState());
+    }
+    return this.branchStates.get(branch.id);
   }
 
   async initialize() {
+    const { state } = this;
+
     try {
-      // Load service account credentials
-      const credentialsPath = path.resolve('./credentials/service-account-andy.json');
-      const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
-      
-      // Create Google Auth client
-      this.auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
-      });
-      
-      // Create Google Sheets client
-      this.sheets = google.sheets({ version: 'v4', auth: this.auth });
-      
-      // Get sheet ID from environment
-      this.sheetId = process.env.GOOGLE_SHEETS_ID;
-      
-      if (!this.sheetId) {
-        throw new Error('GOOGLE_SHEETS_ID not found in environment variables');
+      if (!state.source) {
+        state.source = this.createSource();
       }
-      
+      await state.source.initialize();
     } catch (error) {
       console.error('❌ Error initializing Sheet Manager:', error.message);
+      state.source = null;
       throw error;
     }
   }
 
+  /**
+   * Initialize the data source once; a failed attempt is retried on the next call
+   * @returns {Promise<void>}
+   */
+  ensureReady() {
+    const { state } = this;
+
+    if (!state.ready) {
+      state.ready = this.initialize().catch((error) => {
+        state.ready = null;
+        throw error;
+      });
+    }
+    return state.ready;
+  }
+
+  /**
+   * Replace the data source of the current branch (e.g., an in-memory source in tests)
+   * @param {Object} source - Data source implementing initialize, getAvailableSheets, getSheetData, getSheetGrids and getSheetMetadata
+   * @returns {Promise<void>}
+   */
+  setSource(source) {
+    const { state } = this;
+
+    state.source = source;
+    state.ready = null;
+    this.clearCache();
+    return this.ensureReady();
+  }
+
+  /**
+   * Drop cached sheet contents of the current branch
+   * @param {string} [sheetName] - Only drop this sheet; drops everything when omitted
+   */
+  clearCache(sheetName) {
+    const { state } = this;
+
+    if (sheetName) {
+      state.gridCache.delete(sheetName);
+      return;
+    }
+    state.gridCache.clear();
+    state.sheetListCache = null;
+  }
+
+  /**
+   * Check whether a cache entry is still usable
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if present and not expired
+   */
+  isFresh(entry) {
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  /**
+   * Fetch several whole tabs in one round-trip and cache them
+   * Sheets that are already cached and fresh are not fetched again
+   * @param {Array<string>} sheetNames - Sheet names
+   * @returns {Promise<void>}
+   */
+  async prefetchSheets(sheetNames) {
+    const { state } = this;
+    await this.ensureReady();
+
+    const toFetch = [...new Set(sheetNames)].filter(name => !this.isFresh(state.gridCache.get(name)));
+    if (toFetch.length === 0) {
+      return;
+    }
+
+    const batch = state.source.getSheetGrids(toFetch);
+    const expiresAt = Date.now() + this.cacheTtlMs;
+
+    toFetch.forEach((sheetName) => {
+      const entry = {
+        promise: batch.then(grids => grids[sheetName] || []),
+        expiresAt
+      };
+
+      // Never keep a failed fetch around
+      entry.promise.catch(() => {
+        if (state.gridCache.get(sheetName) === entry) {
+          state.gridCache.delete(sheetName);
+        }
+      });
+
+      state.gridCache.set(sheetName, entry);
+    });
+
+    await batch;
+  }
+
+  /**
+   * Get the full contents of a tab, from cache when fresh
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Promise<Array>} Grid rows, row 1 / column A at index 0
+   */
+  async getSheetGrid(sheetName) {
+    const { state } = this;
+
+    if (!this.isFresh(state.gridCache.get(sheetName))) {
+      await this.prefetchSheets([sheetName]);
+    }
+    return state.gridCache.get(sheetName).promise;
+  }
+
+  /**
+   * Create the data source selected by SHEETS_SOURCE for the current branch
+   * - "google" (default): live Google Sheets API, the branch's spreadsheetId or GOOGLE_SHEETS_ID
+   * - "local": local .xlsx/.ods/.csv export(s) at the branch's workbookPath or LOCAL_WORKBOOK_PATH
+   * @returns {Object} Data source implementing getAvailableSheets, getSheetData, getSheetGrids and getSheetMetadata
+   */
+  createSource() {
+    const sourceType = (process.env.SHEETS_SOURCE || 'google').toLowerCase();
+    const branch = branchContext.current();
+
+    if (sourceType === 'local') {
+      if (branch && !branch.workbookPath) {
+        throw new Error(`Branch "${branch.id}" has no workbookPath for SHEETS_SOURCE=local`);
+      }
+      return new LocalWorkbookSource({
+        workbookPath: branch ? branch.workbookPath : process.env.LOCAL_WORKBOOK_PATH
+      });
+    }
+
+    if (sourceType === 'google') {
+      return new GoogleSheetsSource({
+        spreadsheetId: branch ? branch.spreadsheetId : process.env.GOOGLE_SHEETS_ID,
+        credentialsPath: process.env.SERVICE_ACCOUNT_KEY_FILE
+      });
+    }
+
+    throw new Error(`Unknown SHEETS_SOURCE "${sourceType}". Use "google" or "local".`);
+  }
+
   /**
    * Get all available sheets in the spreadsheet
    * @returns {Promise<Array>} Array of sheet names
    */
   async getAvailableSheets() {
+    const { state } = this;
+
     try {
-      const response = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.sheetId,
-      });
-      
-      const sheetNames = response.data.sheets.map(sheet => sheet.properties.title);
-      return sheetNames;
+      await this.ensureReady();
+
+      if (!this.isFresh(state.sheetListCache)) {
+        const entry = {
+          promise: state.source.getAvailableSheets(),
+          expiresAt: Date.now() + this.cacheTtlMs
+        };
+        entry.promise.catch(() => {
+          if (state.sheetListCache === entry) {
+            state.sheetListCache = null;
+          }
+        });
+        state.sheetListCache = entry;
+      }
+
+      return await state.sheetListCache.promise;
       
     } catch (error) {
       console.error('❌ Error getting available sheets:', error.message);
@@ -82,18 +247,15 @@ class SheetManager {
 
   /**
    * Get data from a specific sheet
+   * The range is cut from the cached whole tab, so repeated reads cost no extra API calls
    * @param {string} sheetName - Name of the sheet to read
    * @param {string} range - Range to read (e.g., 'A1:Z1000')
    * @returns {Promise<Array>} Sheet data
    */
   async getSheetData(sheetName, range = 'A1:Z1000') {
     try {
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.sheetId,
-        range: `${sheetName}!${range}`,
-      });
-      
-      const data = response.data.values;
+      const grid = await this.getSheetGrid(sheetName);
+      const data = rangeUtils.sliceGrid(grid, range);
       
       if (!data || data.length === 0) {
         return [];
@@ -141,19 +303,8 @@ class SheetManager {
    */
   async getSheetMetadata(sheetName) {
     try {
-      const response = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.sheetId,
-        ranges: [`${sheetName}!A1:A1`],
-        fields: 'sheets.properties'
-      });
-      
-      const sheet = response.data.sheets[0];
-      return {
-        title: sheet.properties.title,
-        sheetId: sheet.properties.sheetId,
-        rowCount: sheet.properties.gridProperties?.rowCount,
-        columnCount: sheet.properties.gridProperties?.columnCount
-      };
+      await this.ensureReady();
+      return await this.state.source.getSheetMetadata(sheetName);
       
     } catch (error) {
       console.error(`❌ Error getting metadata for "${sheetName}":`, error.message);
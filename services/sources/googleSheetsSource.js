@@ -0,0 +1,116 @@
+const { google } = require('googleapis');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Google Sheets Source
+ * Reads spreadsheet data from the live Google Sheets API using a service account
+ */
+class GoogleSheetsSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.spreadsheetId - Google Sheets document ID
+   * @param {string} options.credentialsPath - Path to the service account JSON file
+   */
+  constructor(options = {}) {
+    this.type = 'google';
+    this.spreadsheetId = options.spreadsheetId;
+    this.credentialsPath = options.credentialsPath || './credentials/service-account-andy.json';
+    this.auth = null;
+    this.sheets = null;
+  }
+
+  async initialize() {
+    try {
+      // Load service account credentials
+      const credentialsPath = path.resolve(this.credentialsPath);
+      const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+
+      // Create Google Auth client
+      this.auth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
+      });
+
+      // Create Google Sheets client
+      this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+
+      if (!this.spreadsheetId) {
+        throw new Error('GOOGLE_SHEETS_ID not found in environment variables');
+      }
+
+    } catch (error) {
+      console.error('❌ Error initializing Google Sheets source:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all sheet (tab) names in the spreadsheet
+   * @returns {Promise<Array>} Array of sheet names
+   */
+  async getAvailableSheets() {
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+    });
+
+    return response.data.sheets.map(sheet => sheet.properties.title);
+  }
+
+  /**
+   * Get cell values for a range
+   * @param {string} sheetName - Name of the sheet
+   * @param {string} range - Range in A1 notation (e.g., 'A1:Z1000')
+   * @returns {Promise<Array>} Rows of formatted cell values
+   */
+  async getSheetData(sheetName, range) {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${sheetName}!${range}`,
+    });
+
+    return response.data.values || [];
+  }
+
+  /**
+   * Get the full contents of several sheets in a single values.batchGet round-trip
+   * @param {Array<string>} sheetNames - Sheet names
+   * @returns {Promise<Object>} Map of sheet name -> grid
+   */
+  async getSheetGrids(sheetNames) {
+    const response = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId: this.spreadsheetId,
+      // A range of just the quoted sheet name returns the whole tab
+      ranges: sheetNames.map(sheetName => `'${sheetName.replace(/'/g, "''")}'`),
+    });
+
+    const grids = {};
+    response.data.valueRanges.forEach((valueRange, index) => {
+      grids[sheetNames[index]] = valueRange.values || [];
+    });
+    return grids;
+  }
+
+  /**
+   * Get sheet metadata (title, size, etc.)
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Promise<Object>} Sheet metadata
+   */
+  async getSheetMetadata(sheetName) {
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      ranges: [`${sheetName}!A1:A1`],
+      fields: 'sheets.properties'
+    });
+
+    const sheet = response.data.sheets[0];
+    return {
+      title: sheet.properties.title,
+      sheetId: sheet.properties.sheetId,
+      rowCount: sheet.properties.gridProperties?.rowCount,
+      columnCount: sheet.properties.gridProperties?.columnCount
+    };
+  }
+}
+
+module.exports = GoogleSheetsSource;
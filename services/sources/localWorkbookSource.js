@@ -0,0 +1,184 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const path = require('path');
+const rangeUtils = require('../../utils/rangeUtils');
+
+const SUPPORTED_EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods', '.csv'];
+
+/**
+ * Local Workbook Source
+ * Reads spreadsheet data from a local .xlsx/.ods/.csv export of the workbook.
+ * The path may point to a single file or to a directory of month-end exports;
+ * every tab found is addressable by name, CSV files use their file name (e.g., AUG25.csv).
+ */
+class LocalWorkbookSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.workbookPath - Path to a workbook file or a directory of exports
+   */
+  constructor(options = {}) {
+    this.type = 'local';
+    this.workbookPath = options.workbookPath;
+    this.worksheets = null; // Map of sheet name -> { worksheet, file, grid }
+  }
+
+  async initialize() {
+    try {
+      if (!this.workbookPath) {
+        throw new Error('LOCAL_WORKBOOK_PATH not found in environment variables');
+      }
+
+      const resolvedPath = path.resolve(this.workbookPath);
+
+      if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`Workbook not found at: ${resolvedPath}`);
+      }
+
+      const files = fs.statSync(resolvedPath).isDirectory()
+        ? fs.readdirSync(resolvedPath)
+          .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+          .sort()
+          .map(file => path.join(resolvedPath, file))
+        : [resolvedPath];
+
+      this.worksheets = new Map();
+
+      files.forEach((file) => {
+        const isCsv = path.extname(file).toLowerCase() === '.csv';
+        // Keep CSV cells as text so day values like "04" are not turned into numbers
+        const workbook = XLSX.readFile(file, { raw: isCsv });
+
+        workbook.SheetNames.forEach((name) => {
+          const sheetName = isCsv ? path.basename(file, path.extname(file)) : name;
+
+          if (this.worksheets.has(sheetName)) {
+            console.log(`⚠️ Sheet "${sheetName}" in ${path.basename(file)} ignored, already loaded from ${path.basename(this.worksheets.get(sheetName).file)}`);
+            return;
+          }
+
+          this.worksheets.set(sheetName, { worksheet: workbook.Sheets[name], file });
+        });
+      });
+
+    } catch (error) {
+      console.error('❌ Error initializing local workbook source:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a loaded worksheet by name
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Object} SheetJS worksheet
+   */
+  getWorksheet(sheetName) {
+    const entry = this.worksheets.get(sheetName);
+
+    if (!entry) {
+      throw new Error(`Sheet "${sheetName}" not found in local workbook`);
+    }
+
+    return entry.worksheet;
+  }
+
+  /**
+   * Get all sheet (tab) names in the workbook(s)
+   * @returns {Promise<Array>} Array of sheet names
+   */
+  async getAvailableSheets() {
+    return Array.from(this.worksheets.keys());
+  }
+
+  /**
+   * Get cell values for a range, shaped like the Sheets API response:
+   * formatted strings, trailing empty cells and trailing empty rows removed
+   * @param {string} sheetName - Name of the sheet
+   * @param {string} range - Range in A1 notation (e.g., 'A1:Z1000')
+   * @returns {Promise<Array>} Rows of formatted cell values
+   */
+  async getSheetData(sheetName, range) {
+    return rangeUtils.sliceGrid(this.getGrid(sheetName), range);
+  }
+
+  /**
+   * Get the full contents of several sheets
+   * @param {Array<string>} sheetNames - Sheet names
+   * @returns {Promise<Object>} Map of sheet name -> grid
+   */
+  async getSheetGrids(sheetNames) {
+    const grids = {};
+    sheetNames.forEach((sheetName) => {
+      grids[sheetName] = this.getGrid(sheetName);
+    });
+    return grids;
+  }
+
+  /**
+   * Convert a worksheet's used area to a grid of formatted values (built once per sheet)
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Array} Grid rows, row 1 / column A at index 0
+   */
+  getGrid(sheetName) {
+    const worksheet = this.getWorksheet(sheetName);
+    const entry = this.worksheets.get(sheetName);
+
+    if (!entry.grid) {
+      const rows = [];
+
+      if (worksheet['!ref']) {
+        const used = XLSX.utils.decode_range(worksheet['!ref']);
+
+        for (let r = 0; r <= used.e.r; r++) {
+          const row = [];
+
+          for (let c = 0; c <= used.e.c; c++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            row.push(this.formatCell(cell));
+          }
+
+          rows.push(row);
+        }
+      }
+
+      entry.grid = rangeUtils.trimRows(rows);
+    }
+
+    return entry.grid;
+  }
+
+  /**
+   * Convert a SheetJS cell to the string the Sheets API would return
+   * @param {Object} cell - SheetJS cell object
+   * @returns {string} Formatted value or empty string
+   */
+  formatCell(cell) {
+    if (!cell || cell.v === undefined || cell.v === null) {
+      return '';
+    }
+
+    if (cell.w !== undefined) {
+      return cell.w;
+    }
+
+    return cell.v.toString();
+  }
+
+  /**
+   * Get sheet metadata (title, size, etc.)
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Promise<Object>} Sheet metadata
+   */
+  async getSheetMetadata(sheetName) {
+    const worksheet = this.getWorksheet(sheetName);
+    const used = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+
+    return {
+      title: sheetName,
+      sheetId: Array.from(this.worksheets.keys()).indexOf(sheetName),
+      rowCount: used ? used.e.r + 1 : 0,
+      columnCount: used ? used.e.c + 1 : 0
+    };
+  }
+}
+
+module.exports = LocalWorkbookSource;
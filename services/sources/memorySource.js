@@ -0,0 +1,85 @@
+const rangeUtils = require('../../utils/rangeUtils');
+
+/**
+ * Memory Source
+ * Serves spreadsheet data from in-memory grids (arrays of rows of strings).
+ * Used by the test suite and for running the API without Google access.
+ */
+class MemorySource {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sheets - Map of sheet name -> grid (Array of rows)
+   */
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.sheets = options.sheets || {};
+  }
+
+  async initialize() {
+    // Nothing to load, grids are provided up front
+  }
+
+  /**
+   * Get a grid by sheet name
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Array} Grid rows
+   */
+  getGrid(sheetName) {
+    const grid = this.sheets[sheetName];
+
+    if (!grid) {
+      throw new Error(`Sheet "${sheetName}" not found in memory source`);
+    }
+
+    return grid;
+  }
+
+  /**
+   * Get all sheet (tab) names
+   * @returns {Promise<Array>} Array of sheet names
+   */
+  async getAvailableSheets() {
+    return Object.keys(this.sheets);
+  }
+
+  /**
+   * Get cell values for a range, shaped like the Sheets API response
+   * @param {string} sheetName - Name of the sheet
+   * @param {string} range - Range in A1 notation (e.g., 'A1:Z1000')
+   * @returns {Promise<Array>} Rows of cell values
+   */
+  async getSheetData(sheetName, range) {
+    return rangeUtils.sliceGrid(this.getGrid(sheetName), range);
+  }
+
+  /**
+   * Get the full contents of several sheets
+   * @param {Array<string>} sheetNames - Sheet names
+   * @returns {Promise<Object>} Map of sheet name -> grid
+   */
+  async getSheetGrids(sheetNames) {
+    const grids = {};
+    sheetNames.forEach((sheetName) => {
+      grids[sheetName] = rangeUtils.trimRows(this.getGrid(sheetName));
+    });
+    return grids;
+  }
+
+  /**
+   * Get sheet metadata (title, size, etc.)
+   * @param {string} sheetName - Name of the sheet
+   * @returns {Promise<Object>} Sheet metadata
+   */
+  async getSheetMetadata(sheetName) {
+    const grid = this.getGrid(sheetName);
+
+    return {
+      title: sheetName,
+      sheetId: Object.keys(this.sheets).indexOf(sheetName),
+      rowCount: grid.length,
+      columnCount: grid.reduce((max, row) => Math.max(max, row ? row.length : 0), 0)
+    };
+  }
+}
+
+module.exports = MemorySource;
@@ -0,0 +1,342 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const { startServer, getJson } = require('./helpers/httpServer');
+const payrollRules = require('../config/payrollRules');
+
+describe('HTTP API', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    await useFakeSheets();
+    // Daily reports store snapshots, keep them out of ./data
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-api-'));
+    process.env.DATA_OUTPUT_DIR = dir;
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+    delete process.env.DATA_OUTPUT_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('GET /api/health responds', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/health');
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+  });
+
+  it('GET /api/report/:date returns the full daily report', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/2025-08-04');
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.data.date, '2025-08-04');
+    assert.equal(body.data.sheet, 'AUG25');
+    assert.equal(body.data.attendance.length, 2);
+    assert.equal(body.data.cargo.totalAWB, 3);
+    assert.equal(body.data.cargo.totalAWBOnline, '3 Shopee 2 Tiktok');
+    assert.equal(body.data.express.totalAWBExpress, 3);
+    assert.equal(body.data.pengeluaran.totalPengeluaran, 35000);
+    assert.deepEqual(body.data.pengeluaran.itemsWithoutPrice, ['Makan siang']);
+  });
+
+  it('GET /api/report/:date?format=text returns the WhatsApp text', async () => {
+    const response = await fetch(`${server.baseUrl}/api/report/2025-08-04?format=text`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.match(text, /^Laporan Harian J&T\nAugust 4, 2025\n/);
+    assert.match(text, /2\.5 Total Tunai: Rp 100,000/);
+  });
+
+  it('GET /api/report/:date?format=markdown returns Markdown', async () => {
+    const response = await fetch(`${server.baseUrl}/api/report/2025-08-04?format=markdown`);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/markdown/);
+    assert.match(await response.text(), /^## Laporan Harian J&T/);
+  });
+
+  it('GET /api/report/:date rejects an unknown format', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/2025-08-04?format=pdf');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid format');
+  });
+
+  it('GET /api/report/:date rejects a malformed date', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/04-08-2025');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid date format');
+  });
+
+  it('GET /api/report/:date rejects an impossible date', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/2025-13-45');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid date');
+  });
+
+  it('GET /api/report/:date says where the report came from', async () => {
+    const live = await getJson(server.baseUrl, '/api/report/2025-08-04?source=live');
+    const snapshot = await getJson(server.baseUrl, '/api/report/2025-08-04?source=snapshot');
+    const text = await fetch(`${server.baseUrl}/api/report/2025-08-04?source=snapshot&format=text`);
+
+    assert.equal(live.body.source, 'live');
+    assert.equal(live.body.stale, false);
+    assert.equal(snapshot.status, 200);
+    assert.equal(snapshot.body.source, 'snapshot');
+    assert.ok(snapshot.body.snapshotAt);
+    assert.deepEqual(snapshot.body.data.cargo, live.body.data.cargo);
+    assert.equal(text.headers.get('x-report-source'), 'snapshot');
+    assert.equal(text.headers.get('x-report-snapshot-at'), snapshot.body.snapshotAt);
+  });
+
+  it('GET /api/report/:date returns 404 when the month tab is missing', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/2025-09-01?source=live');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Sheet not found');
+  });
+
+  it('GET /api/report/:date?source= rejects an unknown source and 404s without a snapshot', async () => {
+    const invalid = await getJson(server.baseUrl, '/api/report/2025-08-04?source=cache');
+    const missing = await getJson(server.baseUrl, '/api/report/2025-07-01?source=snapshot');
+
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid source');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'Snapshot not found');
+  });
+
+  it('GET /api/report/month/:month returns the month summary', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/month/2025-08');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.sheet, 'AUG25');
+    assert.equal(body.data.days.length, 31);
+    assert.equal(body.data.totals.cargo.totalAWB, 6);
+    assert.equal(body.data.totals.pengeluaran.totalPengeluaran, 80000);
+  });
+
+  it('GET /api/report/month/:month returns 404 when the month tab is missing', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/month/2025-09');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Sheet not found');
+  });
+
+  it('GET /api/report/month/:month rejects a malformed month', async () => {
+    const { status } = await getJson(server.baseUrl, '/api/report/month/2025-13');
+
+    assert.equal(status, 400);
+  });
+
+  it('GET /api/report/range returns days and totals across sheets', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/range?from=2025-07-29&to=2025-08-04');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.sheets, ['JUL25', 'AUG25']);
+    assert.equal(body.data.days.length, 7);
+    assert.equal(body.data.totals.cargo.totalAWB, 7);
+  });
+
+  it('GET /api/report/range rejects missing, invalid or reversed dates', async () => {
+    for (const query of ['', '?from=2025-07-29', '?from=2025-02-30&to=2025-03-01', '?from=2025-08-04&to=2025-07-29']) {
+      const { status, body } = await getJson(server.baseUrl, `/api/report/range${query}`);
+
+      assert.equal(status, 400, query);
+      assert.equal(body.error, 'Invalid date range');
+    }
+  });
+
+  it('GET /api/report/:date/cargo/items and /express/items list the rows behind the totals', async () => {
+    const cargo = await getJson(server.baseUrl, '/api/report/2025-08-04/cargo/items');
+    const expressItems = await getJson(server.baseUrl, '/api/report/2025-08-04/express/items');
+
+    assert.equal(cargo.status, 200);
+    assert.equal(cargo.body.data.count, 5);
+    assert.equal(cargo.body.data.items[0].row, 15);
+    assert.equal(expressItems.body.data.section, 'express');
+    assert.equal(expressItems.body.data.count, 3);
+  });
+
+  it('GET /api/report/:date/cargo/items returns 400, 404 or an unknown endpoint', async () => {
+    assert.equal((await getJson(server.baseUrl, '/api/report/2025-02-30/cargo/items')).status, 400);
+    assert.equal((await getJson(server.baseUrl, '/api/report/2025-09-01/cargo/items')).status, 404);
+    assert.equal((await getJson(server.baseUrl, '/api/report/2025-08-04/pengeluaran/items')).body.error, 'Endpoint not found');
+  });
+
+  it('GET /api/lint/:month lists problems with cell references', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/lint/2025-06');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.sheet, 'JUN25');
+    assert.equal(body.data.issueCount, 11);
+    assert.deepEqual(body.data.issues.find(issue => issue.rule === 'invalid-awb'), {
+      rule: 'invalid-awb',
+      severity: 'error',
+      section: 'cargo',
+      cell: 'D15',
+      date: '2025-06-01',
+      value: '123-456',
+      message: 'AWB is neither 10+ digits nor a marketplace label, the row is left out of the totals'
+    });
+  });
+
+  it('GET /api/lint/:month returns 404 or 400 for a missing or malformed month', async () => {
+    assert.equal((await getJson(server.baseUrl, '/api/lint/2025-09')).status, 404);
+    assert.equal((await getJson(server.baseUrl, '/api/lint/202509')).status, 400);
+  });
+
+  it('GET /api/jobs lists the daily report job', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/jobs');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.jobs[0].name, 'daily-report');
+    assert.equal(body.data.jobs[0].enabled, false);
+    assert.deepEqual(body.data.jobs[0].failures, []);
+  });
+
+  it('GET /api/awb/:number searches every monthly sheet', async () => {
+    const found = await getJson(server.baseUrl, '/api/awb/7777777771');
+    const short = await getJson(server.baseUrl, '/api/awb/777');
+
+    assert.equal(found.status, 200);
+    assert.deepEqual(found.body.data.matches.map(match => [match.date, match.paymentMethod, match.amount]), [['2025-07-29', 'tunai', 60000]]);
+    assert.equal(short.status, 400);
+    assert.equal(short.body.error, 'Invalid AWB');
+  });
+
+  it('GET /api/attendance/:month and /:employee summarize the ABSENSI block', async () => {
+    const month = await getJson(server.baseUrl, '/api/attendance/2025-08');
+    const employee = await getJson(server.baseUrl, '/api/attendance/2025-08/rahmad');
+    const unknown = await getJson(server.baseUrl, '/api/attendance/2025-08/BUDI');
+
+    assert.equal(month.status, 200);
+    assert.deepEqual(month.body.data.employees.map(item => item.name), ['RAHMAD', 'DETA', 'SARI']);
+    assert.equal(employee.body.data.employee.daysPresent, 2);
+    assert.equal(employee.body.data.employee.days.length, 5);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, 'Employee not found');
+  });
+
+  it('GET /api/payroll/:month answers 503 until the payroll file is set up', async () => {
+    payrollRules.load(path.join(dir, 'payroll.json'));
+    const { status, body } = await getJson(server.baseUrl, '/api/payroll/2025-08');
+
+    assert.equal(status, 503);
+    assert.equal(body.error, 'Payroll not configured');
+    assert.match(body.message, /payroll\.example\.json/);
+  });
+
+  it('GET /api/payroll/:month downloads CSV or XLSX', async () => {
+    payrollRules.load(path.join(__dirname, '..', 'config', 'payroll.example.json'));
+    const csv = await fetch(`${server.baseUrl}/api/payroll/2025-08?format=csv`);
+    const xlsx = await fetch(`${server.baseUrl}/api/payroll/2025-08?format=xlsx`);
+    const invalid = await getJson(server.baseUrl, '/api/payroll/2025-08?format=pdf');
+
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-disposition'), /payroll-2025-08\.csv/);
+    assert.match(await csv.text(), /^name,basis,rate,/);
+    assert.match(xlsx.headers.get('content-type'), /spreadsheetml/);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('GET /api/expenses/unpriced lists items waiting for a price', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/expenses/unpriced?date=2025-08-04');
+    const invalid = await getJson(server.baseUrl, '/api/expenses/unpriced?date=04-08-2025');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.items.map(item => `${item.date} ${item.cell} ${item.description}`), ['2025-08-04 M229 Makan siang']);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('GET /api/expenses/:month totals PENGELUARAN per category', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/expenses/2025-08');
+    const missing = await getJson(server.baseUrl, '/api/expenses/2025-09');
+    const invalid = await getJson(server.baseUrl, '/api/expenses/august');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.total, 80000);
+    assert.equal(body.data.categories.packing.total, 35000);
+    assert.equal(missing.status, 404);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('GET /api/changes lists edits to sent days and validates since', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/changes?since=2025-08-01');
+    const invalid = await getJson(server.baseUrl, '/api/changes?since=last-week');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.since, '2025-08-01T00:00:00.000Z');
+    assert.deepEqual(body.data.changes, []);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Invalid since');
+  });
+
+  it('GET /api/branches lists the implicit main branch without a branches file', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/branches');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.branches, [{ id: 'main', name: 'Main', layoutOverride: false }]);
+  });
+
+  it('GET /api/branches/:branch/report/:date reports one branch', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/branches/main/report/2025-08-04');
+    const unknown = await getJson(server.baseUrl, '/api/branches/kabanjahe/report/2025-08-04');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.branch.id, 'main');
+    assert.equal(body.data.cargo.totalAWB, 3);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, 'Branch not found');
+  });
+
+  it('GET /api/report/:date and branch reports keep the requested date in a zone ahead of UTC', async () => {
+    process.env.TZ = 'Asia/Jakarta';
+    try {
+      const daily = await getJson(server.baseUrl, '/api/report/2025-08-04?source=live');
+      const branch = await getJson(server.baseUrl, '/api/branches/main/report/2025-08-04');
+      const consolidated = await getJson(server.baseUrl, '/api/report/2025-08-04?consolidated=true');
+
+      assert.equal(daily.body.data.date, '2025-08-04');
+      assert.equal(daily.body.data.cargo.totalAWB, 3);
+      assert.equal(branch.body.data.date, '2025-08-04');
+      assert.equal(consolidated.body.data.date, '2025-08-04');
+      assert.deepEqual(consolidated.body.data.totals.pengeluaran.itemsWithoutPrice, [{ date: '2025-08-04', description: 'Makan siang' }]);
+    } finally {
+      process.env.TZ = 'UTC';
+    }
+  });
+
+  it('GET /api/report/:date?consolidated=true ranks the branches as JSON only, always live', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/report/2025-08-04?consolidated=true');
+    const text = await getJson(server.baseUrl, '/api/report/2025-08-04?consolidated=true&format=text');
+    const snapshot = await getJson(server.baseUrl, '/api/report/2025-08-04?consolidated=true&source=snapshot');
+
+    assert.equal(status, 200);
+    assert.equal(body.data.consolidated, true);
+    assert.deepEqual(body.data.rankings.awb, [{ rank: 1, id: 'main', name: 'Main', value: 11 }]);
+    assert.equal(text.status, 400);
+    assert.equal(text.body.error, 'Invalid format');
+    assert.equal(snapshot.status, 400);
+    assert.equal(snapshot.body.error, 'Invalid source');
+  });
+
+  it('returns 404 for unknown endpoints', async () => {
+    const { status, body } = await getJson(server.baseUrl, '/api/nope');
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const attendanceReport = require('../services/attendanceReport');
+const attendanceDetector = require('../services/attendanceDetector');
+const sheetManager = require('../services/sheetManager');
+const reportService = require('../services/reportService');
+
+describe('attendanceReport', () => {
+  const afterMonth = { today: new Date(2025, 8, 1) };
+
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('sums up every date column per employee', async () => {
+    const result = await attendanceReport.generateMonthlyAttendance(2025, 7, afterMonth);
+    const byName = Object.fromEntries(result.employees.map(employee => [employee.name, employee]));
+
+    assert.equal(result.month, '2025-08');
+    assert.equal(result.sheet, 'AUG25');
+    assert.equal(result.countedDays, 5);
+    assert.deepEqual(byName.RAHMAD, {
+      name: 'RAHMAD',
+      row: 6,
+      daysPresent: 2,
+      daysOff: 1,
+      daysAbsent: 2,
+      totalHours: 16.08,
+      averageCheckIn: '9:03',
+      daysMissingCheckOut: 0,
+      // Fri 1 and Sat 2 Aug not entered, Sun 3 Aug is not a RAHMAD shift so it is all overtime
+      shift: {
+        scheduledDays: 4,
+        lateDays: 0,
+        lateMinutes: 0,
+        earlyDepartureDays: 0,
+        earlyDepartureMinutes: 0,
+        overtimeMinutes: 490,
+        noShows: 2
+      }
+    });
+    assert.equal(byName.SARI.shift, null);
+    assert.equal(byName.DETA.daysPresent, 3);
+    assert.equal(byName.DETA.totalHours, 16);
+    assert.equal(byName.DETA.daysMissingCheckOut, 1);
+    assert.equal(byName.SARI.daysOff, 1);
+    assert.equal(byName.SARI.daysAbsent, 3);
+  });
+
+  it('does not count days after today', async () => {
+    const result = await attendanceReport.generateMonthlyAttendance(2025, 7, { today: new Date(2025, 7, 4) });
+    const rahmad = result.employees.find(employee => employee.name === 'RAHMAD');
+
+    assert.equal(result.countedDays, 4);
+    assert.equal(rahmad.daysOff, 0);
+    assert.equal(rahmad.daysAbsent, 2);
+  });
+
+  it('judges days like the daily report: unscheduled empty days are Off, check-outs are missing after closing time', async () => {
+    const source = await useFakeSheets();
+    // G6/H6: RAHMAD didn't come in on Sun 3 Aug, which isn't one of his shifts
+    source.sheets.AUG25[5][6] = '';
+    source.sheets.AUG25[5][7] = '';
+    sheetManager.clearCache();
+
+    try {
+      const afternoon = await attendanceReport.generateMonthlyAttendance(2025, 7, { today: new Date(2025, 7, 4, 15, 0) });
+      const night = await attendanceReport.generateMonthlyAttendance(2025, 7, { today: new Date(2025, 7, 4, 22, 30) });
+      const rahmad = afternoon.employees.find(employee => employee.name === 'RAHMAD');
+      const deta = employees => employees.find(employee => employee.name === 'DETA');
+
+      assert.equal(rahmad.daysOff, 1);
+      assert.equal(rahmad.daysAbsent, 2);
+      assert.equal(deta(afternoon.employees).daysMissingCheckOut, 0);
+      assert.equal(deta(night.employees).daysMissingCheckOut, 1);
+    } finally {
+      await useFakeSheets();
+    }
+  });
+
+  it('finds padded day numbers in the daily report like in the month view', async () => {
+    const source = await useFakeSheets();
+    // I4: the 4th typed as "04"
+    source.sheets.AUG25[3][8] = '04';
+    sheetManager.clearCache();
+
+    try {
+      const month = await attendanceReport.generateMonthlyAttendance(2025, 7, afterMonth);
+      const daily = await reportService.generateDailyReport(new Date(2025, 7, 4), { now: new Date(2025, 7, 5) });
+
+      assert.equal(month.employees.find(employee => employee.name === 'RAHMAD').daysPresent, 2);
+      assert.deepEqual(daily.attendance.map(({ name, inTime }) => [name, inTime]), [['RAHMAD', '9:05'], ['DETA', '13:10']]);
+    } finally {
+      await useFakeSheets();
+    }
+  });
+
+  it('lists one employee day by day, matching the name case-insensitively', async () => {
+    const { employee } = await attendanceReport.generateEmployeeAttendance(2025, 7, 'deta', afterMonth);
+
+    assert.equal(employee.name, 'DETA');
+    assert.deepEqual(employee.days[3], {
+      date: '2025-08-04',
+      status: 'present',
+      inTime: '13:10',
+      outTime: null,
+      hours: null,
+      missingCheckOut: true,
+      shift: {
+        scheduled: true,
+        start: '13:00',
+        end: '21:00',
+        lateMinutes: 10,
+        earlyDepartureMinutes: 0,
+        overtimeMinutes: 0,
+        noShow: false
+      }
+    });
+  });
+
+  it('rejects unknown employees and missing sheets', async () => {
+    await assert.rejects(attendanceReport.generateEmployeeAttendance(2025, 7, 'BUDI', afterMonth), { code: 'EMPLOYEE_NOT_FOUND' });
+    await assert.rejects(attendanceReport.generateMonthlyAttendance(2025, 8, afterMonth), { code: 'SHEET_NOT_FOUND' });
+  });
+
+  it('parses times and counts overnight shifts', () => {
+    assert.equal(attendanceDetector.parseTime('9.05'), 545);
+    assert.equal(attendanceDetector.parseTime('Off'), null);
+    assert.equal(attendanceReport.getWorkedMinutes({ inTime: '22:00', outTime: '6:00' }), 480);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const awbSearch = require('../services/awbSearch');
+const reportFormatter = require('../services/reportFormatter');
+
+describe('awbSearch.search', () => {
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('finds a cargo AWB with its date, kg and payment', async () => {
+    const result = await awbSearch.search('2222222222');
+
+    assert.deepEqual(result.sheets, ['AUG25', 'JUL25', 'JUN25']);
+    assert.deepEqual(result.matches, [{
+      awb: '2222222222',
+      date: '2025-08-04',
+      sheet: 'AUG25',
+      section: 'cargo',
+      row: 16,
+      rows: [16],
+      kg: 1.5,
+      paymentMethod: 'tfMandiri',
+      amount: 40000,
+      payments: { tfMandiri: 40000 },
+      packing: 0
+    }]);
+  });
+
+  it('matches part of a number across sheets, newest first', async () => {
+    const result = await awbSearch.search('jx-0000 0000');
+
+    assert.deepEqual(result.matches.map(match => `${match.date} ${match.awb}`), [
+      '2025-08-05 JX0000000004',
+      '2025-08-04 JX0000000001',
+      '2025-08-04 JX0000000002',
+      '2025-08-04 JX0000000003',
+      '2025-08-03 JX0000000000',
+      '2025-07-30 JX0000000099'
+    ]);
+    assert.equal(result.matches[0].section, 'express');
+    assert.equal(result.matches[0].kg, null);
+  });
+
+  it('rejects queries that are too short', async () => {
+    assert.equal(awbSearch.isValidQuery('22-2'), false);
+    await assert.rejects(awbSearch.search('222'), /at least 4/);
+  });
+
+  it('renders the matches as text', async () => {
+    const text = reportFormatter.awbSearchToText(await awbSearch.search('22222222'));
+
+    assert.match(text, /3 ditemukan/);
+    assert.match(text, /- 2025-08-04 CARGO 2222222221 \(AUG25 baris 15\), 5 kg, tunai Rp 100,000/);
+    assert.match(reportFormatter.awbSearchToText(await awbSearch.search('99999999')), /Tidak ditemukan/);
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildFixtureSheets, useFakeSheets } = require('./helpers/fakeSheets');
+const MemorySource = require('../services/sources/memorySource');
+const sheetManager = require('../services/sheetManager');
+const reportService = require('../services/reportService');
+const branchReport = require('../services/branchReport');
+const branchRegistry = require('../config/branchRegistry');
+const sheetLayout = require('../config/sheetLayout');
+
+describe('branchRegistry', () => {
+  after(() => {
+    branchRegistry.load();
+  });
+
+  it('falls back to a single implicit "main" branch without a branches file', () => {
+    branchRegistry.load();
+
+    assert.deepEqual(branchRegistry.getBranches().map(branch => branchRegistry.describe(branch)), [
+      { id: 'main', name: 'Main', layoutOverride: false }
+    ]);
+    assert.equal(branchRegistry.getBranch('MAIN').implicit, true);
+  });
+
+  it('rejects bad ids, missing spreadsheet ids and layout overrides that do not resolve', () => {
+    sheetLayout.load();
+
+    assert.throws(
+      () => branchRegistry.validate({
+        version: 1,
+        branches: {
+          Medan: { name: 'Medan', spreadsheetId: 'sheet-medan' },
+          binjai: { name: 'Binjai' },
+          tebing: { name: 'Tebing', spreadsheetId: 'sheet-tebing', layout: { cargo: { columns: { kg: 'ZZ' } } } }
+        }
+      }),
+      (error) => {
+        assert.match(error.message, /branch Medan: id must be lowercase/);
+        assert.match(error.message, /branch binjai: "spreadsheetId" is required/);
+        assert.match(error.message, /branch tebing: layout override on "default" is invalid/);
+        return true;
+      }
+    );
+  });
+
+  it('requires the workbook path instead of the spreadsheet id for local exports', () => {
+    const branches = {
+      medan: { name: 'Medan', workbookPath: './exports/medan' },
+      binjai: { name: 'Binjai', spreadsheetId: 'sheet-binjai' }
+    };
+
+    assert.throws(() => branchRegistry.validate({ version: 1, branches }), (error) => {
+      assert.match(error.message, /branch medan: "spreadsheetId" is required for SHEETS_SOURCE=google/);
+      assert.doesNotMatch(error.message, /binjai/);
+      return true;
+    });
+
+    const previousSource = process.env.SHEETS_SOURCE;
+    process.env.SHEETS_SOURCE = 'local';
+    try {
+      assert.throws(() => branchRegistry.validate({ version: 1, branches }), (error) => {
+        assert.match(error.message, /branch binjai: "workbookPath" is required for SHEETS_SOURCE=local/);
+        assert.doesNotMatch(error.message, /medan/);
+        return true;
+      });
+    } finally {
+      if (previousSource === undefined) {
+        delete process.env.SHEETS_SOURCE;
+      } else {
+        process.env.SHEETS_SOURCE = previousSource;
+      }
+    }
+  });
+
+  it('throws BRANCH_NOT_FOUND for an unknown branch', () => {
+    branchRegistry.load();
+
+    assert.throws(() => branchRegistry.getBranch('kabanjahe'), { code: 'BRANCH_NOT_FOUND' });
+  });
+});
+
+describe('branchReport', () => {
+  const targetDate = new Date(2025, 7, 4);
+  let dir;
+
+  before(async () => {
+    await useFakeSheets();
+    sheetLayout.load();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-branches-'));
+    const file = path.join(dir, 'branches.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      branches: {
+        medan: { name: 'Medan', spreadsheetId: 'sheet-medan' },
+        binjai: { name: 'Binjai', spreadsheetId: 'sheet-binjai', layout: { pengeluaran: { end: { row: 228 } } } },
+        tebing: { name: 'Tebing', spreadsheetId: 'sheet-tebing' }
+      }
+    }));
+    branchRegistry.load(file);
+
+    // Binjai lost its biggest CARGO row of the day, Tebing has no sheet for August
+    const binjai = buildFixtureSheets();
+    binjai.AUG25[18] = [];
+
+    await branchRegistry.run('medan', () => sheetManager.setSource(new MemorySource({ sheets: buildFixtureSheets() })));
+    await branchRegistry.run('binjai', () => sheetManager.setSource(new MemorySource({ sheets: binjai })));
+    await branchRegistry.run('tebing', () => sheetManager.setSource(new MemorySource({ sheets: {} })));
+  });
+
+  after(async () => {
+    branchRegistry.load();
+    fs.rmSync(dir, { recursive: true, force: true });
+    await useFakeSheets();
+  });
+
+  it('reads each branch from its own spreadsheet', async () => {
+    const medan = await branchReport.generateBranchReport('medan', targetDate);
+    const binjai = await branchReport.generateBranchReport('binjai', targetDate);
+
+    assert.deepEqual(medan.branch, { id: 'medan', name: 'Medan', layoutOverride: false });
+    assert.equal(medan.cargo.totalAWB, 3);
+    assert.equal(medan.layout.name, 'default');
+
+    assert.deepEqual(binjai.branch, { id: 'binjai', name: 'Binjai', layoutOverride: true });
+    assert.equal(binjai.cargo.totalAWB, 2);
+    assert.equal(binjai.cargo.totalTfBca, 0);
+  });
+
+  it('applies the branch layout override on top of the layout of the month', async () => {
+    const binjai = await branchReport.generateBranchReport('binjai', targetDate);
+
+    assert.equal(binjai.layout.name, 'default+binjai');
+    // PENGELUARAN stops at row 228, before the unpriced "Makan siang"
+    assert.equal(binjai.pengeluaran.totalPengeluaran, 35000);
+    assert.deepEqual(binjai.pengeluaran.itemsWithoutPrice, []);
+  });
+
+  it('leaves the default spreadsheet alone', async () => {
+    const report = await reportService.generateDailyReport(targetDate);
+
+    assert.equal(report.cargo.totalAWB, 3);
+    assert.equal(report.layout.name, 'default');
+  });
+
+  it('throws SHEET_NOT_FOUND for a branch without the month sheet', async () => {
+    await assert.rejects(branchReport.generateBranchReport('tebing', targetDate), { code: 'SHEET_NOT_FOUND' });
+  });
+
+  it('adds the branches up and ranks them', async () => {
+    const report = await branchReport.generateConsolidatedReport(targetDate);
+
+    assert.equal(report.date, '2025-08-04');
+    assert.equal(report.consolidated, true);
+    assert.deepEqual(report.branches.map(({ id, awb, tonase, revenue }) => ({ id, awb, tonase, revenue })), [
+      { id: 'medan', awb: 11, tonase: 23, revenue: 462000 },
+      { id: 'binjai', awb: 10, tonase: 13, revenue: 247000 }
+    ]);
+    assert.deepEqual(report.failedBranches.map(({ id }) => id), ['tebing']);
+
+    assert.equal(report.totals.awb, 21);
+    assert.equal(report.totals.tonase, 36);
+    assert.equal(report.totals.revenue, 709000);
+    assert.equal(report.totals.cargo.totalAWB, 5);
+    assert.equal(report.totals.pengeluaran.totalPengeluaran, 70000);
+
+    assert.deepEqual(report.rankings.revenue, [
+      { rank: 1, id: 'medan', name: 'Medan', value: 462000 },
+      { rank: 2, id: 'binjai', name: 'Binjai', value: 247000 }
+    ]);
+  });
+
+  it('gives tied branches the same rank', () => {
+    const ranking = branchReport.rank([
+      { id: 'a', name: 'A', awb: 4 },
+      { id: 'b', name: 'B', awb: 9 },
+      { id: 'c', name: 'C', awb: 4 }
+    ], 'awb');
+
+    assert.deepEqual(ranking.map(({ rank, id }) => [rank, id]), [[1, 'b'], [2, 'a'], [2, 'c']]);
+  });
+});
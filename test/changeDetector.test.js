@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const sheetManager = require('../services/sheetManager');
+const reportService = require('../services/reportService');
+const reportHistory = require('../services/reportHistory');
+const changeDetector = require('../services/changeDetector');
+
+describe('changeDetector', () => {
+  const sentDate = new Date(2025, 7, 4);
+  const today = new Date(2025, 7, 10);
+  let source;
+  let dir;
+
+  /**
+   * Edit a cell of the fake AUG25 tab, like an admin fixing last week's row
+   * @param {number} row - 1-based row
+   * @param {number} column - 0-based column index
+   * @param {string} value - New value
+   */
+  function editCell(row, column, value) {
+    source.sheets.AUG25[row - 1][column] = value;
+    sheetManager.clearCache();
+  }
+
+  before(async () => {
+    source = await useFakeSheets();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-changes-'));
+    process.env.DATA_OUTPUT_DIR = dir;
+
+    await reportHistory.recordSent(sentDate, await reportService.generateDailyReport(sentDate), 'scheduler');
+  });
+
+  after(async () => {
+    delete process.env.DATA_OUTPUT_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+    await useFakeSheets();
+  });
+
+  it('checks the previous and current month up to yesterday', () => {
+    const dates = changeDetector.getCheckDates(today);
+
+    assert.equal(dates.length, 40);
+    assert.equal(dates[0].getMonth(), 6);
+    assert.equal(dates[0].getDate(), 1);
+    assert.equal(dates[dates.length - 1].getDate(), 9);
+  });
+
+  it('finds nothing when the sheet still matches the sent report', async () => {
+    const result = await changeDetector.detectChanges(today);
+
+    assert.equal(result.checkedDays, 1);
+    assert.deepEqual(result.changes, []);
+  });
+
+  it('reports edits field by field, once', async () => {
+    // I15: cargo tunai of 4 August, 100,000 -> 80,000
+    editCell(15, 8, '80,000');
+    const first = await changeDetector.detectChanges(today);
+    const second = await changeDetector.detectChanges(today);
+
+    assert.equal(first.changes.length, 1);
+    assert.equal(first.changes[0].field, 'cargo.totalTunai');
+    assert.equal(first.changes[0].reported, 100000);
+    assert.equal(first.changes[0].difference, -20000);
+    assert.equal(first.changes[0].message, '2025-08-04 cargo.totalTunai 100,000 → 80,000');
+    assert.deepEqual(second.changes, []);
+  });
+
+  it('logs a revert as another change and lists changes newest first', async () => {
+    editCell(15, 8, '100,000');
+    await changeDetector.detectChanges(today);
+    const { changes } = await changeDetector.getChanges();
+
+    assert.deepEqual(changes.map(change => change.message), [
+      '2025-08-04 cargo.totalTunai 80,000 → 100,000',
+      '2025-08-04 cargo.totalTunai 100,000 → 80,000'
+    ]);
+    assert.deepEqual((await changeDetector.getChanges(new Date(Date.now() + 60000))).changes, []);
+  });
+
+  it('keys attendance changes by employee', () => {
+    const sent = { attendance: [{ name: 'RAHMAD', inTime: '9:05', outTime: '-' }], cargo: {}, express: {}, pengeluaran: {} };
+    const current = { attendance: [{ name: 'RAHMAD', inTime: '9:05', outTime: '17:10' }], cargo: {}, express: {}, pengeluaran: {} };
+
+    assert.deepEqual(changeDetector.diffFields(changeDetector.flattenReport(sent), changeDetector.flattenReport(current)), [
+      { field: 'attendance.RAHMAD.outTime', from: '-', to: '17:10' }
+    ]);
+  });
+
+  it('follows per-platform counts and skips lists of warnings', () => {
+    const fields = changeDetector.flattenReport({
+      attendance: [],
+      cargo: {
+        onlinePlatforms: { shopee: { name: 'Shopee', awb: 3, tonase: 4 }, tiktok: { name: 'TikTok', awb: 2, tonase: 2.5 } },
+        onlineWarnings: [{ row: 17, label: 'Shopee', message: 'Marketplace label needs one count and one platform' }]
+      },
+      express: {},
+      pengeluaran: {}
+    });
+
+    assert.equal(fields['cargo.onlinePlatforms.shopee.awb'], 3);
+    assert.equal(fields['cargo.onlinePlatforms.tiktok.tonase'], 2.5);
+    assert.equal(Object.keys(fields).some(field => field.startsWith('cargo.onlineWarnings')), false);
+  });
+
+  it('ignores totals the sent report predates', async () => {
+    const sent = await reportService.generateDailyReport(new Date(2025, 7, 3));
+    const { totalAWBOnlineCount, onlinePlatforms, onlineWarnings, ...olderCargo } = sent.cargo;
+    await reportHistory.recordSent(new Date(2025, 7, 3), { ...sent, cargo: olderCargo }, 'scheduler');
+
+    const result = await changeDetector.detectChanges(today);
+
+    assert.equal(result.checkedDays, 2);
+    assert.deepEqual(result.changes, []);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const clockOutReminder = require('../services/clockOutReminder');
+const reportScheduler = require('../services/reportScheduler');
+const attendanceDetector = require('../services/attendanceDetector');
+const dateUtils = require('../utils/dateUtils');
+
+describe('clockOutReminder', () => {
+  const received = [];
+  let webhook;
+  let status = 200;
+
+  before(async () => {
+    await useFakeSheets();
+
+    // Stand-in for the chat webhook, records every reminder it receives
+    webhook = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.statusCode = status;
+        res.end();
+      });
+    });
+    await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(() => {
+    delete process.env.CLOCKOUT_REMINDER_URL;
+    received.length = 0;
+    status = 200;
+  });
+
+  after(async () => {
+    await new Promise(resolve => webhook.close(resolve));
+  });
+
+  it('flags a missing check-out only after closing time', () => {
+    const entry = { inTime: '13:10', outTime: null };
+    const day = new Date(2025, 7, 4);
+
+    assert.equal(attendanceDetector.isMissingClockOut(entry, day, new Date(2025, 7, 4, 18, 0)), false);
+    assert.equal(attendanceDetector.isMissingClockOut(entry, day, new Date(2025, 7, 4, 22, 0)), true);
+    assert.equal(attendanceDetector.isMissingClockOut({ inTime: '13:10', outTime: '21:00' }, day, new Date(2025, 7, 5)), false);
+  });
+
+  it('posts the employees without a check-out to the webhook', async () => {
+    process.env.CLOCKOUT_REMINDER_URL = `http://127.0.0.1:${webhook.address().port}/hook`;
+    const result = await clockOutReminder.send(new Date(2025, 7, 4));
+
+    assert.equal(result.sent, true);
+    assert.deepEqual(received, [{
+      type: 'missing-clock-out',
+      date: '2025-08-04',
+      sheet: 'AUG25',
+      employees: [{ name: 'DETA', inTime: '13:10' }],
+      message: 'Belum absen pulang (2025-08-04): DETA (In: 13:10)'
+    }]);
+  });
+
+  it('stays quiet when everyone checked out or no webhook is set', async () => {
+    assert.deepEqual(await clockOutReminder.send(new Date(2025, 7, 4)), { sent: false, employees: [] });
+
+    process.env.CLOCKOUT_REMINDER_URL = `http://127.0.0.1:${webhook.address().port}/hook`;
+    assert.equal((await clockOutReminder.send(new Date(2025, 7, 5))).sent, false);
+    assert.deepEqual(received, []);
+  });
+
+  it('records a failed webhook call in the job history', async () => {
+    process.env.CLOCKOUT_REMINDER_URL = `http://127.0.0.1:${webhook.address().port}/hook`;
+    status = 500;
+    const run = await reportScheduler.runClockOutReminder(new Date(2025, 7, 4));
+    const job = reportScheduler.getJobs().find(item => item.name === 'clock-out-reminder');
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /responded 500/);
+    assert.equal(job.failures[0].reportDate, '2025-08-04');
+  });
+
+  it('judges closing time on the CRON_TIMEZONE clock rather than server time', async (t) => {
+    // Keep the "sent" log off stdout: Node 20's runner can misread text written between its own messages
+    t.mock.method(console, 'log', () => {});
+    process.env.CLOCKOUT_REMINDER_URL = `http://127.0.0.1:${webhook.address().port}/hook`;
+    // 15:00 UTC is 22:00 WIB, when the reminder job fires on a UTC server
+    const firedAt = new Date('2025-08-04T15:00:00Z');
+    const now = dateUtils.now('Asia/Jakarta', firedAt);
+
+    assert.equal(dateUtils.formatDate(now), '2025-08-04');
+    assert.deepEqual([now.getHours(), now.getMinutes()], [22, 0]);
+    assert.equal((await clockOutReminder.send(new Date(2025, 7, 4), firedAt)).sent, false);
+
+    const run = await reportScheduler.runClockOutReminder(now, now);
+
+    assert.equal(run.status, 'success');
+    assert.deepEqual(run.employees, ['DETA']);
+    assert.equal(received.length, 1);
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const { parseOptions, main } = require('../daily-report');
+
+describe('daily-report CLI options', () => {
+  it('defaults to today as text', () => {
+    const options = parseOptions([]);
+
+    assert.equal(options.mode, 'daily');
+    assert.equal(options.format, 'text');
+    assert.equal(options.out, null);
+  });
+
+  it('accepts --date and the legacy positional DD/MM/YYYY', () => {
+    assert.equal(parseOptions(['--date', '2025-08-04']).date.getTime(), new Date(2025, 7, 4).getTime());
+    assert.equal(parseOptions(['04/08/2025']).date.getTime(), new Date(2025, 7, 4).getTime());
+  });
+
+  it('parses --from/--to and --month', () => {
+    const range = parseOptions(['--from', '2025-07-29', '--to', '2025-08-04', '--format', 'csv']);
+    assert.equal(range.mode, 'range');
+    assert.equal(range.format, 'csv');
+
+    const month = parseOptions(['--month', '2025-08', '--out', 'aug.json', '--format', 'json']);
+    assert.deepEqual(month, { format: 'json', out: 'aug.json', reconcile: false, unpriced: false, mode: 'month', year: 2025, month: 7 });
+    assert.equal(parseOptions(['--reconcile']).reconcile, true);
+  });
+
+  it('rejects invalid or conflicting options', () => {
+    assert.throws(() => parseOptions(['--date', '2025-02-30']), /Format tanggal salah/);
+    assert.throws(() => parseOptions(['--from', '2025-08-04']), /--from dan --to/);
+    assert.throws(() => parseOptions(['--from', '2025-08-04', '--to', '2025-08-01']), /tidak boleh setelah/);
+    assert.throws(() => parseOptions(['--month', '2025-08', '--date', '2025-08-04']), /salah satu/);
+    assert.throws(() => parseOptions(['--format', 'pdf']), /Format tidak dikenal/);
+  });
+
+  it('parses the lint command', () => {
+    assert.deepEqual(parseOptions(['lint', '2025-06']), { mode: 'lint', format: 'text', out: null, year: 2025, month: 5 });
+    assert.equal(parseOptions(['lint', '--month', '2025-06', '--format', 'json']).format, 'json');
+    assert.throws(() => parseOptions(['lint']), /Format bulan salah/);
+    assert.throws(() => parseOptions(['lint', '2025-06', '--format', 'csv']), /Format tidak dikenal/);
+  });
+
+  it('parses the awb command', () => {
+    assert.deepEqual(parseOptions(['awb', '2222222222']), { mode: 'awb', format: 'text', out: null, query: '2222222222' });
+    assert.equal(parseOptions(['awb', 'JX', '0000', '--format', 'json']).query, 'JX 0000');
+    assert.throws(() => parseOptions(['awb', '22']), /terlalu pendek/);
+  });
+});
+
+describe('daily-report CLI', () => {
+  let dir;
+
+  before(async () => {
+    await useFakeSheets();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-cli-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes the daily text report to --out', async () => {
+    const out = path.join(dir, 'daily.txt');
+    const code = await main(['--date', '2025-08-04', '--out', out]);
+
+    assert.equal(code, 0);
+    assert.match(fs.readFileSync(out, 'utf8'), /^Laporan Harian J&T\nAugust 4, 2025\n/);
+  });
+
+  it('writes a range report as CSV with one row per day and a TOTAL row', async () => {
+    const out = path.join(dir, 'range.csv');
+    const code = await main(['--from', '2025-07-29', '--to', '2025-08-04', '--format', 'csv', '--out', out]);
+    const lines = fs.readFileSync(out, 'utf8').trim().split('\n');
+
+    assert.equal(code, 0);
+    assert.match(lines[0], /^date,sheet,totalAWB,/);
+    assert.equal(lines.length, 1 + 7 + 1);
+    assert.match(lines[1], /^2025-07-29,JUL25,1,/);
+    assert.match(lines[8], /^TOTAL,JUL25 AUG25,7,/);
+  });
+
+  it('writes a month report as JSON', async () => {
+    const out = path.join(dir, 'month.json');
+    const code = await main(['--month', '2025-08', '--format', 'json', '--out', out]);
+    const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+
+    assert.equal(code, 0);
+    assert.equal(report.totals.cargo.totalAWB, 6);
+  });
+
+  it('lints a sheet and exits 2 when it has problems', async () => {
+    const out = path.join(dir, 'lint.txt');
+
+    assert.equal(await main(['lint', '2025-06', '--out', out]), 2);
+    assert.match(fs.readFileSync(out, 'utf8'), /D14 \[2025-06-01\] duplicate-awb "1234567890"/);
+    assert.equal(await main(['lint', '2025-08', '--out', out]), 0);
+    assert.match(fs.readFileSync(out, 'utf8'), /Tidak ada masalah/);
+  });
+
+  it('searches an AWB across sheets', async () => {
+    const out = path.join(dir, 'awb.txt');
+
+    assert.equal(await main(['awb', '7777777772', '--out', out]), 0);
+    assert.match(fs.readFileSync(out, 'utf8'), /2025-07-31 CARGO 7777777772 \(JUL25 baris 15\), 4 kg, tfBca Rp 80,000/);
+  });
+
+  it('adds the TOTAL row check to the text report with --reconcile', async () => {
+    const out = path.join(dir, 'reconcile.txt');
+    const code = await main(['--date', '2025-06-01', '--reconcile', '--out', out]);
+
+    assert.equal(code, 0);
+    assert.match(fs.readFileSync(out, 'utf8'), /PERHATIAN: TOTAL di sheet tidak cocok\n- 2025-06-01 CARGO tunai \(I18\): sheet Rp 80,000, hitung Rp 60,000, selisih Rp 20,000/);
+  });
+
+  it('lists unpriced expenses at the end of the text report with --unpriced', async () => {
+    const out = path.join(dir, 'unpriced.txt');
+    const code = await main(['--date', '2025-08-10', '--unpriced', '--out', out]);
+
+    assert.equal(code, 0);
+    assert.match(fs.readFileSync(out, 'utf8'), /\n\nPENGELUARAN BELUM ADA HARGA\n- 2025-08-04 Makan siang \(AUG25!M229, 6 hari\)\n$/);
+  });
+
+  it('exits non-zero when the sheet does not exist', async () => {
+    assert.equal(await main(['--date', '2025-09-01', '--out', path.join(dir, 'missing.txt')]), 1);
+    assert.equal(fs.existsSync(path.join(dir, 'missing.txt')), false);
+  });
+
+  it('exits non-zero on invalid arguments', async () => {
+    assert.equal(await main(['--unknown']), 1);
+  });
+});
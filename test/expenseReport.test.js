@@ -0,0 +1,85 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const expenseReport = require('../services/expenseReport');
+const expenseRules = require('../config/expenseRules');
+
+describe('expenseRules', () => {
+  before(() => {
+    expenseRules.load();
+  });
+
+  it('sorts a description into the first category with a matching keyword', () => {
+    assert.equal(expenseRules.categorize('Bensin motor'), 'transport');
+    assert.equal(expenseRules.categorize('PLASTIK wrap'), 'packing');
+    assert.equal(expenseRules.categorize('Makan siang'), 'meals');
+    assert.equal(expenseRules.categorize('Beli makanan'), 'meals');
+    assert.equal(expenseRules.categorize('Fotokopi'), 'other');
+  });
+
+  it('rejects malformed rules and the reserved "other" id', () => {
+    assert.throws(
+      () => expenseRules.validate({
+        version: 1,
+        categories: {
+          Listrik: { name: 'Listrik', keywords: ['token'] },
+          other: { name: 'Lain-lain', keywords: ['lain'] },
+          atk: { name: 'ATK', keywords: [] }
+        }
+      }),
+      (error) => {
+        assert.match(error.message, /category Listrik: id must be lowercase/);
+        assert.match(error.message, /category other: "other" is reserved/);
+        assert.match(error.message, /category atk: "keywords" must be a non-empty list/);
+        return true;
+      }
+    );
+    assert.throws(() => expenseRules.validate({ version: 2, categories: {} }), /version must be 1/);
+  });
+});
+
+describe('expenseReport.generateMonthlyExpenses', () => {
+  let result;
+
+  before(async () => {
+    await useFakeSheets();
+    result = await expenseReport.generateMonthlyExpenses(2025, 7);
+  });
+
+  it('totals the month per category, with "other" last', () => {
+    assert.equal(result.month, '2025-08');
+    assert.equal(result.sheet, 'AUG25');
+    assert.equal(result.total, 80000);
+    assert.equal(result.itemCount, 5);
+    assert.equal(result.unpricedCount, 1);
+    assert.deepEqual(result.categories, {
+      transport: { name: 'Transport', total: 45000, count: 2 },
+      packing: { name: 'Packing supplies', total: 35000, count: 2 },
+      meals: { name: 'Meals', total: 0, count: 1 },
+      other: { name: 'Other', total: 0, count: 0 }
+    });
+  });
+
+  it('lists every row with its date, sheet row and category', () => {
+    assert.deepEqual(result.items[2], {
+      date: '2025-08-04', row: 228, description: 'Plastik wrap', amount: 20000, category: 'packing'
+    });
+    assert.deepEqual(result.items[3], {
+      date: '2025-08-04', row: 229, description: 'Makan siang', amount: null, category: 'meals'
+    });
+  });
+
+  it('returns one row per day of the month with its category totals', () => {
+    assert.equal(result.days.length, 31);
+    assert.deepEqual(result.days[3], {
+      date: '2025-08-04',
+      total: 35000,
+      categories: { transport: 0, packing: 35000, meals: 0, other: 0 }
+    });
+    assert.equal(result.days.reduce((sum, day) => sum + day.total, 0), result.total);
+  });
+
+  it('fails with SHEET_NOT_FOUND for a month without a tab', async () => {
+    await assert.rejects(expenseReport.generateMonthlyExpenses(2025, 8), { code: 'SHEET_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * AUG25 fixture, laid out like the real monthly tab:
+ * - ABSENSI: dates in row 4 (in/out column pairs), employees from row 6
+ * - CARGO: anchor in B10, data from row 13 (B date, D AWB, H Kg, I-O payments)
+ * - EXPRESS: AD date, AF AWB, AK/AM/AO/AQ payments, TOTAL row per day
+ * - PENGELUARAN: anchor in B224, data from row 226 (B date, D keterangan, M jumlah)
+ *
+ * Expected totals for 4 August 2025:
+ * - Cargo: 3 AWB, 16.5 kg, online "3 Shopee 2 Tiktok" 6.5 kg,
+ *   tunai 100,000, TF Mandiri 40,000, TF BCA 200,000, DFOD 15,000, packing 5,000
+ * - Express: 3 AWB, tunai 25,000, TF Mandiri 30,000, TF BCA 45,000, packing 2,000
+ * - Pengeluaran: 35,000 with "Makan siang" unpriced
+ */
+module.exports = {
+  1: { B: 'LAPORAN HARIAN J&T' },
+  3: { B: '1. ABSENSI' },
+  4: { C: '1', E: '2', G: '3', I: '4', K: '5' },
+  5: { C: 'IN', D: 'OUT', E: 'IN', F: 'OUT', G: 'IN', H: 'OUT', I: 'IN', J: 'OUT', K: 'IN', L: 'OUT' },
+  6: { A: '1', B: 'RAHMAD', G: '9:00', H: '17:00', I: '9:05', J: '17:10', K: 'Off' },
+  // DETA's 4 Aug check-in was typed in the OUT column
+  7: { A: '2', B: 'DETA', G: '13:00', H: '21:00', J: '13:10', K: '13:00', L: '21:00' },
+  8: { A: '3', B: 'SARI', G: '8:55', H: '16:30', K: 'off' },
+
+  10: { B: '2. CARGO', AD: '3. EXPRESS' },
+  11: {
+    B: 'TGL', D: 'NO AWB', H: 'Kg', I: 'Tunai', K: 'TF Mandiri', M: 'TF BCA', N: 'DFOD', O: 'Packing',
+    AD: 'TGL', AF: 'AWB/Paket', AK: 'Tunai', AM: 'Mandiri', AO: 'BCA', AQ: 'Packing'
+  },
+
+  13: { B: '03', D: '1111111111', H: '2', I: '50,000', AD: '03', AF: 'JX0000000000', AK: '10,000' },
+  14: { D: '1111111112', H: '3', K: '75,000', AE: 'TOTAL', AK: '10,000' },
+  15: { B: '04', D: '2222222221', H: '5', I: '100,000', O: '5,000', AD: '04', AF: 'JX0000000001', AK: '25,000' },
+  16: { D: '2222222222', H: '1.5', K: '30,000', L: '10,000', AF: 'JX0000000002', AM: '30,000', AQ: '2,000' },
+  17: { D: '3 Shopee', H: '4', AF: 'JX0000000003', AO: '45,000' },
+  18: { D: '2 Tiktok', H: '2.5', AE: 'TOTAL', AK: '25,000', AM: '30,000', AO: '45,000', AQ: '2,000' },
+  19: { D: '2222222223', H: '10', M: '200,000', N: '15,000' },
+  20: { D: 'TOTAL', I: '100,000', K: '30,000', L: '10,000', M: '200,000', N: '15,000', O: '5,000' },
+  21: { B: '05', D: '5555555551', H: '7', I: '140,000', AD: '05', AF: 'JX0000000004', AK: '20,000' },
+  // AF22: second payment of JX0000000004 with the AWB left blank
+  22: { D: '1 Api', H: '1', AO: '5,000' },
+  23: { AE: 'TOTAL', AK: '20,000', AO: '5,000' },
+
+  224: { B: '4. PENGELUARAN' },
+  225: { B: 'TGL', D: 'KETERANGAN', M: 'JUMLAH' },
+  226: { B: '3', D: 'Bensin motor', M: '20,000' },
+  227: { B: '4', D: 'Lakban', M: '15,000' },
+  228: { B: '04', D: 'Plastik wrap', M: '20,000' },
+  229: { B: '4', D: 'Makan siang' },
+  230: { B: '5', D: 'Bensin', M: '25,000' }
+};
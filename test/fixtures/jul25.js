@@ -0,0 +1,28 @@
+/**
+ * JUL25 fixture, only the last days of July, used for ranges that cross into AUG25
+ *
+ * Expected totals for 29-31 July 2025:
+ * - Cargo: 2 AWB, 7 kg, tunai 60,000, TF BCA 80,000
+ * - Express: 1 AWB, tunai 15,000
+ * - Pengeluaran: 20,000
+ */
+module.exports = {
+  3: { B: '1. ABSENSI' },
+  4: { C: '29', E: '30', G: '31' },
+  5: { C: 'IN', D: 'OUT', E: 'IN', F: 'OUT', G: 'IN', H: 'OUT' },
+  6: { A: '1', B: 'RAHMAD', C: '9:00', D: '17:00', E: '9:00', F: '17:00', G: 'Off' },
+
+  10: { B: '2. CARGO', AD: '3. EXPRESS' },
+  11: {
+    B: 'TGL', D: 'NO AWB', H: 'Kg', I: 'Tunai', K: 'TF Mandiri', M: 'TF BCA', N: 'DFOD', O: 'Packing',
+    AD: 'TGL', AF: 'AWB/Paket', AK: 'Tunai', AM: 'Mandiri', AO: 'BCA', AQ: 'Packing'
+  },
+
+  13: { B: '29', D: '7777777771', H: '3', I: '60,000' },
+  14: { B: '30', AD: '30', AF: 'JX0000000099', AK: '15,000' },
+  15: { B: '31', D: '7777777772', H: '4', M: '80,000', AE: 'TOTAL', AK: '15,000' },
+
+  224: { B: '4. PENGELUARAN' },
+  225: { B: 'TGL', D: 'KETERANGAN', M: 'JUMLAH' },
+  226: { B: '29', D: 'Bensin', M: '20,000' }
+};
@@ -0,0 +1,39 @@
+/**
+ * JUN25 fixture, a tab with the data problems the sheet lint reports:
+ * - ABSENSI: "sakit" (E6), "17;00" (F6) and "25:00" (E7) are not times
+ * - CARGO: duplicate AWB (D14, first in D13), "2,5" Kg (H14), AWB "123-456" (D15),
+ *   payment without AWB (D16), "dua" Kg (H19)
+ * - EXPRESS: duplicate AWB (AF15, first in AF13), payment without AWB at the top of 2 June (AF19)
+ * - PENGELUARAN: date without description (D227)
+ *
+ * TOTAL rows on 1 June don't match the computed totals:
+ * - Cargo tunai I18 says 80,000, computed 60,000 (the 20,000 in I16 has no AWB)
+ * - Express tunai AK16 says 15,000, computed 16,000 (typo in the SUM)
+ */
+module.exports = {
+  3: { B: '1. ABSENSI' },
+  4: { C: '1', E: '2' },
+  5: { C: 'IN', D: 'OUT', E: 'IN', F: 'OUT' },
+  6: { A: '1', B: 'RAHMAD', C: '9:00', D: '17:00', E: 'sakit', F: '17;00' },
+  7: { A: '2', B: 'DETA', C: 'OFF', E: '25:00', F: '21.00' },
+
+  10: { B: '2. CARGO', AD: '3. EXPRESS' },
+  11: {
+    B: 'TGL', D: 'NO AWB', H: 'Kg', I: 'Tunai', K: 'TF Mandiri', M: 'TF BCA', N: 'DFOD', O: 'Packing',
+    AD: 'TGL', AF: 'AWB/Paket', AK: 'Tunai', AM: 'Mandiri', AO: 'BCA', AQ: 'Packing'
+  },
+
+  13: { B: '01', D: '1234567890', H: '2', I: '50,000', AD: '01', AF: 'JX1000000001', AK: '10,000' },
+  14: { D: '1234567890', H: '2,5', I: '10,000', AF: 'JX1000000002', AK: '5,000' },
+  15: { D: '123-456', H: '1', AF: 'JX1000000001', AK: '1,000' },
+  16: { I: '20,000', AE: 'TOTAL', AK: '15,000' },
+  17: { D: '2 Shopee', H: '3kg' },
+  18: { D: 'TOTAL', I: '80,000' },
+  19: { B: '02', D: '9876543210', H: 'dua', AD: '02', AK: '3,000' },
+
+  224: { B: '4. PENGELUARAN' },
+  225: { B: 'TGL', D: 'KETERANGAN', M: 'JUMLAH' },
+  226: { B: '1', D: 'Bensin', M: '20,000' },
+  227: { B: '1', M: '15,000' },
+  228: { B: '2', D: 'Makan siang' }
+};
@@ -0,0 +1,36 @@
+const sheetManager = require('../../services/sheetManager');
+const MemorySource = require('../../services/sources/memorySource');
+const { buildGrid } = require('./grid');
+
+// Report dates are built from local Date parts, pin the zone so results don't depend on the machine
+process.env.TZ = 'UTC';
+
+const fixtures = {
+  JUN25: require('../fixtures/jun25'),
+  JUL25: require('../fixtures/jul25'),
+  AUG25: require('../fixtures/aug25')
+};
+
+/**
+ * Build the fixture grids keyed by sheet name
+ * @returns {Object} Map of sheet name -> grid
+ */
+function buildFixtureSheets() {
+  const sheets = {};
+  Object.entries(fixtures).forEach(([name, rows]) => {
+    sheets[name] = buildGrid(rows);
+  });
+  return sheets;
+}
+
+/**
+ * Point the shared sheetManager at an in-memory source loaded with the fixture workbook
+ * @returns {Promise<MemorySource>} The installed source
+ */
+async function useFakeSheets() {
+  const source = new MemorySource({ sheets: buildFixtureSheets() });
+  await sheetManager.setSource(source);
+  return source;
+}
+
+module.exports = { buildFixtureSheets, useFakeSheets };
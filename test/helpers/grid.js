@@ -0,0 +1,26 @@
+const rangeUtils = require('../../utils/rangeUtils');
+
+/**
+ * Build a sheet grid from a sparse description keyed by sheet row number and column letter
+ * e.g. { 6: { B: 'RAHMAD', I: '9:05' } } puts "RAHMAD" in B6 and "9:05" in I6
+ * @param {Object} rows - Map of 1-based row number -> { columnLetter: value }
+ * @returns {Array} Grid rows (0-based), empty cells as ''
+ */
+function buildGrid(rows) {
+  const grid = [];
+
+  Object.entries(rows).forEach(([rowNumber, cells]) => {
+    const rowIndex = parseInt(rowNumber, 10) - 1;
+    const row = grid[rowIndex] || [];
+
+    Object.entries(cells).forEach(([column, value]) => {
+      row[rangeUtils.columnToIndex(column)] = value;
+    });
+
+    grid[rowIndex] = Array.from(row, value => (value === undefined ? '' : value));
+  });
+
+  return Array.from(grid, row => row || []);
+}
+
+module.exports = { buildGrid };
@@ -0,0 +1,30 @@
+const createApp = require('../../app');
+
+/**
+ * Start the app on an ephemeral port
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+function startServer() {
+  return new Promise((resolve) => {
+    const server = createApp().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * GET a path and parse the JSON body
+ * @param {string} baseUrl - Server base URL
+ * @param {string} path - Request path
+ * @returns {Promise<Object>} { status, body }
+ */
+async function getJson(baseUrl, path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = { startServer, getJson };
@@ -0,0 +1,49 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const marketplaceRules = require('../config/marketplaceRules');
+const awbUtils = require('../utils/awbUtils');
+
+describe('marketplaceRules', () => {
+  before(() => {
+    marketplaceRules.load();
+  });
+
+  it('finds the platform a label mentions', () => {
+    assert.equal(marketplaceRules.findPlatform('2 Tik Tok'), 'tiktok');
+    assert.equal(marketplaceRules.findPlatform('1 Api'), 'api');
+    assert.equal(marketplaceRules.findPlatform('4 Lazada'), null);
+  });
+
+  it('rejects malformed rules', () => {
+    assert.throws(
+      () => marketplaceRules.validate({
+        version: 1,
+        platforms: {
+          Lazada: { name: 'Lazada', keywords: ['lazada'] },
+          tokopedia: { name: 'Tokopedia', keywords: [] }
+        }
+      }),
+      (error) => {
+        assert.match(error.message, /platform Lazada: id must be lowercase/);
+        assert.match(error.message, /platform tokopedia: "keywords" must be a non-empty list/);
+        return true;
+      }
+    );
+    assert.throws(() => marketplaceRules.validate({ version: 2, platforms: {} }), /version must be 1/);
+  });
+});
+
+describe('awbUtils.parseMarketplaceLabel', () => {
+  it('reads the count and platform of a label', () => {
+    assert.deepEqual(awbUtils.parseMarketplaceLabel('3 Shopee'), { platform: 'shopee', count: 3 });
+    assert.deepEqual(awbUtils.parseMarketplaceLabel('3x shopee'), { platform: 'shopee', count: 3 });
+    assert.deepEqual(awbUtils.parseMarketplaceLabel('Tiktok: 2'), { platform: 'tiktok', count: 2 });
+  });
+
+  it('gives up on labels without a count or with several platforms', () => {
+    assert.equal(awbUtils.parseMarketplaceLabel('Shopee'), null);
+    assert.equal(awbUtils.parseMarketplaceLabel('3 Shopee 2 Tiktok'), null);
+    assert.equal(awbUtils.parseMarketplaceLabel('0 Shopee'), null);
+    assert.equal(awbUtils.parseMarketplaceLabel('2 Lazada'), null);
+  });
+});
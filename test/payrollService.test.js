@@ -0,0 +1,83 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XLSX = require('xlsx');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const payrollService = require('../services/payrollService');
+const payrollRules = require('../config/payrollRules');
+const reportFormatter = require('../services/reportFormatter');
+
+describe('payrollService', () => {
+  let payroll;
+
+  before(async () => {
+    await useFakeSheets();
+    payrollRules.load(path.join(__dirname, '..', 'config', 'payroll.example.json'));
+    payroll = await payrollService.generatePayroll(2025, 7, { today: new Date(2025, 8, 1) });
+  });
+
+  it('pays a daily rate per day present plus overtime', () => {
+    const rahmad = payroll.employees.find(employee => employee.name === 'RAHMAD');
+
+    // 4 Aug: one day plus 10 minutes overtime at 120,000 / 8 per hour x 1.5; Sun 3 Aug is unscheduled: a day x 1.5
+    assert.equal(rahmad.basis, 'daily');
+    assert.equal(rahmad.basePay, 120000);
+    assert.equal(rahmad.overtimePay, 183750);
+    assert.equal(rahmad.overtimeHours, 8.17);
+    assert.equal(rahmad.absences, 2);
+    assert.equal(rahmad.totalPay, 303750);
+  });
+
+  it('pays an hourly rate per hour worked', () => {
+    const deta = payroll.employees.find(employee => employee.name === 'DETA');
+
+    // 5 Aug: 8 hours; 4 Aug has no check-out; Sun 3 Aug: 8 hours x 1.5
+    assert.equal(deta.basePay, 120000);
+    assert.equal(deta.overtimePay, 180000);
+    assert.equal(deta.daysMissingCheckOut, 1);
+    assert.equal(deta.lateMinutes, 10);
+    assert.equal(payroll.totals.totalPay, payroll.employees.reduce((sum, employee) => sum + employee.totalPay, 0));
+  });
+
+  it('deducts absences and late minutes', () => {
+    const employee = {
+      name: 'RAHMAD',
+      daysPresent: 1,
+      totalHours: 8,
+      daysAbsent: 3,
+      daysMissingCheckOut: 0,
+      shift: { noShows: 2, lateMinutes: 20 },
+      days: [{ status: 'present', inTime: '9:20', outTime: '17:00', shift: { scheduled: true, overtimeMinutes: 0 } }]
+    };
+    const row = payrollService.calculateEmployee(employee, {
+      ...payrollRules.getSettings('RAHMAD'),
+      absenceDeduction: 50000,
+      lateDeductionPerMinute: 1000
+    });
+
+    assert.equal(row.absenceDeduction, 100000);
+    assert.equal(row.lateDeduction, 20000);
+    assert.equal(row.totalPay, 0);
+  });
+
+  it('validates the rules file', () => {
+    assert.throws(
+      () => payrollRules.validate({ version: 1, defaults: { basis: 'weekly', rate: -1 }, employees: {} }),
+      /"basis" must be one of daily, hourly[\s\S]*"rate" must be a number/
+    );
+  });
+
+  it('exports CSV and XLSX with a TOTAL row', () => {
+    const csv = reportFormatter.payrollToCsv(payroll).trim().split('\n');
+    const { body, filename } = reportFormatter.renderPayroll(payroll, 'xlsx');
+    const workbook = XLSX.read(body, { type: 'buffer' });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Payroll AUG25'], { header: 1 });
+
+    assert.equal(csv[0], reportFormatter.payrollColumns.join(','));
+    assert.match(csv[1], /^RAHMAD,daily,120000,/);
+    assert.match(csv[csv.length - 1], new RegExp(`^TOTAL,.*,${payroll.totals.totalPay}$`));
+    assert.equal(filename, 'payroll-2025-08.xlsx');
+    assert.deepEqual(rows[1].slice(0, 3), ['RAHMAD', 'daily', 120000]);
+    assert.equal(rows.length, payroll.employees.length + 2);
+  });
+});
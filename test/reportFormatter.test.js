@@ -0,0 +1,96 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const reportService = require('../services/reportService');
+const reportFormatter = require('../services/reportFormatter');
+
+describe('reportFormatter', () => {
+  let report;
+
+  before(async () => {
+    await useFakeSheets();
+    report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+  });
+
+  it('renders the numbered WhatsApp layout as plain text', () => {
+    assert.equal(reportFormatter.toText(report), [
+      'Laporan Harian J&T',
+      'August 4, 2025',
+      '',
+      'Absensi:',
+      '1. RAHMAD (In: 9:05, Out: 17:10) - lembur 10 menit',
+      '2. DETA (In: 13:10, Out: -) - telat 10 menit, belum absen pulang',
+      'Tidak masuk: SARI',
+      '',
+      'CARGO',
+      '2.1 Total AWB: 3 pcs',
+      '2.2 Total AWB Online: 5 (Shopee 3, TikTok 2)',
+      '2.3 Total Tonase: 16.5 kg',
+      '2.4 Total Tonase Online: 6.5 kg',
+      '2.5 Total Tunai: Rp 100,000',
+      '2.6 Total TF Mandiri: Rp 40,000',
+      '2.7 Total TF BCA: Rp 200,000',
+      '2.8 Total DFOD: Rp 15,000',
+      '2.9 Total Packing: Rp 5,000',
+      '',
+      'EXPRESS',
+      '3.1 Total AWB Express: 3 pcs',
+      '3.2 Total Tunai Express: Rp 25,000',
+      '3.3 Total TF Mandiri Express: Rp 30,000',
+      '3.4 Total TF BCA Express: Rp 45,000',
+      '3.5 Total Packing Express: Rp 2,000',
+      '',
+      'PENGELUARAN / PEMBELIAN',
+      '4.1 Total: Rp 35,000',
+      '4.2 Pengeluaran Tanpa Harga:',
+      '- Makan siang',
+      ''
+    ].join('\n'));
+  });
+
+  it('lists off and absent employees after the present ones', () => {
+    const shift = { scheduled: true, start: '9:00', end: '17:00', lateMinutes: 0, earlyDepartureMinutes: 0, overtimeMinutes: 0, noShow: false };
+    const text = reportFormatter.toText({
+      ...report,
+      attendance: [
+        { name: 'RAHMAD', inTime: '9:00', outTime: '16:00', missingClockOut: false, shift: { ...shift, earlyDepartureMinutes: 60 } },
+        { name: 'SARI', inTime: '8:55', outTime: '16:30', missingClockOut: false, shift: null }
+      ],
+      attendanceOff: ['BUDI', 'ANI'],
+      attendanceAbsent: [
+        { name: 'DETA', shift: { ...shift, start: '13:00', end: '21:00', noShow: true } },
+        { name: 'EKO', shift: null }
+      ]
+    });
+
+    assert.match(text, /Absensi:\n1\. RAHMAD \(In: 9:00, Out: 16:00\) - pulang cepat 60 menit\n2\. SARI \(In: 8:55, Out: 16:30\)\nOff: BUDI, ANI\nTidak masuk: DETA \(jadwal 13:00-21:00\), EKO\n/);
+  });
+
+  it('falls back to placeholders when there is no attendance or unpriced item', () => {
+    const text = reportFormatter.toText({
+      ...report,
+      attendance: [],
+      pengeluaran: { totalPengeluaran: 0, itemsWithoutPrice: [] }
+    });
+
+    assert.match(text, /Absensi:\nTidak ada data absensi untuk tanggal ini\n/);
+    assert.match(text, /4\.2 Pengeluaran Tanpa Harga:\n-\n$/);
+  });
+
+  it('notes express rows without a valid AWB next to the AWB count', () => {
+    const text = reportFormatter.toText({
+      ...report,
+      express: { ...report.express, unrecognizedRowsExpress: 2 }
+    });
+
+    assert.match(text, /\n3\.1 Total AWB Express: 3 pcs \(2 baris tanpa AWB valid\)\n/);
+  });
+
+  it('renders Markdown with each numbered line as a list item', () => {
+    const markdown = reportFormatter.toMarkdown(report);
+
+    assert.match(markdown, /^## Laporan Harian J&T\nAugust 4, 2025\n/);
+    assert.match(markdown, /\*\*CARGO\*\*\n- 2\.1 Total AWB: 3 pcs\n/);
+    assert.match(markdown, /- 4\.2 Pengeluaran Tanpa Harga:\n {2}- Makan siang\n$/);
+  });
+});
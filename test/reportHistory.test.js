@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const sheetManager = require('../services/sheetManager');
+const reportHistory = require('../services/reportHistory');
+
+/**
+ * Point sheetManager at a source that fails every read, like a Google Sheets outage
+ * @returns {Promise<void>}
+ */
+function useUnreachableSheets() {
+  const unreachable = () => Promise.reject(new Error('getaddrinfo ENOTFOUND sheets.googleapis.com'));
+  return sheetManager.setSource({
+    type: 'unreachable',
+    initialize: async () => {},
+    getAvailableSheets: unreachable,
+    getSheetData: unreachable,
+    getSheetGrids: unreachable,
+    getSheetMetadata: unreachable
+  });
+}
+
+describe('reportHistory', () => {
+  const date = new Date(2025, 7, 4);
+  const previousDir = process.env.DATA_OUTPUT_DIR;
+  let dir;
+
+  before(async () => {
+    await useFakeSheets();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-history-'));
+    process.env.DATA_OUTPUT_DIR = dir;
+  });
+
+  after(async () => {
+    process.env.DATA_OUTPUT_DIR = previousDir;
+    if (previousDir === undefined) {
+      delete process.env.DATA_OUTPUT_DIR;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    await useFakeSheets();
+  });
+
+  it('stores a snapshot whenever the live report is generated', async () => {
+    const result = await reportHistory.getDailyReport(date, { source: 'live' });
+    const snapshot = await reportHistory.load(date);
+
+    assert.equal(result.source, 'live');
+    assert.equal(result.stale, false);
+    assert.equal(snapshot.origin, 'api');
+    assert.equal(snapshot.sheet, 'AUG25');
+    assert.equal(snapshot.report.cargo.totalAWB, 3);
+  });
+
+  it('stores the base report without the extras the caller asked for', async () => {
+    const result = await reportHistory.getDailyReport(date, { source: 'live', reconcile: true, unpriced: true });
+    const snapshot = await reportHistory.getDailyReport(date, { source: 'snapshot' });
+
+    assert.deepEqual(result.report.discrepancies, []);
+    assert.ok(result.report.unpricedExpenses);
+    assert.equal('discrepancies' in snapshot.report, false);
+    assert.equal('unpricedExpenses' in snapshot.report, false);
+    assert.equal(snapshot.report.cargo.totalAWB, 3);
+  });
+
+  it('throws SHEET_NOT_FOUND and stores no snapshot for a date without a sheet', async () => {
+    await assert.rejects(reportHistory.getDailyReport(new Date(2025, 8, 1), { source: 'live' }), { code: 'SHEET_NOT_FOUND' });
+
+    assert.equal(await reportHistory.load(new Date(2025, 8, 1)), null);
+  });
+
+  it('serves the stored snapshot with source=snapshot', async () => {
+    const snapshot = await reportHistory.load(date);
+    const result = await reportHistory.getDailyReport(date, { source: 'snapshot' });
+
+    assert.equal(result.source, 'snapshot');
+    assert.equal(result.stale, false);
+    assert.equal(result.snapshotAt, snapshot.generatedAt);
+    assert.equal(result.report.cargo.totalAWB, 3);
+  });
+
+  it('falls back to a stale snapshot when Sheets is unreachable', async () => {
+    await useUnreachableSheets();
+    const result = await reportHistory.getDailyReport(date);
+
+    assert.equal(result.source, 'snapshot');
+    assert.equal(result.stale, true);
+    assert.match(result.error, /ENOTFOUND/);
+    assert.equal(result.report.date, '2025-08-04');
+  });
+
+  it('rethrows the live error in live mode or when there is no snapshot', async () => {
+    await useUnreachableSheets();
+
+    await assert.rejects(reportHistory.getDailyReport(date, { source: 'live' }), /ENOTFOUND/);
+    await assert.rejects(reportHistory.getDailyReport(new Date(2025, 7, 5)), /ENOTFOUND/);
+    await assert.rejects(reportHistory.getDailyReport(new Date(2025, 7, 5), { source: 'snapshot' }), { code: 'SNAPSHOT_NOT_FOUND' });
+  });
+});
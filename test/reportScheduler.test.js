@@ -0,0 +1,178 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const sheetManager = require('../services/sheetManager');
+const reportHistory = require('../services/reportHistory');
+const reportScheduler = require('../services/reportScheduler');
+const cronUtils = require('../utils/cronUtils');
+
+describe('cronUtils.getNextRun', () => {
+  const from = new Date('2025-08-04T10:00:30Z');
+
+  it('finds the next matching minute', () => {
+    assert.equal(cronUtils.getNextRun('0 9 * * *', from).toISOString(), '2025-08-05T09:00:00.000Z');
+    assert.equal(cronUtils.getNextRun('*/15 * * * *', from).toISOString(), '2025-08-04T10:15:00.000Z');
+  });
+
+  it('supports a seconds field and a timezone', () => {
+    assert.equal(cronUtils.getNextRun('30 * * * * *', from).toISOString(), '2025-08-04T10:01:30.000Z');
+    assert.equal(cronUtils.getNextRun('0 9 * * *', from, 'Asia/Jakarta').toISOString(), '2025-08-05T02:00:00.000Z');
+  });
+
+  it('returns null right away for a schedule that never fires', () => {
+    const startedAt = Date.now();
+
+    assert.equal(cronUtils.getNextRun('0 0 30 2 *', from, 'Asia/Jakarta'), null);
+    assert.ok(Date.now() - startedAt < 500);
+  });
+
+  it('validates expressions', () => {
+    assert.equal(cronUtils.isValid('0 9 * * *'), true);
+    assert.equal(cronUtils.isValid('every morning'), false);
+  });
+});
+
+describe('reportScheduler', () => {
+  let dir;
+
+  before(async () => {
+    await useFakeSheets();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-snapshots-'));
+    process.env.DATA_OUTPUT_DIR = dir;
+  });
+
+  afterEach(() => {
+    reportScheduler.stop();
+    delete process.env.DATA_FILENAME_FORMAT;
+  });
+
+  after(() => {
+    delete process.env.DATA_OUTPUT_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes a dated JSON snapshot of the daily report', async () => {
+    const run = await reportScheduler.runDailyReport(new Date(2025, 7, 4));
+    const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'sheets-data-2025-08-04.json'), 'utf8'));
+
+    assert.equal(run.status, 'success');
+    assert.equal(run.file, path.join(dir, 'sheets-data-2025-08-04.json'));
+    assert.equal(snapshot.origin, 'scheduler');
+    assert.equal(snapshot.sheet, 'AUG25');
+    assert.equal(snapshot.report.date, '2025-08-04');
+    assert.equal(snapshot.report.cargo.totalAWB, 3);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['sent', 'sheets-data-2025-08-04.json']);
+    assert.equal(fs.existsSync(path.join(dir, 'sent', 'sheets-data-2025-08-04.json')), true);
+  });
+
+  it('names snapshots with DATA_FILENAME_FORMAT', async () => {
+    process.env.DATA_FILENAME_FORMAT = '{sheet}/laporan-{date}.json';
+    const run = await reportScheduler.runDailyReport(new Date(2025, 6, 30));
+
+    assert.equal(run.file, path.join(dir, 'JUL25', 'laporan-2025-07-30.json'));
+    assert.equal(fs.existsSync(run.file), true);
+  });
+
+  it('records failures without writing a snapshot', async () => {
+    const before = reportScheduler.getJobs()[0].failureCount;
+    const run = await reportScheduler.runDailyReport(new Date(2025, 8, 1));
+    const [job] = reportScheduler.getJobs();
+
+    assert.equal(run.status, 'failed');
+    assert.match(run.error, /SEP25/);
+    assert.equal(job.failureCount, before + 1);
+    assert.equal(job.failures[0].reportDate, '2025-09-01');
+    assert.equal(job.lastRun.status, 'failed');
+    assert.equal(job.lastSuccess.reportDate, '2025-07-30');
+    assert.equal(fs.existsSync(path.join(dir, 'sheets-data-2025-09-01.json')), false);
+  });
+
+  it('fails instead of storing zeros when the tab can\'t be read', async () => {
+    const outage = () => Promise.reject(new Error('socket hang up'));
+    await sheetManager.setSource({
+      type: 'flaky',
+      initialize: async () => {},
+      getAvailableSheets: async () => ['AUG25'],
+      getSheetData: outage,
+      getSheetGrids: outage,
+      getSheetMetadata: outage
+    });
+
+    try {
+      const run = await reportScheduler.runDailyReport(new Date(2025, 7, 5));
+
+      assert.equal(run.status, 'failed');
+      assert.match(run.error, /socket hang up/);
+      assert.equal(await reportHistory.loadSent(new Date(2025, 7, 5)), null);
+      assert.equal(fs.existsSync(path.join(dir, 'sheets-data-2025-08-05.json')), false);
+    } finally {
+      await useFakeSheets();
+    }
+  });
+
+  it('runs change detection against the sent reports', async () => {
+    const run = await reportScheduler.runChangeDetection(new Date(2025, 7, 10));
+    const [, job] = reportScheduler.getJobs();
+
+    assert.equal(run.status, 'success');
+    assert.equal(run.checkedDays, 1);
+    assert.equal(run.changes, 0);
+    assert.equal(job.name, 'change-detection');
+    assert.equal(job.lastSuccess, job.lastRun);
+  });
+
+  it('reports the day before, so no edit is flagged once the day is filled in', async () => {
+    const source = await useFakeSheets();
+    const { AUG25 } = source.sheets;
+    const morningDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-morning-'));
+    process.env.DATA_OUTPUT_DIR = morningDir;
+
+    try {
+      // 09:00 on 5 August: nothing entered for the 5th yet (ABSENSI K/L, CARGO/EXPRESS rows 21-22, PENGELUARAN row 230)
+      [5, 6, 7].forEach((row) => { AUG25[row][10] = ''; AUG25[row][11] = ''; });
+      [20, 21, 229].forEach((row) => { AUG25[row] = []; });
+      sheetManager.clearCache();
+
+      const run = await reportScheduler.runDailyReport(reportScheduler.getClosedDay(new Date(2025, 7, 5, 9, 0)));
+
+      assert.equal(run.reportDate, '2025-08-04');
+      assert.equal(await reportHistory.loadSent(new Date(2025, 7, 5)), null);
+
+      // The rest of the day gets entered
+      await useFakeSheets();
+      const changes = await reportScheduler.runChangeDetection(new Date(2025, 7, 6));
+
+      assert.equal(changes.checkedDays, 1);
+      assert.equal(changes.changes, 0);
+    } finally {
+      process.env.DATA_OUTPUT_DIR = dir;
+      fs.rmSync(morningDir, { recursive: true, force: true });
+      await useFakeSheets();
+    }
+  });
+
+  it('reports the schedule and next run once started', () => {
+    reportScheduler.start({ schedule: '0 9 * * *', changesSchedule: '15 * * * *', timezone: 'Asia/Jakarta' });
+    const [job, changesJob] = reportScheduler.getJobs();
+
+    assert.equal(job.enabled, true);
+    assert.equal(job.schedule, '0 9 * * *');
+    assert.equal(job.timezone, 'Asia/Jakarta');
+    assert.ok(new Date(job.nextRun) > new Date());
+    assert.equal(changesJob.schedule, '15 * * * *');
+    assert.ok(new Date(changesJob.nextRun) > new Date());
+    // No CLOCKOUT_REMINDER_URL, so the reminder stays off
+    assert.equal(reportScheduler.getJobs()[2].enabled, false);
+
+    reportScheduler.stop();
+    assert.equal(reportScheduler.getJobs()[0].nextRun, null);
+  });
+
+  it('rejects an invalid schedule', () => {
+    assert.throws(() => reportScheduler.start({ schedule: 'every morning' }), /Invalid CRON_SCHEDULE/);
+    assert.throws(() => reportScheduler.start({ changesSchedule: 'hourly' }), /Invalid CHANGES_CRON_SCHEDULE/);
+  });
+});
@@ -0,0 +1,444 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const sheetManager = require('../services/sheetManager');
+const reportService = require('../services/reportService');
+
+describe('reportService.generateDailyReport', () => {
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('reads the month tab for the requested date', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.equal(report.date, '2025-08-04');
+    assert.equal(report.dateDisplay, 'August 4, 2025');
+    assert.equal(report.sheet, 'AUG25');
+  });
+
+  it('keeps the local report date in a zone ahead of UTC', async () => {
+    process.env.TZ = 'Asia/Jakarta';
+    try {
+      const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+      assert.equal(report.date, '2025-08-04');
+      assert.equal(report.cargo.totalAWB, 3);
+    } finally {
+      process.env.TZ = 'UTC';
+    }
+  });
+
+  it('lists present employees and fixes swapped in/out times', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.deepEqual(report.attendance.map(({ name, inTime, outTime }) => ({ name, inTime, outTime })), [
+      { name: 'RAHMAD', inTime: '9:05', outTime: '17:10' },
+      { name: 'DETA', inTime: '13:10', outTime: '-' }
+    ]);
+  });
+
+  it('lists "Off" employees apart, regardless of case', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 5));
+
+    assert.deepEqual(report.attendance.map(({ name, inTime, outTime }) => ({ name, inTime, outTime })), [
+      { name: 'DETA', inTime: '13:00', outTime: '21:00' }
+    ]);
+    assert.deepEqual(report.attendanceOff, ['RAHMAD', 'SARI']);
+    assert.deepEqual(report.attendanceAbsent, []);
+  });
+
+  it('lists absent employees and flags a check-in without a check-out', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.deepEqual(report.attendance.map(({ name, missingClockOut }) => [name, missingClockOut]), [
+      ['RAHMAD', false],
+      ['DETA', true]
+    ]);
+    assert.deepEqual(report.attendanceAbsent, [{ name: 'SARI', shift: null }]);
+  });
+
+  it('judges attendance against the shift rules and lists no-shows', async () => {
+    const monday = await reportService.generateDailyReport(new Date(2025, 7, 4));
+    const friday = await reportService.generateDailyReport(new Date(2025, 7, 1));
+
+    assert.deepEqual(monday.attendance[1].shift, {
+      scheduled: true,
+      start: '13:00',
+      end: '21:00',
+      lateMinutes: 10,
+      earlyDepartureMinutes: 0,
+      overtimeMinutes: 0,
+      noShow: false
+    });
+    assert.deepEqual(friday.attendance, []);
+    assert.deepEqual(friday.attendanceAbsent.map(({ name, shift }) => [name, shift && shift.noShow]), [
+      ['RAHMAD', true],
+      ['DETA', true],
+      ['SARI', null]
+    ]);
+  });
+
+  it('totals cargo, keeping online AWBs apart and skipping the TOTAL row', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.deepEqual(report.cargo, {
+      totalAWB: 3,
+      totalAWBOnline: '3 Shopee 2 Tiktok',
+      totalAWBOnlineCount: 5,
+      totalTonase: 16.5,
+      totalTonaseOnline: 6.5,
+      totalTunai: 100000,
+      totalTfMandiri: 40000,
+      totalTfBca: 200000,
+      totalDfod: 15000,
+      totalPacking: 5000,
+      onlinePlatforms: {
+        shopee: { name: 'Shopee', awb: 3, tonase: 4 },
+        tiktok: { name: 'TikTok', awb: 2, tonase: 2.5 },
+        api: { name: 'API', awb: 0, tonase: 0 }
+      },
+      onlineWarnings: []
+    });
+  });
+
+  it('lists marketplace labels without a count as warnings', async () => {
+    const source = await useFakeSheets();
+    // D18: "2 Tiktok" typed without its count
+    source.sheets.AUG25[17][3] = 'Tiktok';
+    sheetManager.clearCache();
+
+    const { cargo } = await reportService.generateDailyReport(new Date(2025, 7, 4));
+    await useFakeSheets();
+
+    assert.equal(cargo.totalAWBOnlineCount, 3);
+    assert.equal(cargo.totalTonaseOnline, 6.5);
+    assert.deepEqual(cargo.onlinePlatforms.tiktok, { name: 'TikTok', awb: 0, tonase: 0 });
+    assert.deepEqual(cargo.onlineWarnings, [{
+      row: 18,
+      label: 'Tiktok',
+      message: 'Marketplace label needs one count and one platform (e.g., "3 Shopee"), left out of the per-platform counts'
+    }]);
+  });
+
+  it('totals express rows and ignores the TOTAL row', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.deepEqual(report.express, {
+      totalAWBExpress: 3,
+      totalTonaseExpress: 0,
+      totalTunaiExpress: 25000,
+      totalTfMandiriExpress: 30000,
+      totalTfBcaExpress: 45000,
+      totalPackingExpress: 2000,
+      unrecognizedRowsExpress: 0
+    });
+  });
+
+  it('groups express continuation rows into one shipment and counts rows without an AWB apart', async () => {
+    const source = await useFakeSheets();
+    const { AUG25 } = source.sheets;
+    // AF15: a note instead of an AWB, AF17: second payment of JX0000000002, AH: optional Kg column
+    AUG25[14][31] = 'Titipan';
+    AUG25[16][31] = 'JX0000000002';
+    AUG25[10][33] = 'Kg';
+    AUG25[15][33] = '1.5';
+    AUG25[16][33] = '0.5';
+    sheetManager.clearCache();
+
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+    const { items } = await reportService.getDayItems(new Date(2025, 7, 4), 'express');
+    await useFakeSheets();
+
+    assert.deepEqual(report.express, {
+      totalAWBExpress: 1,
+      totalTonaseExpress: 2,
+      totalTunaiExpress: 25000,
+      totalTfMandiriExpress: 30000,
+      totalTfBcaExpress: 45000,
+      totalPackingExpress: 2000,
+      unrecognizedRowsExpress: 1
+    });
+    assert.deepEqual(items[1], {
+      row: 16, rows: [16, 17], awb: 'JX0000000002', type: 'regular', kg: 2, tunai: 0, tfMandiri: 30000, tfBca: 45000, packing: 2000
+    });
+    assert.deepEqual(items.map(item => item.type), ['unrecognized', 'regular']);
+  });
+
+  it('adds an express payment with a blank AWB to the shipment above it', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 5), { reconcile: true });
+    const { items } = await reportService.getDayItems(new Date(2025, 7, 5), 'express');
+
+    assert.equal(report.express.totalAWBExpress, 1);
+    assert.equal(report.express.totalTfBcaExpress, 5000);
+    assert.equal(report.express.unrecognizedRowsExpress, 0);
+    assert.deepEqual(report.discrepancies, []);
+    assert.deepEqual(items.map(({ rows, awb, tunai, tfBca }) => ({ rows, awb, tunai, tfBca })), [
+      { rows: [21, 22], awb: 'JX0000000004', tunai: 20000, tfBca: 5000 }
+    ]);
+  });
+
+  it('totals pengeluaran and lists items without a price', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.deepEqual(report.pengeluaran, {
+      totalPengeluaran: 35000,
+      itemsWithoutPrice: ['Makan siang']
+    });
+  });
+
+  it('reports "TBD" when there are no online AWBs', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 3));
+
+    assert.equal(report.cargo.totalAWB, 2);
+    assert.equal(report.cargo.totalAWBOnline, 'TBD');
+    assert.equal(report.express.totalAWBExpress, 1);
+    assert.equal(report.pengeluaran.totalPengeluaran, 20000);
+  });
+
+  it('throws instead of reporting zeros for an unreadable or missing tab', async () => {
+    const outage = () => Promise.reject(new Error('socket hang up'));
+    await sheetManager.setSource({
+      type: 'flaky',
+      initialize: async () => {},
+      getAvailableSheets: async () => ['AUG25'],
+      getSheetData: outage,
+      getSheetGrids: outage,
+      getSheetMetadata: outage
+    });
+
+    try {
+      await assert.rejects(reportService.generateDailyReport(new Date(2025, 7, 4)), /socket hang up/);
+      await assert.rejects(reportService.generateDailyReport(new Date(2025, 8, 1)), { code: 'SHEET_NOT_FOUND' });
+    } finally {
+      await useFakeSheets();
+    }
+  });
+});
+
+describe('reportService.generateMonthlyReport', () => {
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('returns one row per day of the month', async () => {
+    const report = await reportService.generateMonthlyReport(2025, 7);
+
+    assert.equal(report.month, '2025-08');
+    assert.equal(report.monthDisplay, 'August 2025');
+    assert.equal(report.sheet, 'AUG25');
+    assert.equal(report.days.length, 31);
+    assert.equal(report.days[0].date, '2025-08-01');
+    assert.equal(report.days[30].date, '2025-08-31');
+  });
+
+  it('agrees with the daily report for each day', async () => {
+    const report = await reportService.generateMonthlyReport(2025, 7);
+    const daily = await reportService.generateDailyReport(new Date(2025, 7, 4));
+    const day = report.days.find(row => row.date === '2025-08-04');
+
+    assert.deepEqual(day.cargo, daily.cargo);
+    assert.deepEqual(day.express, daily.express);
+    assert.deepEqual(day.pengeluaran, daily.pengeluaran);
+  });
+
+  it('adds up month totals for every channel', async () => {
+    const { totals } = await reportService.generateMonthlyReport(2025, 7);
+
+    assert.deepEqual(totals.cargo, {
+      totalAWB: 6,
+      totalAWBOnline: '3 Shopee 2 Tiktok 1 Api',
+      totalAWBOnlineCount: 6,
+      totalTonase: 28.5,
+      totalTonaseOnline: 7.5,
+      totalTunai: 290000,
+      totalTfMandiri: 115000,
+      totalTfBca: 200000,
+      totalDfod: 15000,
+      totalPacking: 5000,
+      onlinePlatforms: {
+        shopee: { name: 'Shopee', awb: 3, tonase: 4 },
+        tiktok: { name: 'TikTok', awb: 2, tonase: 2.5 },
+        api: { name: 'API', awb: 1, tonase: 1 }
+      },
+      onlineWarnings: []
+    });
+    assert.deepEqual(totals.express, {
+      totalAWBExpress: 5,
+      totalTonaseExpress: 0,
+      totalTunaiExpress: 55000,
+      totalTfMandiriExpress: 30000,
+      totalTfBcaExpress: 50000,
+      totalPackingExpress: 2000,
+      unrecognizedRowsExpress: 0
+    });
+    assert.deepEqual(totals.pengeluaran, {
+      totalPengeluaran: 80000,
+      itemsWithoutPrice: [{ date: '2025-08-04', description: 'Makan siang' }]
+    });
+  });
+
+  it('fails with SHEET_NOT_FOUND for a month without a tab', async () => {
+    await assert.rejects(reportService.generateMonthlyReport(2025, 8), { code: 'SHEET_NOT_FOUND' });
+  });
+});
+
+describe('reportService.generateRangeReport', () => {
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('stitches days across month tabs', async () => {
+    const report = await reportService.generateRangeReport(new Date(2025, 6, 29), new Date(2025, 7, 4));
+
+    assert.equal(report.from, '2025-07-29');
+    assert.equal(report.to, '2025-08-04');
+    assert.deepEqual(report.sheets, ['JUL25', 'AUG25']);
+    assert.deepEqual(report.missingSheets, []);
+    assert.equal(report.complete, true);
+    assert.deepEqual(report.days.map(day => `${day.sheet} ${day.date}`), [
+      'JUL25 2025-07-29',
+      'JUL25 2025-07-30',
+      'JUL25 2025-07-31',
+      'AUG25 2025-08-01',
+      'AUG25 2025-08-02',
+      'AUG25 2025-08-03',
+      'AUG25 2025-08-04'
+    ]);
+  });
+
+  it('adds up range totals', async () => {
+    const { totals } = await reportService.generateRangeReport(new Date(2025, 6, 29), new Date(2025, 7, 4));
+
+    assert.equal(totals.cargo.totalAWB, 7);
+    assert.equal(totals.cargo.totalTunai, 210000);
+    assert.equal(totals.cargo.totalTfBca, 280000);
+    assert.equal(totals.express.totalAWBExpress, 5);
+    assert.equal(totals.express.totalTunaiExpress, 50000);
+    assert.equal(totals.pengeluaran.totalPengeluaran, 75000);
+  });
+
+  it('lists missing sheets instead of producing zeros for them', async () => {
+    const report = await reportService.generateRangeReport(new Date(2025, 7, 30), new Date(2025, 8, 2));
+
+    assert.equal(report.complete, false);
+    assert.deepEqual(report.sheets, ['AUG25']);
+    assert.deepEqual(report.missingSheets, [{ sheet: 'SEP25', from: '2025-09-01', to: '2025-09-02' }]);
+    assert.deepEqual(report.days.map(day => day.date), ['2025-08-30', '2025-08-31']);
+  });
+});
+
+describe('reportService reconciliation', () => {
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('finds no discrepancies when the TOTAL rows match', async () => {
+    const report = await reportService.generateMonthlyReport(2025, 7, { reconcile: true });
+
+    assert.deepEqual(report.discrepancies, []);
+  });
+
+  it('lists TOTAL rows that differ from the computed totals, per channel', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 5, 1), { reconcile: true });
+
+    assert.deepEqual(report.discrepancies, [
+      { date: '2025-06-01', section: 'cargo', channel: 'tunai', cell: 'I18', sheetTotal: 80000, computed: 60000, difference: 20000 },
+      { date: '2025-06-01', section: 'express', channel: 'tunai', cell: 'AK16', sheetTotal: 15000, computed: 16000, difference: -1000 }
+    ]);
+  });
+
+  it('refers to both cells of a split payment column', async () => {
+    const cargo = await reportService.readCargoSection('AUG25');
+
+    assert.equal(reportService.totalCellRef(cargo, 20 - cargo.startRow, 'tfMandiri'), 'K20:L20');
+    assert.equal(reportService.totalCellRef(cargo, 20 - cargo.startRow, 'tunai'), 'I20');
+  });
+
+  it('leaves discrepancies out unless asked', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 5, 1));
+
+    assert.equal('discrepancies' in report, false);
+  });
+
+  it('collects discrepancies across the sheets of a range', async () => {
+    const report = await reportService.generateRangeReport(new Date(2025, 4, 31), new Date(2025, 7, 4), { reconcile: true });
+
+    assert.deepEqual(report.discrepancies.map(item => item.cell), ['I18', 'AK16']);
+  });
+
+  it('lists the cargo rows behind the totals with their sheet row', async () => {
+    const result = await reportService.getDayItems(new Date(2025, 7, 4), 'cargo');
+
+    assert.equal(result.sheet, 'AUG25');
+    assert.equal(result.count, 5);
+    assert.deepEqual(result.items[1], {
+      row: 16, awb: '2222222222', type: 'regular', kg: 1.5, tunai: 0, tfMandiri: 40000, tfBca: 0, dfod: 0, packing: 0
+    });
+    assert.deepEqual(result.items.map(item => [item.row, item.type]), [
+      [15, 'regular'], [16, 'regular'], [17, 'marketplace'], [18, 'marketplace'], [19, 'regular']
+    ]);
+    assert.equal(result.items.reduce((sum, item) => sum + item.tunai, 0), result.totals.totalTunai);
+  });
+
+  it('lists the express rows behind the totals, without the TOTAL row', async () => {
+    const result = await reportService.getDayItems(new Date(2025, 7, 4), 'express');
+
+    assert.deepEqual(result.items, [
+      { row: 15, rows: [15], awb: 'JX0000000001', type: 'regular', kg: 0, tunai: 25000, tfMandiri: 0, tfBca: 0, packing: 0 },
+      { row: 16, rows: [16], awb: 'JX0000000002', type: 'regular', kg: 0, tunai: 0, tfMandiri: 30000, tfBca: 0, packing: 2000 },
+      { row: 17, rows: [17], awb: 'JX0000000003', type: 'regular', kg: 0, tunai: 0, tfMandiri: 0, tfBca: 45000, packing: 0 }
+    ]);
+    assert.equal(result.totals.totalAWBExpress, 3);
+  });
+
+  it('refuses to list items of a missing month tab', async () => {
+    await assert.rejects(reportService.getDayItems(new Date(2025, 8, 1), 'cargo'), { code: 'SHEET_NOT_FOUND' });
+  });
+});
+
+describe('reportService.getUnpricedExpenses', () => {
+  before(async () => {
+    await useFakeSheets();
+  });
+
+  it('lists described items without an amount in this and last month, with age and cell', async () => {
+    const result = await reportService.getUnpricedExpenses(new Date(2025, 7, 10));
+
+    assert.deepEqual(result, {
+      asOf: '2025-08-10',
+      sheets: ['JUL25', 'AUG25'],
+      missingSheets: [],
+      count: 1,
+      items: [{ date: '2025-08-04', ageDays: 6, sheet: 'AUG25', cell: 'M229', description: 'Makan siang' }]
+    });
+  });
+
+  it('leaves out days after the reference day and lists missing sheets', async () => {
+    assert.equal((await reportService.getUnpricedExpenses(new Date(2025, 7, 3))).count, 0);
+
+    const nextMonth = await reportService.getUnpricedExpenses(new Date(2025, 8, 2));
+    assert.deepEqual(nextMonth.missingSheets, ['SEP25']);
+    assert.equal(nextMonth.items[0].ageDays, 29);
+  });
+
+  it('drops an item once its amount is filled in', async () => {
+    const source = await useFakeSheets();
+    // M229: price of "Makan siang"
+    source.sheets.AUG25[228][12] = '30,000';
+    sheetManager.clearCache();
+
+    const result = await reportService.getUnpricedExpenses(new Date(2025, 7, 10));
+    await useFakeSheets();
+
+    assert.equal(result.count, 0);
+  });
+
+  it('is added to the daily report on request', async () => {
+    const plain = await reportService.generateDailyReport(new Date(2025, 7, 4));
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4), { unpriced: true });
+
+    assert.equal(plain.unpricedExpenses, undefined);
+    assert.equal(report.unpricedExpenses.items[0].ageDays, 0);
+  });
+});
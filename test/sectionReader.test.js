@@ -0,0 +1,83 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFixtureSheets } = require('./helpers/fakeSheets');
+const { buildGrid } = require('./helpers/grid');
+const sheetManager = require('../services/sheetManager');
+const MemorySource = require('../services/sources/memorySource');
+const sectionReader = require('../services/sectionReader');
+const sheetLayout = require('../config/sheetLayout');
+const reportService = require('../services/reportService');
+
+// OCT25: the admin inserted a "Kota" column at E, so every cargo column from Kg onwards moved one to the right
+const OCT25 = {
+  3: { B: '1. ABSENSI' },
+  4: { C: '1' },
+  5: { C: 'IN', D: 'OUT' },
+  6: { A: '1', B: 'RAHMAD', C: '9:00', D: '17:00' },
+  10: { B: '2. CARGO' },
+  11: { B: 'TGL', D: 'NO AWB', E: 'Kota', I: 'Kg', J: 'Tunai', L: 'TF Mandiri', N: 'TF BCA', O: 'DFOD', P: 'Packing' },
+  13: { B: '01', D: '1234567890', E: 'Medan', I: '4', J: '80,000', L: '5,000', M: '1,000', P: '3,000' },
+  14: { D: 'TOTAL', J: '80,000' },
+  30: { B: '4. PENGELUARAN' }
+};
+
+describe('sectionReader header discovery', () => {
+  before(async () => {
+    sheetLayout.load();
+    const sheets = { ...buildFixtureSheets(), OCT25: buildGrid(OCT25) };
+    await sheetManager.setSource(new MemorySource({ sheets }));
+  });
+
+  it('normalizes header labels', () => {
+    assert.equal(sectionReader.normalizeLabel(' TF  mandiri '), 'TF MANDIRI');
+    assert.equal(sectionReader.normalizeLabel('AWB/Paket'), 'AWB PAKET');
+    assert.equal(sectionReader.normalizeLabel(undefined), '');
+  });
+
+  it('prefers the label nearest the configured column when it repeats', () => {
+    const section = sheetLayout.getSection('AUG25', 'cargo');
+    const headerRow = ['', '', '', '', '', '', '', 'Kg', 'Tunai', '', '', '', '', '', '', '', 'Tunai'];
+
+    assert.deepEqual(sectionReader.discoverColumns(headerRow, section).tunai, { index: 8, header: 'Tunai' });
+  });
+
+  it('marks fields found by header as certain and the rest as guessed', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 7, 4));
+    const { cargo, express, attendance } = report.layout.sections;
+
+    assert.equal(report.layout.name, 'default');
+    assert.deepEqual(cargo.fields.tunai, {
+      columns: ['I'], configured: ['I'], source: 'header', header: 'Tunai', confidence: 'certain'
+    });
+    assert.deepEqual(cargo.fields.tfMandiri.columns, ['K', 'L']);
+    assert.equal(cargo.fields.sistem.confidence, 'guessed');
+    assert.deepEqual(express.fields.tfBca, {
+      columns: ['AO'], configured: ['AO'], source: 'header', header: 'BCA', confidence: 'certain'
+    });
+    assert.deepEqual(attendance.fields.name, {
+      columns: ['B'], configured: ['B'], source: 'layout', header: null, confidence: 'guessed'
+    });
+  });
+
+  it('follows moved columns without a new layout', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 9, 1));
+    const { fields } = report.layout.sections.cargo;
+
+    assert.equal(report.cargo.totalAWB, 1);
+    assert.equal(report.cargo.totalTonase, 4);
+    assert.equal(report.cargo.totalTunai, 80000);
+    assert.equal(report.cargo.totalTfMandiri, 6000);
+    assert.equal(report.cargo.totalPacking, 3000);
+    assert.deepEqual(fields.kg.columns, ['I']);
+    assert.deepEqual(fields.kg.configured, ['H']);
+    assert.deepEqual(fields.tfMandiri.columns, ['L', 'M']);
+    assert.equal(fields.awb.confidence, 'certain');
+  });
+
+  it('adds a layout block per sheet to range reports', async () => {
+    const report = await reportService.generateRangeReport(new Date(2025, 6, 31), new Date(2025, 7, 1));
+
+    assert.deepEqual(Object.keys(report.layouts), ['JUL25', 'AUG25']);
+    assert.equal(report.layouts.AUG25.sections.pengeluaran.fields.amount.header, 'JUMLAH');
+  });
+});
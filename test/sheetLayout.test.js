@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/fakeSheets');
+const { buildGrid } = require('./helpers/grid');
+const sheetLayout = require('../config/sheetLayout');
+const sheetManager = require('../services/sheetManager');
+const MemorySource = require('../services/sources/memorySource');
+const reportService = require('../services/reportService');
+const defaultLayouts = require('../config/sheetLayouts.json');
+
+/**
+ * Write a layout file next to the default one's content plus extra layouts
+ * @param {Array} extraLayouts - Layouts appended after "default"
+ * @returns {string} Path to the temporary layout file
+ */
+function writeLayoutFile(extraLayouts) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'layout-')), 'sheetLayouts.json');
+  const content = { ...defaultLayouts, layouts: [...defaultLayouts.layouts, ...extraLayouts] };
+  fs.writeFileSync(filePath, JSON.stringify(content));
+  return filePath;
+}
+
+// From SEP25 the admin inserted a "NO RESI" column at C and a title row above ABSENSI
+const SEP25_LAYOUT = {
+  name: 'sep25-inserted-column',
+  extends: 'default',
+  effectiveFrom: '2025-09',
+  attendance: { startRow: 4, dateRow: 5, firstEmployeeRow: 7 },
+  cargo: {
+    span: { from: 'A', to: 'S' },
+    columns: { awb: 'E', kg: 'I', tunai: 'J', sistem: 'L', tfMandiri: ['L', 'M'], tfBca: 'N', dfod: 'O', packing: 'P' }
+  }
+};
+
+const SEP25 = {
+  4: { B: '1. ABSENSI' },
+  5: { C: '1', E: '2' },
+  7: { B: 'RAHMAD', C: '8:30', D: '16:30' },
+  10: { B: '2. CARGO' },
+  13: { B: '01', C: 'R-01', E: '9999999991', I: '3', J: '60,000', P: '2,000' },
+  14: { C: 'R-02', E: '9999999992', I: '2', L: '10,000', M: '5,000', N: '40,000' },
+  15: { E: 'TOTAL', J: '60,000' },
+  30: { B: '4. PENGELUARAN' }
+};
+
+describe('sheetLayout', () => {
+  after(() => {
+    sheetLayout.load();
+  });
+
+  it('resolves the default layout to columns relative to each section span', () => {
+    sheetLayout.load();
+    const cargo = sheetLayout.getSection('AUG25', 'cargo');
+    const express = sheetLayout.getSection('AUG25', 'express');
+
+    assert.deepEqual(cargo.columns.awb, [3]);
+    assert.deepEqual(cargo.columns.tfMandiri, [10, 11]);
+    assert.deepEqual(express.columns.tunai, [7]);
+    assert.equal(sheetLayout.getSection('AUG25', 'pengeluaran').end.row, 400);
+  });
+
+  it('picks exact sheet matches first, then the latest effectiveFrom', () => {
+    sheetLayout.load(writeLayoutFile([
+      SEP25_LAYOUT,
+      { name: 'aug25-only', extends: 'default', sheets: ['AUG25'], cargo: { columns: { awb: 'C' } } }
+    ]));
+
+    assert.equal(sheetLayout.getLayout('AUG25').name, 'aug25-only');
+    assert.equal(sheetLayout.getLayout('JUL25').name, 'default');
+    assert.equal(sheetLayout.getLayout('SEP25').name, 'sep25-inserted-column');
+    assert.equal(sheetLayout.getLayout('JAN26').name, 'sep25-inserted-column');
+    assert.equal(sheetLayout.getLayout('DEC24').name, 'default');
+  });
+
+  it('keeps inherited columns when a layout extends another', () => {
+    sheetLayout.load(writeLayoutFile([SEP25_LAYOUT]));
+    const cargo = sheetLayout.getSection('SEP25', 'cargo');
+
+    assert.deepEqual(cargo.columnLetters.date, ['B']);
+    assert.deepEqual(cargo.columnLetters.awb, ['E']);
+    assert.equal(cargo.end.anchor, 'PENGELUARAN');
+    assert.equal(sheetLayout.getSection('SEP25', 'express').span.from, 'AD');
+  });
+
+  it('reports every problem in an invalid layout file', () => {
+    const broken = {
+      name: 'broken',
+      extends: 'default',
+      effectiveFrom: '2025-13',
+      cargo: { columns: { awb: 'AZ', kg: '' } },
+      pengeluaran: { headers: { amount: [] } }
+    };
+
+    assert.throws(() => sheetLayout.load(writeLayoutFile([broken])), (error) => {
+      assert.match(error.message, /^Invalid sheet layout:/);
+      assert.match(error.message, /"effectiveFrom" must be YYYY-MM/);
+      assert.match(error.message, /column "awb" is outside span A:R/);
+      assert.match(error.message, /column "kg" must be a column letter/);
+      assert.match(error.message, /headers for "amount" must be a label/);
+      return true;
+    });
+  });
+
+  it('requires the express AWB column that shipments are grouped by', () => {
+    const [defaultLayout] = defaultLayouts.layouts;
+    const { awb, ...expressColumns } = defaultLayout.express.columns;
+    const noAwb = {
+      ...defaultLayout,
+      name: 'no-express-awb',
+      effectiveFrom: '2025-10',
+      express: { ...defaultLayout.express, columns: expressColumns, headers: {} }
+    };
+
+    assert.equal(awb, 'AF');
+    assert.throws(() => sheetLayout.validate({ version: 1, layouts: [noAwb] }), /express: column "awb" is missing/);
+  });
+
+  it('rejects unknown versions and missing sections', () => {
+    assert.throws(() => sheetLayout.validate({ version: 2, layouts: [] }), /version must be 1/);
+    assert.throws(
+      () => sheetLayout.validate({ version: 1, layouts: [{ name: 'empty', effectiveFrom: '2025-01' }] }),
+      /cargo section is missing/
+    );
+  });
+});
+
+describe('reportService with a moved layout', () => {
+  before(async () => {
+    sheetLayout.load(writeLayoutFile([SEP25_LAYOUT]));
+    await sheetManager.setSource(new MemorySource({ sheets: { SEP25: buildGrid(SEP25) } }));
+  });
+
+  after(() => {
+    sheetLayout.load();
+  });
+
+  it('reads cargo and attendance from the configured columns', async () => {
+    const report = await reportService.generateDailyReport(new Date(2025, 8, 1));
+
+    assert.deepEqual(report.attendance.map(({ name, inTime, outTime }) => ({ name, inTime, outTime })), [{ name: 'RAHMAD', inTime: '8:30', outTime: '16:30' }]);
+    assert.equal(report.cargo.totalAWB, 2);
+    assert.equal(report.cargo.totalTonase, 5);
+    assert.equal(report.cargo.totalTunai, 60000);
+    assert.equal(report.cargo.totalTfMandiri, 15000);
+    assert.equal(report.cargo.totalTfBca, 40000);
+    assert.equal(report.cargo.totalPacking, 2000);
+  });
+});
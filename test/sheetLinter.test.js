@@ -0,0 +1,111 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeSheets } = require('./helpers/fakeSheets');
+const sheetManager = require('../services/sheetManager');
+const sheetLinter = require('../services/sheetLinter');
+const reportFormatter = require('../services/reportFormatter');
+
+describe('sheetLinter.lintMonth', () => {
+  let result;
+
+  before(async () => {
+    await useFakeSheets();
+    result = await sheetLinter.lintMonth(2025, 5);
+  });
+
+  /**
+   * Pick the issues of one rule as "cell value" strings
+   * @param {string} rule - Rule name
+   * @returns {Array<string>} Issues
+   */
+  const cellsFor = rule => result.issues
+    .filter(issue => issue.rule === rule)
+    .map(issue => `${issue.cell} ${issue.value}`);
+
+  it('finds nothing in a clean sheet', async () => {
+    const clean = await sheetLinter.lintMonth(2025, 7);
+
+    assert.equal(clean.sheet, 'AUG25');
+    assert.equal(clean.issueCount, 0);
+    assert.deepEqual(clean.issues, []);
+  });
+
+  it('reports duplicate AWBs with the cell of the first entry', () => {
+    const duplicates = result.issues.filter(issue => issue.rule === 'duplicate-awb');
+
+    assert.deepEqual(duplicates.map(issue => [issue.section, issue.cell, issue.firstCell]), [
+      ['cargo', 'D14', 'D13'],
+      ['express', 'AF15', 'AF13']
+    ]);
+    assert.equal(duplicates[0].date, '2025-06-01');
+  });
+
+  it('reports AWBs the totals skip and payments without an AWB', () => {
+    assert.deepEqual(cellsFor('invalid-awb'), ['D15 123-456']);
+    assert.deepEqual(cellsFor('payment-without-awb'), ['D16 null', 'AF19 null']);
+    assert.match(result.issues.find(issue => issue.cell === 'D16').message, /tunai/);
+  });
+
+  it('reports Kg cells that are not plain numbers', () => {
+    assert.deepEqual(cellsFor('unparseable-kg'), ['H14 2,5', 'H19 dua']);
+  });
+
+  it('reports expenses without a description and bad attendance cells', () => {
+    assert.deepEqual(cellsFor('expense-without-description'), ['D227 15,000']);
+    assert.deepEqual(cellsFor('invalid-attendance'), ['E6 sakit', 'F6 17;00', 'E7 25:00']);
+    assert.equal(result.issues.find(issue => issue.cell === 'E7').employee, 'DETA');
+  });
+
+  it('warns about marketplace labels the per-platform counts skip', async () => {
+    const source = await useFakeSheets();
+    source.sheets.AUG25[17][3] = 'Tiktok';
+    sheetManager.clearCache();
+
+    const { issues } = await sheetLinter.lintMonth(2025, 7);
+    await useFakeSheets();
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.severity, issue.cell, issue.date]), [
+      ['unreadable-marketplace-label', 'warning', 'D18', '2025-08-04']
+    ]);
+  });
+
+  it('accepts express continuation rows and flags express cells that are not an AWB', async () => {
+    const source = await useFakeSheets();
+    source.sheets.AUG25[14][31] = 'Titipan';
+    source.sheets.AUG25[16][31] = 'JX0000000002';
+    sheetManager.clearCache();
+
+    const { issues } = await sheetLinter.lintMonth(2025, 7);
+    await useFakeSheets();
+
+    assert.deepEqual(issues.map(issue => [issue.rule, issue.cell, issue.value]), [
+      ['invalid-awb', 'AF15', 'Titipan']
+    ]);
+  });
+
+  it('summarizes issues per rule', () => {
+    assert.equal(result.issueCount, 11);
+    assert.deepEqual(result.summary, {
+      'duplicate-awb': 2,
+      'invalid-awb': 1,
+      'payment-without-awb': 2,
+      'unparseable-kg': 2,
+      'unreadable-marketplace-label': 0,
+      'expense-without-description': 1,
+      'invalid-attendance': 3
+    });
+  });
+
+  it('renders one text line per issue', () => {
+    const text = reportFormatter.lintToText(result);
+
+    assert.match(text, /^Cek Data Sheet JUN25 \(2025-06\)/);
+    assert.match(text, /11 masalah/);
+    assert.match(text, /❌ D15 \[2025-06-01\] invalid-awb "123-456"/);
+    assert.match(text, /⚠️ D227 \[2025-06-01\] expense-without-description/);
+  });
+
+  it('rejects a month without a sheet', async () => {
+    await assert.rejects(sheetLinter.lintMonth(2025, 8), { code: 'SHEET_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sheetManager = require('../services/sheetManager');
+const reportService = require('../services/reportService');
+const MemorySource = require('../services/sources/memorySource');
+const { buildFixtureSheets } = require('./helpers/fakeSheets');
+
+/**
+ * Memory source that records every round-trip
+ */
+class CountingSource extends MemorySource {
+  constructor(options) {
+    super(options);
+    this.calls = [];
+  }
+
+  async getAvailableSheets() {
+    this.calls.push(['getAvailableSheets']);
+    return super.getAvailableSheets();
+  }
+
+  async getSheetGrids(sheetNames) {
+    this.calls.push(['getSheetGrids', sheetNames]);
+    return super.getSheetGrids(sheetNames);
+  }
+}
+
+describe('sheetManager cache', () => {
+  let source;
+  const defaultTtl = sheetManager.cacheTtlMs;
+
+  beforeEach(async () => {
+    source = new CountingSource({ sheets: buildFixtureSheets() });
+    await sheetManager.setSource(source);
+  });
+
+  afterEach(() => {
+    sheetManager.cacheTtlMs = defaultTtl;
+  });
+
+  it('serves a whole daily report from one batched read', async () => {
+    await reportService.generateDailyReport(new Date(2025, 7, 4));
+
+    assert.deepEqual(source.calls, [
+      ['getAvailableSheets'],
+      ['getSheetGrids', ['AUG25']]
+    ]);
+  });
+
+  it('slices ranges out of the cached tab', async () => {
+    const data = await sheetManager.getSheetData('AUG25', 'B6:B8');
+
+    assert.deepEqual(data, [['RAHMAD'], ['DETA'], ['SARI']]);
+  });
+
+  it('shares one in-flight fetch between concurrent readers', async () => {
+    await Promise.all([
+      sheetManager.getSheetData('AUG25', 'A1:B2'),
+      sheetManager.getSheetData('AUG25', 'B13:B300'),
+      sheetManager.getSheetData('AUG25', 'AD9:AY223')
+    ]);
+
+    assert.equal(source.calls.length, 1);
+  });
+
+  it('fetches every month of a range report in a single batch', async () => {
+    await reportService.generateRangeReport(new Date(2025, 6, 29), new Date(2025, 7, 4));
+
+    assert.deepEqual(source.calls, [
+      ['getAvailableSheets'],
+      ['getSheetGrids', ['JUL25', 'AUG25']]
+    ]);
+  });
+
+  it('refetches once the TTL has expired', async () => {
+    sheetManager.cacheTtlMs = 0;
+
+    await sheetManager.getSheetData('AUG25', 'A1:B2');
+    await sheetManager.getSheetData('AUG25', 'A1:B2');
+
+    assert.equal(source.calls.length, 2);
+  });
+
+  it('drops failed fetches so the next read retries', async () => {
+    await assert.rejects(sheetManager.getSheetData('SEP25', 'A1:B2'), /not found/);
+    await assert.rejects(sheetManager.getSheetData('SEP25', 'A1:B2'), /not found/);
+
+    assert.equal(source.calls.length, 2);
+  });
+});
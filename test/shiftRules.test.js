@@ -0,0 +1,67 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const shiftRules = require('../config/shiftRules');
+const attendanceDetector = require('../services/attendanceDetector');
+
+describe('shiftRules', () => {
+  before(() => {
+    shiftRules.load();
+  });
+
+  it('applies per-weekday overrides', () => {
+    // 4 Aug 2025 is a Monday
+    assert.deepEqual(shiftRules.getShift('rahmad', new Date(2025, 7, 4)), { start: 540, end: 1020, graceMinutes: 5 });
+    assert.deepEqual(shiftRules.getShift('RAHMAD', new Date(2025, 7, 9)), { start: 540, end: 840, graceMinutes: 5 });
+    assert.equal(shiftRules.getShift('RAHMAD', new Date(2025, 7, 10)), null);
+    assert.equal(shiftRules.getShift('SARI', new Date(2025, 7, 4)), undefined);
+  });
+
+  it('rejects malformed rules', () => {
+    assert.throws(
+      () => shiftRules.validate({
+        version: 1,
+        employees: {
+          RAHMAD: { start: '9am', end: '17:00', overrides: { monday: null } },
+          DETA: { start: '13:00' }
+        }
+      }),
+      (error) => {
+        assert.match(error.message, /employee RAHMAD: "start" must be HH:MM/);
+        assert.match(error.message, /employee RAHMAD: override "monday" must be one of/);
+        assert.match(error.message, /employee DETA: "start" and "end" are required/);
+        return true;
+      }
+    );
+    assert.throws(() => shiftRules.validate({ version: 2, employees: {} }), /version must be 1/);
+  });
+});
+
+describe('attendanceDetector.evaluateShift', () => {
+  const monday = new Date(2025, 7, 4);
+  const later = new Date(2025, 8, 1);
+
+  it('measures lateness past the grace period, early departure and overtime', () => {
+    assert.equal(attendanceDetector.evaluateShift({ inTime: '9:05', outTime: '17:00' }, 'RAHMAD', monday, later).lateMinutes, 0);
+    assert.equal(attendanceDetector.evaluateShift({ inTime: '9:06', outTime: '17:00' }, 'RAHMAD', monday, later).lateMinutes, 6);
+
+    const early = attendanceDetector.evaluateShift({ inTime: '9:00', outTime: '15:30' }, 'RAHMAD', monday, later);
+    assert.equal(early.earlyDepartureMinutes, 90);
+    assert.equal(early.overtimeMinutes, 0);
+  });
+
+  it('flags a no-show only once the shift has started', () => {
+    const empty = { inTime: null, outTime: null };
+
+    assert.equal(attendanceDetector.evaluateShift(empty, 'DETA', monday, later).noShow, true);
+    assert.equal(attendanceDetector.evaluateShift(empty, 'DETA', monday, new Date(2025, 7, 4, 9, 0)).noShow, false);
+    assert.equal(attendanceDetector.evaluateShift(empty, 'DETA', monday, new Date(2025, 7, 4, 13, 30)).noShow, true);
+    assert.equal(attendanceDetector.evaluateShift({ inTime: 'Off', outTime: null }, 'DETA', monday, later).noShow, false);
+  });
+
+  it('counts an unscheduled day as overtime and ignores employees without rules', () => {
+    const sunday = new Date(2025, 7, 3);
+
+    assert.equal(attendanceDetector.evaluateShift({ inTime: '9:00', outTime: '12:00' }, 'RAHMAD', sunday, later).overtimeMinutes, 180);
+    assert.equal(attendanceDetector.evaluateShift({ inTime: '9:00', outTime: '12:00' }, 'SARI', sunday, later), null);
+  });
+});
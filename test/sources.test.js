@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const MemorySource = require('../services/sources/memorySource');
+const LocalWorkbookSource = require('../services/sources/localWorkbookSource');
+const { buildFixtureSheets } = require('./helpers/fakeSheets');
+
+describe('MemorySource', () => {
+  const source = new MemorySource({ sheets: buildFixtureSheets() });
+
+  it('slices A1 ranges and trims trailing empty cells like the Sheets API', async () => {
+    const data = await source.getSheetData('AUG25', 'B4:F6');
+
+    assert.deepEqual(data, [
+      ['', '1', '', '2'],
+      ['', 'IN', 'OUT', 'IN', 'OUT'],
+      ['RAHMAD']
+    ]);
+  });
+
+  it('supports open-ended row ranges', async () => {
+    const data = await source.getSheetData('AUG25', 'AD21:AF');
+
+    assert.deepEqual(data, [['05', '', 'JX0000000004'], [], ['', 'TOTAL']]);
+  });
+
+  it('rejects unknown sheets', async () => {
+    await assert.rejects(source.getSheetData('SEP25', 'A1:B2'), /not found/);
+  });
+});
+
+describe('LocalWorkbookSource', () => {
+  let dir;
+  const sheets = buildFixtureSheets();
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-workbook-'));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheets.AUG25), 'AUG25');
+    XLSX.writeFile(workbook, path.join(dir, 'export.xlsx'));
+
+    XLSX.writeFile(
+      { SheetNames: ['Sheet1'], Sheets: { Sheet1: XLSX.utils.aoa_to_sheet(sheets.AUG25) } },
+      path.join(dir, 'JUL25.csv'),
+      { bookType: 'csv' }
+    );
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads every tab from a directory of exports', async () => {
+    const source = new LocalWorkbookSource({ workbookPath: dir });
+    await source.initialize();
+
+    assert.deepEqual((await source.getAvailableSheets()).sort(), ['AUG25', 'JUL25']);
+  });
+
+  it('returns the same values as the in-memory grid for an .xlsx tab', async () => {
+    const source = new LocalWorkbookSource({ workbookPath: path.join(dir, 'export.xlsx') });
+    const memory = new MemorySource({ sheets });
+    await source.initialize();
+
+    for (const range of ['A3:BM9', 'A13:R223', 'AD9:AY223', 'B226:S248']) {
+      assert.deepEqual(await source.getSheetData('AUG25', range), await memory.getSheetData('AUG25', range), range);
+    }
+  });
+
+  it('keeps CSV day values as text', async () => {
+    const source = new LocalWorkbookSource({ workbookPath: path.join(dir, 'JUL25.csv') });
+    await source.initialize();
+
+    assert.deepEqual(await source.getSheetData('JUL25', 'B15:D15'), [['04', '', '2222222221']]);
+  });
+
+  it('reports sheet metadata', async () => {
+    const source = new LocalWorkbookSource({ workbookPath: path.join(dir, 'export.xlsx') });
+    await source.initialize();
+
+    const metadata = await source.getSheetMetadata('AUG25');
+    assert.equal(metadata.title, 'AUG25');
+    assert.equal(metadata.rowCount, 230);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VersionedJsonConfig = require('../config/versionedConfig');
+const payrollRules = require('../config/payrollRules');
+
+class ColorConfig extends VersionedJsonConfig {
+  constructor() {
+    super({ name: 'color rules', icon: '🎨', envVar: 'COLOR_RULES_FILE', defaultFile: 'colors.json' });
+  }
+
+  parse(raw, errors) {
+    Object.entries(raw.colors || {}).forEach(([name, hex]) => {
+      if (!/^#[0-9a-f]{6}$/i.test(hex)) {
+        errors.push(`color ${name}: must be #RRGGBB`);
+      }
+    });
+    return { colors: raw.colors || {} };
+  }
+}
+
+describe('VersionedJsonConfig', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jt-config-'));
+
+  after(() => {
+    delete process.env.COLOR_RULES_FILE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads the file named by the env var and summarizes it', () => {
+    const file = path.join(dir, 'colors.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 1, colors: { red: '#ff0000' } }));
+    process.env.COLOR_RULES_FILE = file;
+
+    const config = new ColorConfig();
+
+    assert.deepEqual(config.ensureLoaded(), { colors: { red: '#ff0000' } });
+    assert.equal(config.filePath, file);
+    assert.equal(config.summary(), `Color rules loaded (${file})`);
+  });
+
+  it('reports every problem at once and keeps the previous rules', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const file = path.join(dir, 'broken.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 1, colors: { red: 'red', blue: 'blue' } }));
+
+    const config = new ColorConfig();
+    config.load(path.join(dir, 'colors.json'));
+
+    assert.throws(() => config.load(file), {
+      message: 'Invalid color rules:\n- color red: must be #RRGGBB\n- color blue: must be #RRGGBB'
+    });
+    assert.throws(() => config.validate({ version: 2 }), { message: 'Invalid color rules: version must be 1' });
+    assert.deepEqual(config.rules, { colors: { red: '#ff0000' } });
+  });
+
+  it('falls back to the default file in config/', () => {
+    assert.equal(payrollRules.getDefaultPath(), process.env.PAYROLL_RULES_FILE || path.join(__dirname, '..', 'config', 'payroll.json'));
+  });
+});
@@ -0,0 +1,85 @@
+const marketplaceRules = require('../config/marketplaceRules');
+
+/**
+ * AWB Utility
+ * Classifies the values typed in the AWB column: regular numeric AWBs,
+ * marketplace batch labels (e.g., "3 Shopee", "2 Tiktok", "1 Api") and TOTAL rows.
+ * Marketplaces come from config/marketplaces.json.
+ */
+
+class AwbUtils {
+  /**
+   * Check if a cell is empty
+   * @param {*} value - Cell value
+   * @returns {boolean} True if blank
+   */
+  isBlank(value) {
+    return value === undefined || value === null || value.toString().trim() === '';
+  }
+
+  /**
+   * Check if a value is a regular AWB number (10+ digits)
+   * @param {*} value - AWB cell
+   * @returns {boolean} True if numeric AWB
+   */
+  isRegularAWB(value) {
+    return !this.isBlank(value) && /^\d{10,}$/.test(value.toString());
+  }
+
+  /**
+   * Check if a value is an EXPRESS AWB: a regular AWB or two letters followed by 10+ digits (e.g., "JX0000000001")
+   * @param {*} value - AWB/Paket cell
+   * @returns {boolean} True if it looks like an AWB number
+   */
+  isExpressAWB(value) {
+    return this.isRegularAWB(value) || (!this.isBlank(value) && /^[A-Z]{2}\d{10,}$/i.test(value.toString().trim()));
+  }
+
+  /**
+   * Check if a value is a marketplace label counted as online shipments
+   * @param {*} value - AWB cell
+   * @returns {boolean} True if it mentions a known marketplace
+   */
+  isMarketplaceLabel(value) {
+    if (this.isBlank(value)) return false;
+
+    return marketplaceRules.findPlatform(value.toString()) !== null;
+  }
+
+  /**
+   * Read the platform and shipment count of a marketplace label
+   * Accepts "3 Shopee", "3x Shopee", "3 pcs Shopee" and "Shopee 3"; one platform per cell
+   * @param {*} value - AWB cell
+   * @returns {Object|null} { platform, count }, or null when the label has no count, no known platform or several of them
+   */
+  parseMarketplaceLabel(value) {
+    if (this.isBlank(value)) return null;
+
+    const text = value.toString().trim();
+    const match = /^(\d+)\s*(?:(?:x|pcs)\s+)?(\D+)$/i.exec(text);
+    const reversed = /^(\D+?)\s*:?\s*(\d+)$/.exec(text);
+    const [count, name] = match ? [match[1], match[2]] : reversed ? [reversed[2], reversed[1]] : [];
+
+    if (!name || parseInt(count, 10) === 0) return null;
+
+    const lower = name.toLowerCase();
+    const platforms = Object.entries(marketplaceRules.getPlatforms())
+      .filter(([, platform]) => platform.keywords.some(keyword => lower.includes(keyword)));
+
+    if (platforms.length !== 1) return null;
+
+    const [[platform]] = platforms;
+    return { platform, count: parseInt(count, 10) };
+  }
+
+  /**
+   * Check if a value is the TOTAL label of a day block
+   * @param {*} value - AWB cell
+   * @returns {boolean} True if "TOTAL"
+   */
+  isTotalLabel(value) {
+    return !this.isBlank(value) && value.toString().trim().toLowerCase() === 'total';
+  }
+}
+
+module.exports = new AwbUtils();
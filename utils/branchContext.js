@@ -0,0 +1,33 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Branch Context
+ * Carries the branch being reported on through every await of a request, so the shared sheetManager
+ * and sheetLayout read that branch's spreadsheet and layout without threading it through every service.
+ * Outside run() there is no branch and reads go to GOOGLE_SHEETS_ID as before
+ */
+class BranchContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function with a branch as the current one
+   * @param {Object} branch - Branch from branchRegistry.getBranch
+   * @param {Function} fn - Function to run (may be async)
+   * @returns {*} Whatever fn returns
+   */
+  run(branch, fn) {
+    return this.storage.run(branch, fn);
+  }
+
+  /**
+   * Get the branch being read
+   * @returns {Object|null} Branch, or null outside run()
+   */
+  current() {
+    return this.storage.getStore() || null;
+  }
+}
+
+module.exports = new BranchContext();
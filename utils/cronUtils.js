@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+
+/**
+ * Cron Utility
+ * Validates CRON_SCHEDULE expressions and works out when they fire next
+ */
+class CronUtils {
+  /**
+   * Check a cron expression
+   * @param {string} expression - Cron expression (5 fields, or 6 with seconds)
+   * @returns {boolean} True if node-cron accepts it
+   */
+  isValid(expression) {
+    return typeof expression === 'string' && cron.validate(expression);
+  }
+
+  /**
+   * Find the next time an expression fires after a given moment
+   * node-cron 3 has no "next run" API, so this uses cron-parser, which reads the same syntax
+   * @param {string} expression - Cron expression
+   * @param {Date} from - Start after this moment (default: now)
+   * @param {string} timezone - IANA timezone the task runs in (default: server time)
+   * @returns {Date|null} Next run, or null if the expression never fires (e.g., "0 0 30 2 *")
+   */
+  getNextRun(expression, from = new Date(), timezone = undefined) {
+    try {
+      return cronParser.parseExpression(expression, { currentDate: from, tz: timezone }).next().toDate();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new CronUtils();
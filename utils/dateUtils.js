@@ -0,0 +1,130 @@
+/**
+ * Date Utility
+ * Parses the date formats accepted by the API and CLI and formats report dates
+ * Formats: YYYY-MM-DD, DD/MM/YYYY (or DD-MM-YYYY), YYYY-MM
+ */
+
+class DateUtils {
+  /**
+   * Build a local Date and reject values that roll over (e.g., 2025-02-30)
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of month
+   * @returns {Date|null} Date or null if invalid
+   */
+  buildDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+
+    return date;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD string into a local Date
+   * @param {string} value - Date string
+   * @returns {Date|null} Date, or null if the format or the date itself is invalid
+   */
+  parseISODate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const [year, month, day] = match.slice(1).map(Number);
+    return this.buildDate(year, month, day);
+  }
+
+  /**
+   * Parse a DD/MM/YYYY or DD-MM-YYYY string into a local Date
+   * @param {string} value - Date string (e.g., "04/08/2025")
+   * @returns {Date|null} Date or null if invalid
+   */
+  parseDayMonthYear(value) {
+    const match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const [day, month, year] = match.slice(1).map(Number);
+    return this.buildDate(year, month, day);
+  }
+
+  /**
+   * Parse either YYYY-MM-DD or DD/MM/YYYY
+   * @param {string} value - Date string
+   * @returns {Date|null} Date or null if invalid
+   */
+  parseDate(value) {
+    return this.parseISODate(value) || this.parseDayMonthYear(value);
+  }
+
+  /**
+   * Parse a YYYY-MM string
+   * @param {string} value - Month string (e.g., "2025-08")
+   * @returns {Object|null} { year, month } with month as index (0-11), or null if invalid
+   */
+  parseMonth(value) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    return { year: Number(match[1]), month: Number(match[2]) - 1 };
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD using its local date parts
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Current wall-clock time of the outlet, which may differ from the server's (e.g., a UTC host in WIB)
+   * The result's local date and time parts are those in the timezone, for date and closing-time checks;
+   * don't use its absolute value (toISOString, getTime) as a timestamp
+   * @param {string} timezone - IANA timezone (default: CRON_TIMEZONE, none means server time)
+   * @param {Date} at - Moment to convert (default: now)
+   * @returns {Date} Local Date carrying the timezone's wall-clock time
+   */
+  now(timezone = process.env.CRON_TIMEZONE, at = new Date()) {
+    if (!timezone) {
+      return new Date(at.getTime());
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(at).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, at.getMilliseconds());
+  }
+
+  /**
+   * Count calendar days from one date to another, both inclusive
+   * @param {Date} fromDate - First day
+   * @param {Date} toDate - Last day
+   * @returns {number} Number of days (0 or negative when toDate is before fromDate)
+   */
+  countDays(fromDate, toDate) {
+    return Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000)) + 1;
+  }
+}
+
+module.exports = new DateUtils();
@@ -0,0 +1,147 @@
+/**
+ * Range Utility
+ * Converts between column letters and indices and parses A1 ranges
+ * Format: A1, B13:R300, AD9:AY (open-ended rows)
+ */
+
+class RangeUtils {
+  /**
+   * Convert a column letter to a 0-based index
+   * @param {string} column - Column letter (e.g., "A", "AD")
+   * @returns {number} 0-based column index (e.g., 0, 29)
+   */
+  columnToIndex(column) {
+    let index = 0;
+    const letters = column.toUpperCase();
+
+    for (let i = 0; i < letters.length; i++) {
+      index = index * 26 + (letters.charCodeAt(i) - 64);
+    }
+
+    return index - 1;
+  }
+
+  /**
+   * Convert a 0-based column index to a column letter
+   * @param {number} index - 0-based column index
+   * @returns {string} Column letter (e.g., "A", "AD")
+   */
+  indexToColumn(index) {
+    let column = '';
+    let n = index + 1;
+
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      column = String.fromCharCode(65 + remainder) + column;
+      n = Math.floor((n - 1) / 26);
+    }
+
+    return column;
+  }
+
+  /**
+   * Parse an A1 range into 0-based row/column bounds
+   * Missing row numbers (e.g., "AD9:AY") leave the end row open (null)
+   * @param {string} range - Range in A1 notation, optionally prefixed with "Sheet!"
+   * @returns {Object} { sheetName, startRow, startCol, endRow, endCol }
+   */
+  parseRange(range) {
+    let sheetName = null;
+    let a1 = range;
+
+    const bangIndex = range.lastIndexOf('!');
+    if (bangIndex !== -1) {
+      sheetName = range.slice(0, bangIndex).replace(/^'|'$/g, '');
+      a1 = range.slice(bangIndex + 1);
+    }
+
+    const [startRef, endRef = startRef] = a1.split(':');
+    const start = this.parseCell(startRef);
+    const end = this.parseCell(endRef);
+
+    if (!start || !end) {
+      throw new Error(`Invalid A1 range: ${range}`);
+    }
+
+    return {
+      sheetName,
+      startRow: start.row === null ? 0 : start.row,
+      startCol: start.col === null ? 0 : start.col,
+      endRow: end.row,
+      endCol: end.col
+    };
+  }
+
+  /**
+   * Parse a single A1 cell reference
+   * @param {string} ref - Cell reference (e.g., "B13", "AY", "4")
+   * @returns {Object|null} { row, col } 0-based (null when omitted), or null if invalid
+   */
+  parseCell(ref) {
+    const match = /^\$?([A-Za-z]*)\$?(\d*)$/.exec(ref.trim());
+
+    if (!match || (!match[1] && !match[2])) {
+      return null;
+    }
+
+    return {
+      col: match[1] ? this.columnToIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2], 10) - 1 : null
+    };
+  }
+
+  /**
+   * Cut an A1 range out of a full sheet grid (row 1 / column A at index 0)
+   * @param {Array} grid - Full sheet grid
+   * @param {string} range - Range in A1 notation (e.g., 'A13:R300', 'AD9:AY')
+   * @returns {Array} Rows of cell values, trimmed like the Sheets API response
+   */
+  sliceGrid(grid, range) {
+    const bounds = this.parseRange(range);
+    const endRow = bounds.endRow === null ? grid.length - 1 : Math.min(bounds.endRow, grid.length - 1);
+    const rows = [];
+
+    for (let r = bounds.startRow; r <= endRow; r++) {
+      const row = grid[r] || [];
+      const endCol = bounds.endCol === null ? row.length - 1 : bounds.endCol;
+      rows.push(row.slice(bounds.startCol, endCol + 1));
+    }
+
+    return this.trimRows(rows);
+  }
+
+  /**
+   * Remove trailing empty cells and trailing empty rows, like the Sheets API does
+   * @param {Array} rows - Rows of cell values
+   * @returns {Array} Trimmed rows
+   */
+  trimRows(rows) {
+    const isEmpty = value => value === '' || value === undefined || value === null;
+
+    const trimmed = rows.map((row) => {
+      const copy = Array.from(row, value => (isEmpty(value) ? '' : value));
+      while (copy.length > 0 && copy[copy.length - 1] === '') {
+        copy.pop();
+      }
+      return copy;
+    });
+
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) {
+      trimmed.pop();
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Build an A1 cell reference from 0-based indices
+   * @param {number} rowIndex - 0-based row index
+   * @param {number} colIndex - 0-based column index
+   * @returns {string} Cell reference (e.g., "D15")
+   */
+  toCellRef(rowIndex, colIndex) {
+    return `${this.indexToColumn(colIndex)}${rowIndex + 1}`;
+  }
+}
+
+module.exports = new RangeUtils();
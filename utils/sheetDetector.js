@@ -95,6 +95,22 @@ class SheetDetector {
     return pattern.test(sheetName);
   }
 
+  /**
+   * Get the month a MMMYY sheet name refers to
+   * @param {string} sheetName - Sheet name (e.g., "AUG25")
+   * @returns {Object|null} { year, month } with month as index (0-11), or null if not MMMYY
+   */
+  parseSheetName(sheetName) {
+    if (!this.isValidSheetFormat(sheetName)) {
+      return null;
+    }
+
+    return {
+      year: 2000 + parseInt(sheetName.slice(3), 10),
+      month: this.monthNames.indexOf(sheetName.slice(0, 3))
+    };
+  }
+
   /**
    * Get all possible sheet names for the last 12 months
    * @returns {Array} Array of sheet names